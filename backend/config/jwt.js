@@ -16,6 +16,26 @@ const verifyToken = (token) => {
   }
 };
 
+// Share link tokens are signed for their own audience, so login tokens can't
+// open share links and a link token can't stand in for a download token
+const SHARE_LINK_AUDIENCE = 'share-link';
+const SHARE_DOWNLOAD_AUDIENCE = 'share-download';
+
+// Sign a share link token. The payload carries its own iat and exp, so the
+// same link always gets the same token.
+const generateShareToken = (payload, audience = SHARE_LINK_AUDIENCE) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, { audience });
+};
+
+// Verify a share link token; returns null if it is invalid or expired
+const verifyShareToken = (token, audience = SHARE_LINK_AUDIENCE) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience });
+  } catch (error) {
+    return null;
+  }
+};
+
 // Generate token response with user data
 const generateTokenResponse = (user) => {
   const payload = {
@@ -35,7 +55,11 @@ const generateTokenResponse = (user) => {
 };
 
 module.exports = {
+  SHARE_LINK_AUDIENCE,
+  SHARE_DOWNLOAD_AUDIENCE,
   generateToken,
   verifyToken,
+  generateShareToken,
+  verifyShareToken,
   generateTokenResponse,
 };
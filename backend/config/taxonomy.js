@@ -0,0 +1,83 @@
+// Default subjects, grades and categories. They are added to the taxonomy
+// when the server starts (terms that already exist are left alone), so a new
+// install has a usable taxonomy. `value` is what notes store; aliases are
+// matched case-insensitively and mapped onto the value. Subjects can nest.
+const DEFAULT_TAXONOMY = {
+  subject: [
+    {
+      value: 'Mathematics',
+      aliases: ['math', 'maths'],
+      children: [
+        { value: 'Algebra' },
+        { value: 'Geometry' },
+        { value: 'Calculus' },
+        { value: 'Statistics', aliases: ['stats', 'probability'] }
+      ]
+    },
+    {
+      value: 'Science',
+      aliases: ['general science'],
+      children: [
+        {
+          value: 'Physics',
+          aliases: ['phys'],
+          children: [
+            { value: 'Mechanics' },
+            { value: 'Electricity and Magnetism', aliases: ['electricity', 'magnetism', 'electromagnetism'] },
+            { value: 'Optics' },
+            { value: 'Thermodynamics', aliases: ['heat'] }
+          ]
+        },
+        {
+          value: 'Chemistry',
+          aliases: ['chem'],
+          children: [
+            { value: 'Organic Chemistry', aliases: ['organic'] },
+            { value: 'Inorganic Chemistry', aliases: ['inorganic'] }
+          ]
+        },
+        { value: 'Biology', aliases: ['bio', 'life science'] }
+      ]
+    },
+    { value: 'Computer Science', aliases: ['cs', 'computing', 'programming', 'it'] },
+    { value: 'English', aliases: ['english language', 'english literature', 'literature'] },
+    { value: 'History' },
+    { value: 'Geography', aliases: ['geo'] },
+    { value: 'Economics', aliases: ['econ'] },
+    { value: 'Business Studies', aliases: ['business'] },
+    { value: 'Art', aliases: ['arts', 'fine art'] },
+    { value: 'Music' },
+    { value: 'Physical Education', aliases: ['pe', 'sports'] },
+    { value: 'Other' }
+  ],
+  grade: [
+    { value: '1st', aliases: ['1', 'grade 1', 'class 1'] },
+    { value: '2nd', aliases: ['2', 'grade 2', 'class 2'] },
+    { value: '3rd', aliases: ['3', 'grade 3', 'class 3'] },
+    { value: '4th', aliases: ['4', 'grade 4', 'class 4'] },
+    { value: '5th', aliases: ['5', 'grade 5', 'class 5'] },
+    { value: '6th', aliases: ['6', 'grade 6', 'class 6'] },
+    { value: '7th', aliases: ['7', 'grade 7', 'class 7'] },
+    { value: '8th', aliases: ['8', 'grade 8', 'class 8'] },
+    { value: '9th', aliases: ['9', 'grade 9', 'class 9'] },
+    { value: '10th', aliases: ['10', 'grade 10', 'class 10'] },
+    { value: '11th', aliases: ['11', 'grade 11', 'class 11'] },
+    { value: '12th', aliases: ['12', 'grade 12', 'class 12'] },
+    { value: 'Undergraduate', aliases: ['college', 'university', 'ug'] },
+    { value: 'Graduate', aliases: ['masters', 'pg'] },
+    { value: 'Postgraduate', aliases: ['phd', 'doctoral'] }
+  ],
+  category: [
+    { value: 'lecture-notes', label: 'Lecture Notes', aliases: ['lecture notes', 'lecture', 'notes'] },
+    { value: 'assignment', label: 'Assignment', aliases: ['assignments', 'homework'] },
+    { value: 'reference-material', label: 'Reference Material', aliases: ['reference-materials', 'reference', 'reference material'] },
+    { value: 'quiz', label: 'Quiz', aliases: ['quizzes'] },
+    { value: 'exam', label: 'Exam', aliases: ['exams', 'test', 'past paper'] },
+    { value: 'presentation', label: 'Presentation', aliases: ['presentations', 'slides'] },
+    { value: 'other', label: 'Other' }
+  ]
+};
+
+module.exports = {
+  DEFAULT_TAXONOMY
+};
@@ -135,19 +135,20 @@ const getStudentProgress = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get teacher analytics
+// @desc    Get teacher analytics for the notes they own or co-author
 // @route   GET /api/analytics/teacher-analytics
 // @access  Private (Teachers only)
 const getTeacherAnalytics = asyncHandler(async (req, res, next) => {
   const teacherId = req.user._id;
 
-  // Get teacher's notes
-  const notes = await Note.find({ uploadedBy: teacherId })
+  // Get teacher's notes, including those they co-author in any role
+  const notes = await Note.find({ ...Note.buildAuthorQuery(teacherId), deletedAt: null })
     .populate('uploadedBy', 'name email')
     .sort({ createdAt: -1 });
 
   // Calculate analytics
   const totalNotes = notes.length;
+  const coAuthoredNotes = notes.filter(note => note.getAuthorRole(req.user) !== 'owner').length;
   const totalDownloads = notes.reduce((sum, note) => sum + (note.downloadCount || 0), 0);
   const totalViews = notes.reduce((sum, note) => sum + (note.viewCount || 0), 0);
   
@@ -184,6 +185,7 @@ const getTeacherAnalytics = asyncHandler(async (req, res, next) => {
       title: note.title,
       subject: note.subject,
       grade: note.grade,
+      role: note.getAuthorRole(req.user),
       downloads: note.downloadCount || 0,
       views: note.viewCount || 0,
       rating: note.averageRating || 0,
@@ -217,6 +219,7 @@ const getTeacherAnalytics = asyncHandler(async (req, res, next) => {
     data: {
       overview: {
         totalNotes,
+        coAuthoredNotes,
         totalDownloads,
         totalViews,
         totalReviews,
@@ -246,14 +249,14 @@ const getPlatformAnalytics = asyncHandler(async (req, res, next) => {
   // This would be for admin users to see platform-wide statistics
   // For now, we'll return basic stats that any user can see
   
-  const totalNotes = await Note.countDocuments({ isActive: true, isPublic: true });
+  const totalNotes = await Note.countDocuments(Note.buildFilterQuery());
   const totalUsers = await User.countDocuments({ isActive: true });
   const totalDownloads = await DownloadHistory.countDocuments();
   const totalReviews = await Review.countDocuments({ isActive: true });
 
   // Most popular subjects
   const subjectStats = await Note.aggregate([
-    { $match: { isActive: true, isPublic: true } },
+    { $match: Note.buildFilterQuery() },
     { $group: { _id: '$subject', count: { $sum: 1 } } },
     { $sort: { count: -1 } },
     { $limit: 10 }
@@ -261,7 +264,7 @@ const getPlatformAnalytics = asyncHandler(async (req, res, next) => {
 
   // Most active teachers
   const teacherStats = await Note.aggregate([
-    { $match: { isActive: true, isPublic: true } },
+    { $match: Note.buildFilterQuery() },
     { $group: { 
         _id: '$uploadedBy', 
         noteCount: { $sum: 1 },
@@ -0,0 +1,207 @@
+const User = require('../models/User');
+const { CO_AUTHOR_ROLES } = require('../models/Note');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { body, param, validationResult } = require('express-validator');
+
+// A note's owner and co-authors with their names and emails, and the role of
+// the teacher asking
+const serializeAuthors = async (note, user) => {
+  await note.populate([
+    { path: 'uploadedBy', select: 'name email' },
+    { path: 'coAuthors.user', select: 'name email' }
+  ]);
+
+  return {
+    owner: note.uploadedBy,
+    coAuthors: note.coAuthors.filter(entry => entry.user),
+    yourRole: note.getAuthorRole(user)
+  };
+};
+
+// @desc    Get a note's owner and co-authors
+// @route   GET /api/notes/:id/co-authors
+// @access  Private (Teachers - owner and co-authors)
+const getCoAuthors = asyncHandler(async (req, res, next) => {
+  const note = req.resource; // From checkOwnership middleware
+
+  res.status(200).json({
+    success: true,
+    data: await serializeAuthors(note, req.user)
+  });
+});
+
+// @desc    Invite a teacher to co-author a note
+// @route   POST /api/notes/:id/co-authors
+// @access  Private (Teachers - note owner)
+const addCoAuthor = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+
+  if (!note.isActive) {
+    return next(new ErrorResponse('Notes in the trash cannot be changed', 400));
+  }
+
+  const teacher = await User.findOne({ email: req.body.email, role: 'teacher', isActive: true });
+  if (!teacher) {
+    return next(new ErrorResponse(`No teacher account found for ${req.body.email}`, 404));
+  }
+
+  if (note.getAuthorRole(teacher)) {
+    return next(new ErrorResponse(`${teacher.name} is already an author of this note`, 400));
+  }
+
+  note.coAuthors.push({ user: teacher._id, role: req.body.role || 'editor' });
+  await note.save();
+
+  res.status(201).json({
+    success: true,
+    message: `${teacher.name} was added as a co-author`,
+    data: await serializeAuthors(note, req.user)
+  });
+});
+
+// @desc    Change a co-author's role
+// @route   PUT /api/notes/:id/co-authors/:userId
+// @access  Private (Teachers - note owner)
+const updateCoAuthor = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+
+  const coAuthor = note.coAuthors.find(entry => entry.user.toString() === req.params.userId);
+  if (!coAuthor) {
+    return next(new ErrorResponse('Co-author not found', 404));
+  }
+
+  coAuthor.role = req.body.role;
+  await note.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Co-author role updated',
+    data: await serializeAuthors(note, req.user)
+  });
+});
+
+// @desc    Remove a co-author (co-authors can remove themselves)
+// @route   DELETE /api/notes/:id/co-authors/:userId
+// @access  Private (Teachers - note owner, or the co-author)
+const removeCoAuthor = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+  const leaving = req.params.userId === req.user._id.toString();
+
+  if (!leaving && note.getAuthorRole(req.user) !== 'owner') {
+    return next(new ErrorResponse('Access denied. Only the owner can remove other co-authors.', 403));
+  }
+
+  const remaining = note.coAuthors.filter(entry => entry.user.toString() !== req.params.userId);
+  if (remaining.length === note.coAuthors.length) {
+    return next(new ErrorResponse('Co-author not found', 404));
+  }
+
+  note.coAuthors = remaining;
+  await note.save();
+
+  res.status(200).json({
+    success: true,
+    message: leaving ? 'You are no longer a co-author of this note' : 'Co-author removed',
+    data: leaving ? null : await serializeAuthors(note, req.user)
+  });
+});
+
+// @desc    Hand a note over to one of its co-authors
+// @route   POST /api/notes/:id/transfer-ownership
+// @access  Private (Teachers - note owner)
+const transferOwnership = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+
+  if (!note.isActive) {
+    return next(new ErrorResponse('Notes in the trash cannot be changed', 400));
+  }
+
+  // Only existing co-authors can take over, so nobody is handed a note unasked
+  if (!note.coAuthors.some(entry => entry.user.toString() === req.body.userId)) {
+    return next(new ErrorResponse('Ownership can only be transferred to a co-author of this note', 400));
+  }
+
+  const newOwner = await User.findOne({ _id: req.body.userId, role: 'teacher', isActive: true });
+  if (!newOwner) {
+    return next(new ErrorResponse('The new owner must be an active teacher', 400));
+  }
+
+  note.transferOwnership(newOwner._id);
+  await note.save();
+
+  res.status(200).json({
+    success: true,
+    message: `${newOwner.name} now owns this note`,
+    data: await serializeAuthors(note, req.user)
+  });
+});
+
+// Validation for inviting a co-author
+const validateCoAuthor = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .toLowerCase(),
+
+  body('role')
+    .optional()
+    .isIn(CO_AUTHOR_ROLES)
+    .withMessage(`Role must be one of: ${CO_AUTHOR_ROLES.join(', ')}`)
+];
+
+// Validation for routes naming a co-author
+const validateCoAuthorId = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid co-author ID')
+];
+
+// Validation for changing a co-author's role
+const validateCoAuthorUpdate = [
+  ...validateCoAuthorId,
+
+  body('role')
+    .isIn(CO_AUTHOR_ROLES)
+    .withMessage(`Role must be one of: ${CO_AUTHOR_ROLES.join(', ')}`)
+];
+
+// Validation for transferring ownership
+const validateOwnershipTransfer = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Please choose the co-author to transfer the note to')
+];
+
+module.exports = {
+  getCoAuthors,
+  addCoAuthor,
+  updateCoAuthor,
+  removeCoAuthor,
+  transferOwnership,
+  validateCoAuthor,
+  validateCoAuthorId,
+  validateCoAuthorUpdate,
+  validateOwnershipTransfer
+};
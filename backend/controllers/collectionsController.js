@@ -0,0 +1,317 @@
+const Collection = require('../models/Collection');
+const Note = require('../models/Note');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { body, query, validationResult } = require('express-validator');
+
+// Collection fields teachers can edit
+const EDITABLE_FIELDS = ['title', 'description', 'coverImage', 'subject', 'grade', 'isPublic'];
+
+// Note fields shown for each step of a collection
+const STEP_NOTE_FIELDS = 'title slug description subject grade category difficulty tags fileName originalFileName ' +
+  'fileType fileSize mimeType attachments averageRating ratingCount downloadCount uploadedBy ' +
+  'isActive isPublic sharedWith sharedGroups isDraft publishAt unpublishAt createdAt';
+
+// Listing summary of a collection: everything except the item list
+const summarize = (collection) => {
+  const { items, ...summary } = collection.toObject();
+  return { ...summary, noteCount: collection.noteCount };
+};
+
+// Check and normalize the items of a collection. Teachers can add their own
+// notes and other teachers' published notes; notes already in the collection
+// may stay even if they have since been unpublished or trashed.
+const resolveItems = async (items, user, collection = null) => {
+  const noteIds = items.filter(item => item.kind === 'note').map(item => String(item.note));
+
+  if (new Set(noteIds).size !== noteIds.length) {
+    throw new ErrorResponse('A note can only appear once in a collection', 400);
+  }
+
+  const existing = new Set(collection
+    ? collection.items.filter(item => item.kind === 'note').map(item => item.note.toString())
+    : []);
+
+  const notes = await Note.find({ _id: { $in: noteIds } });
+  const usable = new Set(notes
+    .filter(note => existing.has(note._id.toString()) ||
+      (note.isActive && ['owner', 'editor'].includes(note.getAuthorRole(user))) ||
+      note.isPublished())
+    .map(note => note._id.toString()));
+
+  const unavailable = noteIds.filter(id => !usable.has(id));
+  if (unavailable.length > 0) {
+    throw new ErrorResponse(`These notes can't be added to a collection: ${unavailable.join(', ')}`, 400);
+  }
+
+  return items.map(item => (item.kind === 'note'
+    ? { kind: 'note', note: item.note }
+    : { kind: 'section', heading: item.heading.trim() }));
+};
+
+// @desc    Get public collections
+// @route   GET /api/collections
+// @access  Public
+const getCollections = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const filters = {
+    search: req.query.search ? req.query.search.trim() : undefined,
+    subject: req.query.subject,
+    grade: req.query.grade,
+    uploadedBy: req.query.teacher
+  };
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 12;
+  const filterQuery = Collection.buildFilterQuery(filters);
+
+  const [collections, total] = await Promise.all([
+    Collection.find(filterQuery)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('uploadedBy', 'name subject qualification'),
+    Collection.countDocuments(filterQuery)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: collections.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: collections.map(summarize)
+  });
+});
+
+// @desc    Get collections owned by the current teacher
+// @route   GET /api/collections/mine
+// @access  Private (Teachers)
+const getMyCollections = asyncHandler(async (req, res, next) => {
+  const collections = await Collection.find({ uploadedBy: req.user._id, isActive: true })
+    .sort({ updatedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: collections.length,
+    data: collections.map(summarize)
+  });
+});
+
+// @desc    Get a collection with the sequence of notes to step through
+// @route   GET /api/collections/:id
+// @access  Public (owners can also view their private collections)
+const getCollection = asyncHandler(async (req, res, next) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+    return next(new ErrorResponse('Invalid collection ID format', 400));
+  }
+
+  const collection = await Collection.findById(req.params.id)
+    .populate('uploadedBy', 'name email role subject qualification')
+    .populate('items.note', STEP_NOTE_FIELDS);
+
+  if (!collection) {
+    return next(new ErrorResponse('Collection not found', 404));
+  }
+
+  const isOwner = collection.isOwnedBy(req.user);
+  if (!collection.isActive || (!collection.isPublic && !isOwner)) {
+    return next(new ErrorResponse('Collection not available', 404));
+  }
+
+  const sequence = collection.getSequence(req.user, await Note.getViewer(req.user));
+  const data = {
+    ...summarize(collection),
+    stepCount: sequence.filter(item => item.kind === 'note').length,
+    sequence
+  };
+
+  // Owners get every item for editing, including notes students can't see right now
+  if (isOwner) {
+    data.items = collection.items
+      .filter(item => item.kind === 'section' || item.note)
+      .map(item => ({
+        _id: item._id,
+        kind: item.kind,
+        heading: item.heading,
+        note: item.note
+          ? { _id: item.note._id, title: item.note.title, publishStatus: item.note.publishStatus, isActive: item.note.isActive }
+          : null
+      }));
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Create a collection
+// @route   POST /api/collections
+// @access  Private (Teachers)
+const createCollection = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const collectionData = { uploadedBy: req.user._id };
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) collectionData[field] = req.body[field];
+  });
+  collectionData.items = await resolveItems(req.body.items || [], req.user);
+
+  const collection = await Collection.create(collectionData);
+
+  res.status(201).json({
+    success: true,
+    message: 'Collection created successfully',
+    data: collection
+  });
+});
+
+// @desc    Update a collection's details or items
+// @route   PUT /api/collections/:id
+// @access  Private (Teachers - own collections)
+const updateCollection = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const collection = req.resource; // From checkOwnership middleware
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) collection[field] = req.body[field];
+  });
+  if (req.body.items !== undefined) {
+    collection.items = await resolveItems(req.body.items, req.user, collection);
+  }
+
+  await collection.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Collection updated successfully',
+    data: collection
+  });
+});
+
+// @desc    Delete a collection (its notes are not affected)
+// @route   DELETE /api/collections/:id
+// @access  Private (Teachers - own collections)
+const deleteCollection = asyncHandler(async (req, res, next) => {
+  const collection = req.resource; // From checkOwnership middleware
+
+  await collection.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Collection deleted successfully'
+  });
+});
+
+// Validation for the fields shared by create and update
+const collectionFieldRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot be more than 1000 characters'),
+
+  body('coverImage')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Cover image must be an http(s) URL'),
+
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Subject cannot be more than 100 characters'),
+
+  body('grade')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Grade cannot be more than 50 characters'),
+
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+
+  body('items')
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Items must be a list of at most 200 notes and sections'),
+
+  body('items')
+    .optional()
+    .custom(items => items.every(item => item && (item.kind === 'note'
+      ? /^[0-9a-fA-F]{24}$/.test(String(item.note))
+      : item.kind === 'section' && typeof item.heading === 'string' &&
+        item.heading.trim().length > 0 && item.heading.trim().length <= 100)))
+    .withMessage('Each item must be a note with a valid note ID or a section with a heading of up to 100 characters')
+];
+
+// Validation for creating a collection
+const validateCollection = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+
+  ...collectionFieldRules
+];
+
+// Validation for updating a collection
+const validateCollectionUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+
+  ...collectionFieldRules
+];
+
+// Query validation for the public listing
+const validateCollectionQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  query('teacher')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid teacher ID'),
+
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be more than 100 characters')
+];
+
+module.exports = {
+  getCollections,
+  getMyCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  validateCollection,
+  validateCollectionUpdate,
+  validateCollectionQuery
+};
@@ -7,27 +7,39 @@ const { query, validationResult } = require('express-validator');
 // @route   GET /api/download-history
 // @access  Private (Students only)
 const getDownloadHistory = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
 
-  const downloads = await DownloadHistory.find({ studentId: req.user._id })
-    .populate('noteId', 'title subject grade uploadedBy')
-    .populate('uploadedBy', 'name email')
-    .sort({ downloadedAt: -1 })
-    .skip(skip)
-    .limit(limit);
+  const { data: downloads, nextCursor, prevCursor } = await DownloadHistory.getStudentDownloads(
+    req.user._id,
+    page,
+    limit,
+    req.query.cursor
+  );
 
   const total = await DownloadHistory.countDocuments({ studentId: req.user._id });
 
+  // Flag downloads of notes that have been updated since
+  const data = downloads.map(download => ({
+    ...download.toObject(),
+    hasNewerVersion: Boolean(download.noteId && (download.noteId.currentVersion || 1) > download.noteVersion)
+  }));
+
   res.status(200).json({
     success: true,
-    data: downloads,
+    data,
     pagination: {
-      currentPage: page,
+      currentPage: req.query.cursor ? null : page,
       totalPages: Math.ceil(total / limit),
       totalItems: total,
-      itemsPerPage: limit
+      itemsPerPage: limit,
+      nextCursor,
+      prevCursor
     }
   });
 });
@@ -170,7 +182,13 @@ const validateDownloadHistoryQuery = [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 50 })
-    .withMessage('Limit must be between 1 and 50')
+    .withMessage('Limit must be between 1 and 50'),
+  
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid pagination cursor')
 ];
 
 module.exports = {
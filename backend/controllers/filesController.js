@@ -0,0 +1,41 @@
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { getMimeType } = require('../middleware/fileUpload');
+const { verifySignedFileToken } = require('../utils/storage');
+const { sendStoredFile } = require('../utils/noteFiles');
+
+// Types the browser may show in the preview; anything else is downloaded
+const INLINE_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Helmet's Content-Security-Policy with frame-ancestors replaced, so the
+// frontend can show the file in an iframe
+const allowFraming = (csp = '') => {
+  const directives = String(csp)
+    .split(';')
+    .map(directive => directive.trim())
+    .filter(directive => directive && !directive.startsWith('frame-ancestors'));
+
+  directives.push(`frame-ancestors 'self' ${process.env.FRONTEND_URL || ''}`.trim());
+  return directives.join('; ');
+};
+
+// @desc    Serve a locally stored file through a signed URL (for previews)
+// @route   GET /api/files/:token
+// @access  Public (with a signed URL from the notes API)
+const getSignedFile = asyncHandler(async (req, res, next) => {
+  const file = verifySignedFileToken(req.params.token);
+  if (!file) {
+    return next(new ErrorResponse('This file link has expired, please reload the note', 410));
+  }
+
+  // Previews are shown in an iframe on the frontend
+  res.removeHeader('X-Frame-Options');
+  res.setHeader('Content-Security-Policy', allowFraming(res.getHeader('Content-Security-Policy')));
+
+  const inline = INLINE_MIME_TYPES.includes(getMimeType(file.originalFileName || file.filePath));
+  await sendStoredFile(res, next, file, { inline });
+});
+
+module.exports = {
+  getSignedFile
+};
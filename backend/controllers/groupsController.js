@@ -0,0 +1,156 @@
+const StudentGroup = require('../models/StudentGroup');
+const Note = require('../models/Note');
+const User = require('../models/User');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { body, validationResult } = require('express-validator');
+
+// Group fields teachers can edit (members are set by email)
+const EDITABLE_FIELDS = ['name', 'description'];
+
+// A group with its members' names and emails, for the teacher managing it
+const serializeGroup = async (group) => {
+  await group.populate('members', 'name email');
+  return { ...group.toObject(), memberCount: group.memberCount };
+};
+
+// Look up the students to put in a group by email
+const resolveMembers = async (emails) => {
+  const { students, missing } = await User.findStudentsByEmail(emails);
+
+  if (missing.length > 0) {
+    throw new ErrorResponse(`No student accounts found for: ${missing.join(', ')}`, 400);
+  }
+
+  return students.map(student => student._id);
+};
+
+// @desc    Get the current teacher's student groups
+// @route   GET /api/groups
+// @access  Private (Teachers)
+const getMyGroups = asyncHandler(async (req, res, next) => {
+  const groups = await StudentGroup.find({ uploadedBy: req.user._id })
+    .sort({ name: 1 })
+    .populate('members', 'name email');
+
+  res.status(200).json({
+    success: true,
+    count: groups.length,
+    data: groups.map(group => ({ ...group.toObject(), memberCount: group.memberCount }))
+  });
+});
+
+// @desc    Create a student group
+// @route   POST /api/groups
+// @access  Private (Teachers)
+const createGroup = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const groupData = { uploadedBy: req.user._id };
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) groupData[field] = req.body[field];
+  });
+  groupData.members = await resolveMembers(req.body.members || []);
+
+  const group = await StudentGroup.create(groupData);
+
+  res.status(201).json({
+    success: true,
+    message: 'Group created successfully',
+    data: await serializeGroup(group)
+  });
+});
+
+// @desc    Update a student group's details or members
+// @route   PUT /api/groups/:id
+// @access  Private (Teachers - own groups)
+const updateGroup = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const group = req.resource; // From checkOwnership middleware
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) group[field] = req.body[field];
+  });
+  if (req.body.members !== undefined) {
+    group.members = await resolveMembers(req.body.members);
+  }
+
+  await group.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Group updated successfully',
+    data: await serializeGroup(group)
+  });
+});
+
+// @desc    Delete a student group. Notes shared with it stop being shared
+//          with its members (unless shared with them some other way).
+// @route   DELETE /api/groups/:id
+// @access  Private (Teachers - own groups)
+const deleteGroup = asyncHandler(async (req, res, next) => {
+  const group = req.resource; // From checkOwnership middleware
+
+  await Note.updateMany({ sharedGroups: group._id }, { $pull: { sharedGroups: group._id } });
+  await group.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Group deleted successfully'
+  });
+});
+
+// Validation for the fields shared by create and update
+const groupFieldRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+
+  body('members')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Members must be a list of at most 500 student emails'),
+
+  body('members.*')
+    .isEmail()
+    .withMessage('Members must be given by email')
+];
+
+// Validation for creating a group
+const validateGroup = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+
+  ...groupFieldRules
+];
+
+// Validation for updating a group
+const validateGroupUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+
+  ...groupFieldRules
+];
+
+module.exports = {
+  getMyGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  validateGroup,
+  validateGroupUpdate
+};
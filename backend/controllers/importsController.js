@@ -0,0 +1,73 @@
+const ImportJob = require('../models/ImportJob');
+const asyncHandler = require('../middleware/asyncHandler');
+const { validateNote } = require('./notesController');
+const { readImport, startImport } = require('../utils/noteImporter');
+
+// Number of recent imports listed for a teacher
+const RECENT_IMPORTS_LIMIT = 20;
+
+// An import job with its progress percentage
+const serializeJob = (job) => ({ ...job.toObject(), progress: job.progress });
+
+// @desc    Start a bulk import of notes from a ZIP archive and manifest
+// @route   POST /api/imports
+// @access  Private (Teachers)
+const createImport = asyncHandler(async (req, res, next) => {
+  const [archive] = req.files.archive;
+  const [manifest] = req.files.manifest || [];
+
+  // Every row is checked before anything is imported; invalid rows are
+  // reported on the job and skipped
+  const rows = await readImport(archive, manifest, validateNote);
+  const job = await startImport(archive.originalname, rows, req.user);
+
+  const invalidCount = job.rows.filter(row => row.status === 'invalid').length;
+
+  res.status(202).json({
+    success: true,
+    message: invalidCount > 0
+      ? `Import started. ${invalidCount} of ${job.totalRows} rows have errors and will be skipped.`
+      : 'Import started',
+    data: serializeJob(job)
+  });
+});
+
+// @desc    Get the current teacher's recent imports
+// @route   GET /api/imports
+// @access  Private (Teachers)
+const getImports = asyncHandler(async (req, res, next) => {
+  await ImportJob.failStalled({ uploadedBy: req.user._id });
+
+  const jobs = await ImportJob.find({ uploadedBy: req.user._id })
+    .select('-rows')
+    .sort({ createdAt: -1 })
+    .limit(RECENT_IMPORTS_LIMIT);
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs.map(serializeJob)
+  });
+});
+
+// @desc    Get an import's progress and the result of each row
+// @route   GET /api/imports/:id
+// @access  Private (Teachers - own imports)
+const getImport = asyncHandler(async (req, res, next) => {
+  let job = req.resource; // From checkOwnership middleware
+
+  if ((await ImportJob.failStalled({ _id: job._id })).modifiedCount > 0) {
+    job = await ImportJob.findById(job._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: serializeJob(job)
+  });
+});
+
+module.exports = {
+  createImport,
+  getImports,
+  getImport
+};
@@ -1,17 +1,212 @@
 const Note = require('../models/Note');
 const Review = require('../models/Review');
 const DownloadHistory = require('../models/DownloadHistory');
+const SavedSearch = require('../models/SavedSearch');
+const NoteVersion = require('../models/NoteVersion');
+const StudentGroup = require('../models/StudentGroup');
+const User = require('../models/User');
+const Collection = require('../models/Collection');
+const TaxonomyTerm = require('../models/TaxonomyTerm');
 const ErrorResponse = require('../middleware/ErrorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
-const { body, validationResult, query } = require('express-validator');
-const { getFileInfo, deleteFile } = require('../middleware/fileUpload');
-const path = require('path');
+const { findOwnedResource } = require('../middleware/auth');
+const { body, param, validationResult, query } = require('express-validator');
+const { getFileInfo } = require('../middleware/fileUpload');
+const { buildHighlights } = require('../utils/searchHighlighter');
+const { extractNoteText, readFileContent } = require('../utils/textExtractor');
+const { MAX_MARKDOWN_LENGTH, renderMarkdown } = require('../utils/markdownRenderer');
+const { parseCursor, buildCursorFilter, getCursorSort, buildPage } = require('../utils/pagination');
+const { getFileKey, hashFileContent, deleteStoredFile, sendStoredFile, withFileUrls } = require('../utils/noteFiles');
+const { toTaxonomyValue, isTaxonomyValue } = require('../utils/taxonomy');
 
-// @desc    Get all notes (with filtering)
+// Sort keys that rank by average rating, and the default ratings needed to be ranked
+const SORT_BY_RATING = ['averageRating', 'rating'];
+const DEFAULT_MIN_RATINGS = 3;
+
+// Note fields teachers can edit; changes to them create a new version
+const EDITABLE_FIELDS = ['title', 'description', 'subject', 'grade', 'category', 'difficulty', 'tags', 'isPublic', 'content'];
+
+// Publishing schedule fields teachers can edit; they are not versioned
+const PUBLISHING_FIELDS = ['isDraft', 'publishAt', 'unpublishAt'];
+
+// Serialize the editable fields so two states of a note can be compared
+const snapshotFields = (note) => {
+  const snapshot = {};
+  EDITABLE_FIELDS.forEach(field => {
+    snapshot[field] = JSON.stringify(note[field]);
+  });
+  return snapshot;
+};
+
+// Save attachment edits. When they change the note's primary (first) file,
+// the change is recorded as a new version and the new primary file is re-indexed.
+const saveAttachmentChanges = async (note, previousFileKey, author, changeNote) => {
+  const primary = note.attachments[0];
+  const fileChanged = (primary ? getFileKey(primary) : null) !== previousFileKey;
+
+  if (fileChanged) {
+    note.currentVersion = (note.currentVersion || 1) + 1;
+    note.textExtraction = { status: primary || note.content ? 'pending' : 'none', error: null, extractedAt: null };
+  }
+
+  await note.save();
+
+  if (fileChanged) {
+    await NoteVersion.record(note, { author, changeNote, changes: ['file'] });
+    extractNoteText(note);
+  }
+};
+
+// Most notes one bulk action can change (the size of a my-uploads page)
+const MAX_BULK_NOTES = 50;
+
+// Changes teachers can make to many of their notes at once
+const BULK_ACTIONS = ['update', 'set-visibility', 'archive', 'add-to-collection'];
+
+// Split a list given as an array or a comma-separated string (multipart forms)
+const toList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Apply the students (by email) and groups a note is shared with. Groups must
+// be managed by the note's owner, also when a co-author edits the note.
+const applySharing = async (note, { sharedWith, sharedGroups }) => {
+  if (sharedWith !== undefined) {
+    const { students, missing } = await User.findStudentsByEmail(sharedWith);
+    if (missing.length > 0) {
+      throw new ErrorResponse(`No student accounts found for: ${missing.join(', ')}`, 400);
+    }
+    note.sharedWith = students.map(student => student._id);
+  }
+
+  if (sharedGroups !== undefined) {
+    const ownerId = note.uploadedBy && note.uploadedBy._id ? note.uploadedBy._id : note.uploadedBy;
+    const groups = await StudentGroup.find({ _id: { $in: sharedGroups }, uploadedBy: ownerId }).select('_id');
+    if (groups.length !== new Set(sharedGroups).size) {
+      throw new ErrorResponse("Notes can only be shared with their owner's groups", 400);
+    }
+    note.sharedGroups = groups.map(group => group._id);
+  }
+};
+
+// Read an uploaded file and add its content hash to the file info. Returns
+// the bytes so the file can be indexed without fetching it again.
+const hashUpload = async (file, fileInfo) => {
+  fileInfo.contentHash = null;
+  try {
+    const buffer = await readFileContent(file);
+    fileInfo.contentHash = hashFileContent(buffer);
+    return buffer;
+  } catch (error) {
+    // Duplicate detection is best-effort; don't fail the upload
+    console.error('Error hashing uploaded file:', error.message);
+    return null;
+  }
+};
+
+// Reply 409 with the notes that already have the uploaded file, and remove
+// the stored upload. The teacher can send it again with allowDuplicate to
+// keep a separate copy.
+const rejectDuplicateUpload = async (res, fileInfo, duplicates, user) => {
+  await deleteStoredFile(fileInfo);
+
+  res.status(409).json({
+    success: false,
+    error: {
+      message: `This file has already been uploaded as "${duplicates[0].title}"`,
+      duplicates: duplicates.map(note => ({
+        _id: note._id,
+        title: note.title,
+        slug: note.slug,
+        uploadedBy: note.uploadedBy ? note.uploadedBy.name : null,
+        isOwn: Boolean(note.uploadedBy && note.uploadedBy._id.equals(user._id)),
+        createdAt: note.createdAt
+      }))
+    }
+  });
+};
+
+// Remove the files stored for a request that is rejected
+const discardUploads = async (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  for (const file of files) {
+    await deleteStoredFile(getFileInfo(file));
+  }
+};
+
+// Time left until a note is published and unpublished, for teacher countdowns
+const getPublishSchedule = (note, now = Date.now()) => {
+  const status = note.publishStatus;
+
+  return {
+    publishStatus: status,
+    publishesIn: status === 'scheduled' ? note.publishAt - now : null,
+    unpublishesIn: ['scheduled', 'published'].includes(status) && note.unpublishAt ? note.unpublishAt - now : null
+  };
+};
+
+// Send saved-search alerts for a note that has just become visible
+const notifySavedSearches = (note) => {
+  return SavedSearch.notifyMatches(note)
+    .catch(error => console.error('Error sending saved search alerts:', error.message));
+};
+
+// Record a student's download in their history
+const recordDownload = async (req, note, file) => {
+  if (!req.user || req.user.role !== 'student') return;
+
+  try {
+    await DownloadHistory.create({
+      noteId: note._id,
+      studentId: req.user._id,
+      fileName: file.originalFileName || file.fileName || 'download',
+      fileSize: file.fileSize || 0,
+      fileType: file.fileType || '',
+      noteTitle: note.title,
+      noteSubject: note.subject,
+      noteGrade: note.grade,
+      noteVersion: note.currentVersion || 1,
+      uploadedBy: note.uploadedBy
+    });
+  } catch (error) {
+    // Don't fail the download if history creation fails
+    console.error('Error creating download history:', error);
+  }
+};
+
+// Send a note to someone who can see it, counting the view
+const sendNote = async (req, res, next, note) => {
+  if (!note) {
+    return next(new ErrorResponse('Note not found', 404));
+  }
+
+  if (!(await note.isVisibleTo(req.user))) {
+    return next(new ErrorResponse('Note not available', 404));
+  }
+
+  // Increment view count (owners previewing an unpublished or private note don't count)
+  if (note.publishStatus === 'published' && note.visibility !== 'private') {
+    await note.incrementView();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: withFileUrls(req, note)
+  });
+};
+
+// @desc    Get all notes (with filtering and keyword search)
 // @route   GET /api/notes
 // @access  Public
 const getNotes = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
   const filters = {
+    search: req.query.search ? req.query.search.trim() || undefined : undefined,
     subject: req.query.subject,
     grade: req.query.grade,
     category: req.query.category,
@@ -27,30 +222,70 @@ const getNotes = asyncHandler(async (req, res, next) => {
     }
   });
 
+  // A subject also matches the subjects nested under it (Science finds Physics notes)
+  if (filters.subject) {
+    filters.subject = await TaxonomyTerm.getDescendantValues('subject', filters.subject);
+  }
+
+  // Signed-in students also get the restricted notes shared with them
+  filters.viewer = await Note.getViewer(req.user);
+
+  const sortBy = req.query.sortBy;
+  const order = req.query.order || 'desc';
+
+  // Top-rated listings only include notes with enough ratings to be meaningful
+  if (SORT_BY_RATING.includes(sortBy)) {
+    filters.minRatings = req.query.minRatings !== undefined
+      ? parseInt(req.query.minRatings)
+      : DEFAULT_MIN_RATINGS;
+  }
+
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  // Get notes using the model's static method
-  const notesQuery = Note.getByFilters(filters);
-  
-  // Add pagination
-  const notes = await notesQuery.skip(skip).limit(limit);
-  
-  // Get total count for pagination
-  const total = await Note.countDocuments({
-    isActive: true,
-    isPublic: true,
-    ...filters
+  // Get a page of notes by cursor, falling back to the page number
+  const { data: notes, nextCursor, prevCursor } = await Note.getPage(filters, {
+    sortBy,
+    order,
+    limit,
+    skip,
+    cursor: req.query.cursor
   });
+  
+  // Get total count for pagination and facet counts for the same filters
+  const [total, facets] = await Promise.all([
+    Note.countDocuments(Note.buildFilterQuery(filters)),
+    Note.getFacets(filters)
+  ]);
+
+  // Attach highlighted snippets to search results, including matches in document text
+  let data = notes;
+  if (filters.search) {
+    const contents = await Note.find({ _id: { $in: notes.map(note => note._id) } })
+      .select('contentText')
+      .lean();
+    const contentById = new Map(contents.map(content => [content._id.toString(), content.contentText]));
+
+    data = notes.map(note => ({
+      ...note,
+      highlights: buildHighlights(
+        { ...note, contentText: contentById.get(note._id.toString()) },
+        filters.search
+      )
+    }));
+  }
 
   res.status(200).json({
     success: true,
     count: notes.length,
     total,
     totalPages: Math.ceil(total / limit),
-    currentPage: page,
-    data: notes
+    currentPage: req.query.cursor ? null : page,
+    nextCursor,
+    prevCursor,
+    facets,
+    data
   });
 });
 
@@ -64,22 +299,66 @@ const getNote = asyncHandler(async (req, res, next) => {
   }
 
   const note = await Note.findById(req.params.id)
+    .select('+contentHtml')
+    .populate('uploadedBy', 'name email role subject qualification');
+
+  await sendNote(req, res, next, note);
+});
+
+// @desc    Get single note by its slug (earlier slugs redirect to the current one)
+// @route   GET /api/notes/by-slug/:slug
+// @access  Public
+const getNoteBySlug = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = await Note.findOne(await Note.buildSlugQuery(req.params.slug))
+    .select('+contentHtml')
     .populate('uploadedBy', 'name email role subject qualification');
 
+  // Not a permanent redirect: a note can be renamed back to an earlier title
+  if (note && note.slug !== req.params.slug && (await note.isVisibleTo(req.user))) {
+    return res.redirect(302, `${req.baseUrl}/by-slug/${encodeURIComponent(note.slug)}`);
+  }
+
+  await sendNote(req, res, next, note);
+});
+
+// @desc    Get notes related to a note
+// @route   GET /api/notes/:id/related
+// @access  Public
+const getRelatedNotes = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  // Validate ObjectId format
+  if (!req.params.id || !/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+    return next(new ErrorResponse('Invalid note ID format', 400));
+  }
+
+  const note = await Note.findById(req.params.id);
+
   if (!note) {
     return next(new ErrorResponse('Note not found', 404));
   }
 
-  if (!note.isActive || !note.isPublic) {
+  if (note.publishStatus !== 'published' || !(await note.isVisibleTo(req.user))) {
     return next(new ErrorResponse('Note not available', 404));
   }
 
-  // Increment view count
-  await note.incrementView();
+  const related = await Note.getRelated(note, {
+    limit: parseInt(req.query.limit) || 6,
+    viewer: await Note.getViewer(req.user)
+  });
 
   res.status(200).json({
     success: true,
-    data: note
+    count: related.length,
+    data: related
   });
 });
 
@@ -93,33 +372,585 @@ const uploadNote = asyncHandler(async (req, res, next) => {
   }
 
   let fileInfo = {};
+  let fileContent = null;
   if (req.file) {
     fileInfo = getFileInfo(req.file);
+    fileContent = await hashUpload(req.file, fileInfo);
+
+    if (!req.body.allowDuplicate) {
+      const duplicates = await Note.findDuplicates(fileInfo.contentHash, req.user);
+      if (duplicates.length > 0) {
+        return rejectDuplicateUpload(res, fileInfo, duplicates, req.user);
+      }
+    }
   }
   
-  const noteData = {
-    ...req.body,
+  // Only the fields a teacher can edit are taken from the request; counters,
+  // co-authors, slugs and the rest are set by the server
+  const noteData = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) noteData[field] = req.body[field];
+  });
+  PUBLISHING_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) noteData[field] = req.body[field] === '' ? null : req.body[field];
+  });
+
+  const note = new Note({
+    ...noteData,
     ...fileInfo,
     uploadedBy: req.user._id,
-    tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim().toLowerCase()) : []
+    tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim().toLowerCase()) : [],
+    textExtraction: { status: req.file || req.body.content ? 'pending' : 'none' },
+    currentVersion: 1
+  });
+  await applySharing(note, { sharedWith: req.body.sharedWith, sharedGroups: req.body.sharedGroups });
+  if (note.isPublished()) {
+    note.releasedAt = new Date();
+  }
+  await note.saveWithSlug();
+
+  // Start the version history with the uploaded state
+  await NoteVersion.record(note, { author: req.user._id, changeNote: req.body.changeNote || 'Initial upload' });
+
+  // Index the document text in the background (failures are recorded on the note),
+  // then alert students whose saved searches match the new note. Scheduled notes
+  // are announced by the publish scheduler once they are released.
+  const upload = fileContent ? { buffer: fileContent } : req.file;
+  const indexing = req.file || note.content ? extractNoteText(note, upload) : Promise.resolve();
+  indexing.then(() => {
+    if (note.releasedAt) notifySavedSearches(note);
+  });
+
+  // Populate teacher info
+  await note.populate('uploadedBy', 'name email role subject qualification');
+
+  res.status(201).json({
+    success: true,
+    message: 'Note uploaded successfully',
+    data: note
+  });
+});
+
+// @desc    Update note (Teachers only - own notes)
+// @route   PUT /api/notes/:id
+// @access  Private (Teachers)
+const updateNote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+
+  if (!note.isActive) {
+    await discardUploads(req);
+    return next(new ErrorResponse('Note is in the trash', 400));
+  }
+
+  // A replacement file is checked for duplicates before anything changes
+  let fileInfo = null;
+  let fileContent = null;
+  if (req.file) {
+    fileInfo = getFileInfo(req.file);
+    fileContent = await hashUpload(req.file, fileInfo);
+
+    if (!req.body.allowDuplicate) {
+      const duplicates = await Note.findDuplicates(fileInfo.contentHash, req.user, note._id);
+      if (duplicates.length > 0) {
+        return rejectDuplicateUpload(res, fileInfo, duplicates, req.user);
+      }
+    }
+  }
+
+  // Make sure the state being replaced is kept in the version history
+  await NoteVersion.ensureRecorded(note);
+  const before = snapshotFields(note);
+  const wasPublished = note.isPublished();
+
+  // Update allowed fields
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      if (field === 'tags' && typeof req.body[field] === 'string') {
+        note[field] = req.body[field].split(',').map(tag => tag.trim().toLowerCase());
+      } else {
+        note[field] = req.body[field];
+      }
+    }
+  });
+
+  PUBLISHING_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      note[field] = req.body[field] === '' ? null : req.body[field];
+    }
+  });
+
+  // Sharing with students and groups is not versioned either
+  await applySharing(note, req.body);
+
+  // A note published for the first time (e.g. a draft going live) is announced
+  const released = !wasPublished && !note.releasedAt && note.isPublished();
+  if (released) {
+    note.releasedAt = new Date();
+  }
+
+  // Handle file replacement if new file is uploaded.
+  // The old file is kept: earlier versions still point at it.
+  if (req.file) {
+    Object.assign(note, fileInfo);
+    note.textExtraction = { status: 'pending', error: null, extractedAt: null };
+  }
+
+  const after = snapshotFields(note);
+  const changes = EDITABLE_FIELDS.filter(field => before[field] !== after[field]);
+  if (req.file) changes.push('file');
+
+  // Written content is indexed together with the file
+  const reindex = Boolean(req.file) || changes.includes('content');
+  if (reindex && !req.file) {
+    note.textExtraction = { status: 'pending', error: null, extractedAt: null };
+  }
+
+  if (changes.length > 0) {
+    note.currentVersion = (note.currentVersion || 1) + 1;
+  }
+
+  await note.saveWithSlug();
+
+  if (changes.length > 0) {
+    await NoteVersion.record(note, { author: req.user._id, changeNote: req.body.changeNote, changes });
+  }
+
+  // Re-index the replacement document or content in the background
+  if (reindex) {
+    extractNoteText(note, fileContent ? { buffer: fileContent } : req.file);
+  }
+
+  if (released) {
+    notifySavedSearches(note);
+  }
+
+  // Populate teacher info and who the note is shared with
+  await note.populate([
+    { path: 'uploadedBy', select: 'name email role subject qualification' },
+    { path: 'sharedWith', select: 'name email' },
+    { path: 'sharedGroups', select: 'name' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Note updated successfully',
+    data: note
+  });
+});
+
+// @desc    Move note to the trash (Teachers only - own notes)
+// @route   DELETE /api/notes/:id
+// @access  Private (Teachers)
+const deleteNote = asyncHandler(async (req, res, next) => {
+  const note = req.resource; // From checkOwnership middleware
+
+  if (note.deletedAt) {
+    return next(new ErrorResponse('Note is already in the trash', 400));
+  }
+
+  // The note and its reviews stay restorable until the trash is purged
+  await note.moveToTrash();
+
+  res.status(200).json({
+    success: true,
+    message: 'Note moved to trash',
+    data: {
+      deletedAt: note.deletedAt,
+      purgeAt: note.purgeAt
+    }
+  });
+});
+
+// @desc    Get the current teacher's trashed notes
+// @route   GET /api/notes/trash
+// @access  Private (Teachers)
+const getTrash = asyncHandler(async (req, res, next) => {
+  const notes = await Note.find({
+    uploadedBy: req.user._id,
+    deletedAt: { $gt: Note.getTrashCutoff() }
+  }).sort({ deletedAt: -1, _id: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: notes.length,
+    data: notes.map(note => ({
+      ...note.toObject(),
+      purgeAt: note.purgeAt
+    }))
+  });
+});
+
+// @desc    Restore a note from the trash
+// @route   POST /api/notes/:id/restore
+// @access  Private (Teachers - own notes)
+const restoreNote = asyncHandler(async (req, res, next) => {
+  const note = req.resource; // From checkOwnership middleware
+
+  if (!note.deletedAt) {
+    return next(new ErrorResponse('Note is not in the trash', 400));
+  }
+
+  if (note.deletedAt <= Note.getTrashCutoff()) {
+    return next(new ErrorResponse('Note has passed the trash retention period and can no longer be restored', 410));
+  }
+
+  await note.restoreFromTrash();
+  await note.populate('uploadedBy', 'name email role subject qualification');
+
+  res.status(200).json({
+    success: true,
+    message: 'Note restored successfully',
+    data: note
+  });
+});
+
+// @desc    Render Markdown content the way it will be shown on the note
+// @route   POST /api/notes/markdown-preview
+// @access  Private (Teachers)
+const previewMarkdown = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      html: renderMarkdown(req.body.content || '')
+    }
+  });
+});
+
+// Apply one bulk action to one of the teacher's notes; returns what happened
+const applyBulkAction = async (note, action, data, user) => {
+  if (!note.isActive) {
+    throw new ErrorResponse('Note is in the trash', 400);
+  }
+
+  if (action === 'add-to-collection') {
+    const { collection } = data;
+    if (collection.items.some(item => item.kind === 'note' && item.note.equals(note._id))) {
+      return 'Already in the collection';
+    }
+
+    collection.items.push({ kind: 'note', note: note._id });
+    try {
+      await collection.save();
+    } catch (error) {
+      collection.items.pop();
+      throw error;
+    }
+    return 'Added to the collection';
+  }
+
+  // Archiving hides the note from students now, like an unpublish time that
+  // has passed; Publish Now brings it back
+  if (action === 'archive') {
+    if (note.publishStatus === 'expired') {
+      return 'Already archived';
+    }
+
+    const now = new Date();
+    if (note.publishAt && note.publishAt > now) {
+      note.publishAt = null;
+    }
+    note.unpublishAt = now;
+    await note.save();
+    return 'Archived';
+  }
+
+  // Other actions edit versioned fields, recorded as an edit would be
+  await NoteVersion.ensureRecorded(note);
+  const before = snapshotFields(note);
+  const wasPublished = note.isPublished();
+  Object.assign(note, data.fields);
+  const after = snapshotFields(note);
+  const changes = EDITABLE_FIELDS.filter(field => before[field] !== after[field]);
+
+  if (changes.length === 0) {
+    return 'No changes';
+  }
+
+  // A note made public for the first time is announced, as in updateNote
+  const released = !wasPublished && !note.releasedAt && note.isPublished();
+  if (released) {
+    note.releasedAt = new Date();
+  }
+
+  note.currentVersion = (note.currentVersion || 1) + 1;
+  await note.save();
+  await NoteVersion.record(note, { author: user._id, changeNote: data.changeNote, changes });
+
+  if (released) {
+    notifySavedSearches(note);
+  }
+  return 'Updated';
+};
+
+// @desc    Apply one change to many of the current teacher's notes
+// @route   POST /api/notes/bulk
+// @access  Private (Teachers - own notes)
+const bulkUpdateNotes = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const { noteIds, action } = req.body;
+  const data = { changeNote: req.body.changeNote || 'Bulk edit' };
+
+  if (action === 'update') {
+    data.fields = {};
+    ['subject', 'grade'].forEach(field => {
+      if (req.body[field] !== undefined) data.fields[field] = req.body[field];
+    });
+    if (req.body.tags !== undefined) {
+      data.fields.tags = req.body.tags.map(tag => tag.toLowerCase());
+    }
+
+    if (Object.keys(data.fields).length === 0) {
+      return next(new ErrorResponse('Choose a subject, grade or tags to change', 400));
+    }
+  } else if (action === 'set-visibility') {
+    data.fields = { isPublic: req.body.isPublic };
+  } else if (action === 'add-to-collection') {
+    data.collection = await findOwnedResource(Collection, req.body.collectionId, req.user);
+    if (!data.collection.isActive) {
+      return next(new ErrorResponse('Collection not found', 404));
+    }
+  }
+
+  // Each note is checked like checkOwnership and succeeds or fails on its own
+  const results = [];
+  for (const id of [...new Set(noteIds)]) {
+    try {
+      const note = await findOwnedResource(Note, id, req.user);
+      const message = await applyBulkAction(note, action, data, req.user);
+      results.push({ id, success: true, message });
+    } catch (error) {
+      results.push({ id, success: false, error: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.status(200).json({
+    success: true,
+    message: `${succeeded} of ${results.length} notes updated`,
+    succeeded,
+    failed: results.length - succeeded,
+    data: results
+  });
+});
+
+// @desc    Get groups of the current teacher's notes that have the same file
+// @route   GET /api/notes/duplicates
+// @access  Private (Teachers)
+const getMyDuplicates = asyncHandler(async (req, res, next) => {
+  const groups = await Note.getDuplicateReport(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: groups.length,
+    duplicateNotes: groups.reduce((sum, group) => sum + group.count - 1, 0),
+    data: groups
+  });
+});
+
+// @desc    Get notes the current teacher owns or edits as a co-author
+// @route   GET /api/notes/my-uploads
+// @access  Private (Teachers)
+const getMyUploads = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const sort = { createdAt: -1, _id: -1 };
+  const cursor = parseCursor(req.query.cursor, sort);
+  const skip = cursor ? 0 : (page - 1) * limit;
+
+  const query = {
+    isActive: true,
+    $and: [Note.buildAuthorQuery(req.user._id, ['owner', 'editor'])]
   };
 
-  const note = await Note.create(noteData);
+  // Optionally only list notes in one publishing state
+  if (req.query.status) {
+    query.$and.push(Note.buildPublishStatusQuery(req.query.status));
+  }
+
+  const uploads = await Note.find({
+    ...query,
+    ...buildCursorFilter(sort, cursor)
+  })
+    .sort(getCursorSort(sort, cursor))
+    .skip(skip)
+    .limit(limit + 1)
+    .populate('uploadedBy', 'name email role subject qualification')
+    .populate('coAuthors.user', 'name email')
+    .populate('sharedWith', 'name email')
+    .populate('sharedGroups', 'name');
+
+  const { data: notes, nextCursor, prevCursor } = buildPage(uploads, { sort, limit, cursor, skip });
+
+  const total = await Note.countDocuments(query);
+
+  // Include the teacher's role on each note, who can see it and where it is
+  // in its publishing schedule
+  const now = Date.now();
+  const data = notes.map(note => ({
+    ...note.toObject(),
+    authorRole: note.getAuthorRole(req.user),
+    visibility: note.visibility,
+    ...getPublishSchedule(note, now)
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: notes.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: cursor ? null : page,
+    nextCursor,
+    prevCursor,
+    data
+  });
+});
+
+// @desc    Download note file
+// @route   GET /api/notes/:id/download
+// @access  Public
+const downloadNote = asyncHandler(async (req, res, next) => {
+  // Validate ObjectId format
+  if (!req.params.id || !/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+    return next(new ErrorResponse('Invalid note ID format', 400));
+  }
+
+  const note = await Note.findById(req.params.id);
+
+  if (!note) {
+    return next(new ErrorResponse('Note not found', 404));
+  }
+
+  if (!(await note.isVisibleTo(req.user))) {
+    return next(new ErrorResponse('Note not available', 404));
+  }
+
+  // Check if note has a file
+  if (!note.filePath && !note.cloudinaryUrl) {
+    return next(new ErrorResponse('This note does not have a downloadable file', 404));
+  }
+
+  // Increment download count (the primary file is the first attachment)
+  if (note.attachments.length > 0) {
+    await note.incrementAttachmentDownload(note.attachments[0]._id);
+  } else {
+    await note.incrementDownload();
+  }
+
+  // Create download history record if user is authenticated and is a student
+  await recordDownload(req, note, note);
+
+  await sendStoredFile(res, next, note);
+});
+
+// @desc    Re-extract the text of a note's file for content search
+// @route   POST /api/notes/:id/extract-text
+// @access  Private (Teachers - own notes)
+const reextractNoteText = asyncHandler(async (req, res, next) => {
+  const note = req.resource; // From checkOwnership middleware
+
+  if (!note.isActive) {
+    return next(new ErrorResponse('Note is in the trash', 400));
+  }
+
+  if (!note.filePath && !note.cloudinaryUrl) {
+    return next(new ErrorResponse('This note does not have a file to extract text from', 400));
+  }
+
+  const textExtraction = await extractNoteText(note);
+
+  res.status(200).json({
+    success: true,
+    message: textExtraction.status === 'completed'
+      ? 'Note text extracted successfully'
+      : 'Note text could not be extracted',
+    data: textExtraction
+  });
+});
+
+// @desc    Add files to a note's attachments
+// @route   POST /api/notes/:id/attachments
+// @access  Private (Teachers - own notes)
+const addAttachments = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+  const labels = [].concat(req.body.labels || []);
+
+  if (!note.isActive) {
+    await discardUploads(req);
+    return next(new ErrorResponse('Note is in the trash', 400));
+  }
+
+  // Each file is checked for duplicates like a single upload, before anything changes
+  const files = [];
+  for (const [i, file] of req.files.entries()) {
+    const fileInfo = getFileInfo(file);
+    await hashUpload(file, fileInfo);
+    files.push({ ...fileInfo, label: labels[i] || '', uploadedAt: new Date() });
+  }
+
+  if (!req.body.allowDuplicate) {
+    for (const file of files) {
+      const duplicates = await Note.findDuplicates(file.contentHash, req.user);
+      if (duplicates.length > 0) {
+        for (const other of files.filter(entry => entry !== file)) {
+          await deleteStoredFile(other);
+        }
+        return rejectDuplicateUpload(res, file, duplicates, req.user);
+      }
+    }
+  }
+
+  await NoteVersion.ensureRecorded(note);
+  note.ensureAttachments();
+  const previousFileKey = note.attachments[0] ? getFileKey(note.attachments[0]) : null;
 
-  // Populate teacher info
-  await note.populate('uploadedBy', 'name email role subject qualification');
+  files.forEach(file => note.attachments.push(file));
+
+  try {
+    await saveAttachmentChanges(note, previousFileKey, req.user._id, req.body.changeNote);
+  } catch (error) {
+    // Don't leave the rejected uploads behind in storage
+    for (const file of files) {
+      await deleteStoredFile(file);
+    }
+    throw error;
+  }
 
   res.status(201).json({
     success: true,
-    message: 'Note uploaded successfully',
-    data: note
+    message: `${files.length} attachment(s) added successfully`,
+    data: note.attachments
   });
 });
 
-// @desc    Update note (Teachers only - own notes)
-// @route   PUT /api/notes/:id
-// @access  Private (Teachers)
-const updateNote = asyncHandler(async (req, res, next) => {
+// @desc    Update an attachment's label
+// @route   PUT /api/notes/:id/attachments/:attachmentId
+// @access  Private (Teachers - own notes)
+const updateAttachment = asyncHandler(async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
@@ -127,116 +958,110 @@ const updateNote = asyncHandler(async (req, res, next) => {
 
   const note = req.resource; // From checkOwnership middleware
 
-  // Update allowed fields
-  const allowedFields = ['title', 'description', 'subject', 'grade', 'category', 'difficulty', 'tags', 'isPublic'];
-  
-  allowedFields.forEach(field => {
-    if (req.body[field] !== undefined) {
-      if (field === 'tags' && typeof req.body[field] === 'string') {
-        note[field] = req.body[field].split(',').map(tag => tag.trim().toLowerCase());
-      } else {
-        note[field] = req.body[field];
-      }
-    }
-  });
+  if (!note.isActive) {
+    return next(new ErrorResponse('Note is in the trash', 400));
+  }
 
-  // Handle file replacement if new file is uploaded
-  if (req.file) {
-    // Delete old file
-    try {
-      if (note.cloudinaryPublicId) {
-        await deleteFile(note.cloudinaryPublicId, true);
-      } else if (note.filePath) {
-        await deleteFile(note.filePath, note.filePath.includes('cloudinary.com'));
-      }
-    } catch (error) {
-      console.log('Error deleting old file:', error.message);
-    }
+  note.ensureAttachments();
 
-    // Update with new file info
-    const fileInfo = getFileInfo(req.file);
-    Object.assign(note, fileInfo);
+  const attachment = note.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return next(new ErrorResponse('Attachment not found', 404));
   }
 
+  attachment.label = req.body.label;
   await note.save();
 
-  // Populate teacher info
-  await note.populate('uploadedBy', 'name email role subject qualification');
-
   res.status(200).json({
     success: true,
-    message: 'Note updated successfully',
-    data: note
+    message: 'Attachment updated successfully',
+    data: attachment
   });
 });
 
-// @desc    Delete note (Teachers only - own notes)
-// @route   DELETE /api/notes/:id
-// @access  Private (Teachers)
-const deleteNote = asyncHandler(async (req, res, next) => {
+// @desc    Reorder a note's attachments
+// @route   PUT /api/notes/:id/attachments/order
+// @access  Private (Teachers - own notes)
+const reorderAttachments = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
   const note = req.resource; // From checkOwnership middleware
 
-  // Delete associated file from Cloudinary or local storage
-  try {
-    if (note.cloudinaryPublicId) {
-      // Delete from Cloudinary using public_id
-      await deleteFile(note.cloudinaryPublicId, true);
-    } else if (note.filePath) {
-      // Delete from local storage or Cloudinary using file path
-      await deleteFile(note.filePath, note.filePath.includes('cloudinary.com'));
-    }
-  } catch (error) {
-    console.log('Error deleting file:', error.message);
+  if (!note.isActive) {
+    return next(new ErrorResponse('Note is in the trash', 400));
+  }
+
+  await NoteVersion.ensureRecorded(note);
+  note.ensureAttachments();
+  const previousFileKey = note.attachments[0] ? getFileKey(note.attachments[0]) : null;
+
+  // The new order must list every attachment exactly once
+  const order = req.body.order.map(String);
+  const currentIds = note.attachments.map(attachment => attachment._id.toString());
+  if (order.length !== currentIds.length || new Set(order).size !== order.length ||
+    !order.every(id => currentIds.includes(id))) {
+    return next(new ErrorResponse('Order must list every attachment of the note exactly once', 400));
   }
 
-  // Delete all reviews for this note
-  await Review.deleteMany({ noteId: note._id });
+  note.attachments = order.map(id => note.attachments.id(id).toObject());
 
-  // Delete the note
-  await note.deleteOne();
+  await saveAttachmentChanges(note, previousFileKey, req.user._id, req.body.changeNote);
 
   res.status(200).json({
     success: true,
-    message: 'Note deleted successfully'
+    message: 'Attachments reordered successfully',
+    data: note.attachments
   });
 });
 
-// @desc    Get notes uploaded by current teacher
-// @route   GET /api/notes/my-uploads
-// @access  Private (Teachers)
-const getMyUploads = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
+// @desc    Remove an attachment from a note
+// @route   DELETE /api/notes/:id/attachments/:attachmentId
+// @access  Private (Teachers - own notes)
+const removeAttachment = asyncHandler(async (req, res, next) => {
+  const note = req.resource; // From checkOwnership middleware
 
-  const notes = await Note.find({ 
-    uploadedBy: req.user._id,
-    isActive: true
-  })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
-    .populate('uploadedBy', 'name email role subject qualification');
+  if (!note.isActive) {
+    return next(new ErrorResponse('Note is in the trash', 400));
+  }
 
-  const total = await Note.countDocuments({ 
-    uploadedBy: req.user._id,
-    isActive: true
+  await NoteVersion.ensureRecorded(note);
+  note.ensureAttachments();
+  const previousFileKey = note.attachments[0] ? getFileKey(note.attachments[0]) : null;
+
+  const attachment = note.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return next(new ErrorResponse('Attachment not found', 404));
+  }
+
+  const file = attachment.toObject();
+  note.attachments.pull(attachment._id);
+
+  await saveAttachmentChanges(note, previousFileKey, req.user._id, req.body && req.body.changeNote);
+
+  // Keep the file if an earlier version of the note still points at it
+  const fileKey = getFileKey(file);
+  const inHistory = fileKey && await NoteVersion.exists({
+    noteId: note._id,
+    $or: [{ 'file.cloudinaryPublicId': fileKey }, { 'file.filePath': fileKey }]
   });
+  if (!inHistory) {
+    await deleteStoredFile(file);
+  }
 
   res.status(200).json({
     success: true,
-    count: notes.length,
-    total,
-    totalPages: Math.ceil(total / limit),
-    currentPage: page,
-    data: notes
+    message: 'Attachment removed successfully',
+    data: note.attachments
   });
 });
 
-// @desc    Download note file
-// @route   GET /api/notes/:id/download
+// @desc    Download one attachment of a note
+// @route   GET /api/notes/:id/attachments/:attachmentId/download
 // @access  Public
-const downloadNote = asyncHandler(async (req, res, next) => {
+const downloadAttachment = asyncHandler(async (req, res, next) => {
   // Validate ObjectId format
   if (!req.params.id || !/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
     return next(new ErrorResponse('Invalid note ID format', 400));
@@ -248,106 +1073,136 @@ const downloadNote = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Note not found', 404));
   }
 
-  if (!note.isActive || !note.isPublic) {
+  if (!(await note.isVisibleTo(req.user))) {
     return next(new ErrorResponse('Note not available', 404));
   }
 
-  // Check if note has a file
-  if (!note.filePath && !note.cloudinaryUrl) {
-    return next(new ErrorResponse('This note does not have a downloadable file', 404));
+  const attachment = /^[0-9a-fA-F]{24}$/.test(req.params.attachmentId)
+    ? note.attachments.id(req.params.attachmentId)
+    : null;
+
+  if (!attachment) {
+    return next(new ErrorResponse('Attachment not found', 404));
   }
 
-  // Increment download count
-  await note.incrementDownload();
+  await note.incrementAttachmentDownload(attachment._id);
+  await recordDownload(req, note, attachment);
 
-  // Create download history record if user is authenticated and is a student
-  if (req.user && req.user.role === 'student') {
-    try {
-      await DownloadHistory.create({
-        noteId: note._id,
-        studentId: req.user._id,
-        fileName: note.originalFileName || note.fileName || 'download',
-        fileSize: note.fileSize || 0,
-        fileType: note.fileType || '',
-        noteTitle: note.title,
-        noteSubject: note.subject,
-        noteGrade: note.grade,
-        uploadedBy: note.uploadedBy
-      });
-    } catch (error) {
-      // Don't fail the download if history creation fails
-      console.error('Error creating download history:', error);
-    }
+  await sendStoredFile(res, next, attachment);
+});
+
+// @desc    Get the version history of a note
+// @route   GET /api/notes/:id/versions
+// @access  Private (Teachers - own notes)
+const getNoteVersions = asyncHandler(async (req, res, next) => {
+  const note = req.resource; // From checkOwnership middleware
+
+  const versions = await NoteVersion.find({ noteId: note._id })
+    .sort({ version: -1 })
+    .populate('author', 'name email');
+
+  res.status(200).json({
+    success: true,
+    count: versions.length,
+    currentVersion: note.currentVersion || 1,
+    data: versions.map(version => ({
+      ...version.toObject(),
+      hasFile: version.hasFile,
+      isCurrent: version.version === (note.currentVersion || 1)
+    }))
+  });
+});
+
+// @desc    Download the file of an older note version
+// @route   GET /api/notes/:id/versions/:version/download
+// @access  Private (Teachers - own notes)
+const downloadNoteVersion = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
   }
 
-  // Check if file is stored on Cloudinary
-  if ((note.cloudinaryUrl || note.filePath?.includes('cloudinary.com'))) {
-    // For Cloudinary files, redirect to the secure URL with download headers.
-    const downloadUrl = note.cloudinarySecureUrl || note.cloudinaryUrl || note.filePath;
-    const originalFileName = note.originalFileName || note.fileName || 'download';
-
-    // Set proper Content-Type based on file extension if mimeType is not available
-    let contentType = note.mimeType;
-    if (!contentType) {
-      const fileExt = originalFileName.split('.').pop()?.toLowerCase();
-      const mimeTypes = {
-        'pdf': 'application/pdf',
-        'doc': 'application/msword',
-        'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'txt': 'text/plain',
-        'jpg': 'image/jpeg',
-        'jpeg': 'image/jpeg',
-        'png': 'image/png',
-        'ppt': 'application/vnd.ms-powerpoint',
-        'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-      };
-      contentType = mimeTypes[fileExt] || 'application/octet-stream';
-    }
-    
-    // Set headers for download
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${originalFileName}"`);
-    
-    // For Cloudinary files, we'll fetch the file and stream it instead of redirecting
-    try {
-      const https = require('https');
-      const http = require('http');
-      
-      const url = new URL(downloadUrl);
-      const client = url.protocol === 'https:' ? https : http;
-      
-      client.get(downloadUrl, (response) => {
-        // Set the same headers for the response
-        res.setHeader('Content-Type', contentType);
-        res.setHeader('Content-Disposition', `attachment; filename="${originalFileName}"`);
-        res.setHeader('Content-Length', response.headers['content-length'] || '');
-        
-        response.pipe(res);
-      }).on('error', (err) => {
-        console.error('Error fetching file from Cloudinary:', err);
-        return next(new ErrorResponse('Error downloading file', 500));
-      });
-    } catch (error) {
-      console.error('Error setting up download:', error);
-      return next(new ErrorResponse('Error downloading file', 500));
-    }
-  } else {
-    // For local files (fallback)
-    res.setHeader('Content-Disposition', `attachment; filename="${note.originalFileName}"`);
-    res.setHeader('Content-Type', note.mimeType);
-
-    // Check if file exists locally
-    if (note.filePath && path.isAbsolute(note.filePath)) {
-      res.sendFile(path.resolve(note.filePath), (err) => {
-        if (err) {
-          console.error('Error sending file:', err);
-          return next(new ErrorResponse('Error downloading file', 500));
-        }
-      });
-    } else {
-      return next(new ErrorResponse('File not found', 404));
-    }
+  const note = req.resource; // From checkOwnership middleware
+
+  const version = await NoteVersion.findOne({ noteId: note._id, version: parseInt(req.params.version) });
+
+  if (!version) {
+    return next(new ErrorResponse('Version not found', 404));
+  }
+
+  if (!version.hasFile) {
+    return next(new ErrorResponse('This version does not have a downloadable file', 404));
+  }
+
+  await sendStoredFile(res, next, version.file);
+});
+
+// @desc    Restore an older version as the current note
+// @route   POST /api/notes/:id/versions/:version/restore
+// @access  Private (Teachers - own notes)
+const restoreNoteVersion = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+
+  if (!note.isActive) {
+    return next(new ErrorResponse('Note is in the trash', 400));
+  }
+
+  const version = await NoteVersion.findOne({ noteId: note._id, version: parseInt(req.params.version) });
+
+  if (!version) {
+    return next(new ErrorResponse('Version not found', 404));
+  }
+
+  if (version.version === (note.currentVersion || 1)) {
+    return next(new ErrorResponse('This version is already the current version', 400));
+  }
+
+  await NoteVersion.ensureRecorded(note);
+  const before = snapshotFields(note);
+  const previousFileKey = getFileKey(note);
+
+  // Restoring is recorded as a new version, so the history is never rewritten
+  version.applyTo(note);
+
+  const after = snapshotFields(note);
+  const changes = EDITABLE_FIELDS.filter(field => before[field] !== after[field]);
+  const fileChanged = getFileKey(note) !== previousFileKey;
+  if (fileChanged) {
+    changes.push('file');
   }
+
+  const reindex = fileChanged || changes.includes('content');
+  if (reindex) {
+    note.textExtraction = { status: 'pending', error: null, extractedAt: null };
+  }
+
+  note.currentVersion = (note.currentVersion || 1) + 1;
+  await note.saveWithSlug();
+
+  await NoteVersion.record(note, {
+    author: req.user._id,
+    changeNote: req.body.changeNote || `Restored version ${version.version}`,
+    changes,
+    restoredFrom: version.version
+  });
+
+  // Re-index the restored document or content in the background
+  if (reindex) {
+    extractNoteText(note);
+  }
+
+  await note.populate('uploadedBy', 'name email role subject qualification');
+
+  res.status(200).json({
+    success: true,
+    message: `Version ${version.version} restored as version ${note.currentVersion}`,
+    data: note
+  });
 });
 
 // @desc    Get notes statistics
@@ -356,7 +1211,7 @@ const downloadNote = asyncHandler(async (req, res, next) => {
 const getNotesStats = asyncHandler(async (req, res, next) => {
   const stats = await Note.aggregate([
     {
-      $match: { isActive: true, isPublic: true }
+      $match: Note.buildFilterQuery()
     },
     {
       $group: {
@@ -423,17 +1278,23 @@ const validateNote = [
   body('subject')
     .trim()
     .notEmpty()
-    .withMessage('Subject is required'),
+    .withMessage('Subject is required')
+    .bail()
+    .customSanitizer(toTaxonomyValue('subject'))
+    .custom(isTaxonomyValue('subject')),
   
   body('grade')
     .trim()
     .notEmpty()
-    .withMessage('Grade is required'),
+    .withMessage('Grade is required')
+    .bail()
+    .customSanitizer(toTaxonomyValue('grade'))
+    .custom(isTaxonomyValue('grade')),
   
   body('category')
     .optional()
-    .isIn(['lecture-notes', 'assignment', 'reference-material', 'quiz', 'exam', 'other'])
-    .withMessage('Invalid category'),
+    .customSanitizer(toTaxonomyValue('category'))
+    .custom(isTaxonomyValue('category')),
   
   body('difficulty')
     .optional()
@@ -443,7 +1304,52 @@ const validateNote = [
   body('isPublic')
     .optional()
     .isBoolean()
-    .withMessage('isPublic must be a boolean')
+    .withMessage('isPublic must be a boolean'),
+
+  body('allowDuplicate')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDuplicate must be a boolean')
+    .toBoolean(),
+
+  body('sharedWith')
+    .optional()
+    .customSanitizer(toList),
+
+  body('sharedWith.*')
+    .isEmail()
+    .withMessage('Students must be shared with by email'),
+
+  body('sharedGroups')
+    .optional()
+    .customSanitizer(toList),
+
+  body('sharedGroups.*')
+    .isMongoId()
+    .withMessage('Invalid group ID'),
+
+  body('content')
+    .optional()
+    .isString()
+    .isLength({ max: MAX_MARKDOWN_LENGTH })
+    .withMessage(`Content cannot be more than ${MAX_MARKDOWN_LENGTH} characters`),
+
+  body('isDraft')
+    .optional()
+    .isBoolean()
+    .withMessage('isDraft must be a boolean'),
+
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Publish time must be a valid date'),
+
+  body('unpublishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Unpublish time must be a valid date')
+    .custom((value, { req }) => !req.body.publishAt || new Date(value) > new Date(req.body.publishAt))
+    .withMessage('Unpublish time must be after the publish time')
 ];
 
 // Validation middleware for note update (more lenient)
@@ -464,18 +1370,24 @@ const validateNoteUpdate = [
     .optional()
     .trim()
     .notEmpty()
-    .withMessage('Subject cannot be empty'),
+    .withMessage('Subject cannot be empty')
+    .bail()
+    .customSanitizer(toTaxonomyValue('subject'))
+    .custom(isTaxonomyValue('subject')),
   
   body('grade')
     .optional()
     .trim()
     .notEmpty()
-    .withMessage('Grade cannot be empty'),
+    .withMessage('Grade cannot be empty')
+    .bail()
+    .customSanitizer(toTaxonomyValue('grade'))
+    .custom(isTaxonomyValue('grade')),
   
   body('category')
     .optional()
-    .isIn(['lecture-notes', 'assignment', 'reference-material', 'quiz', 'exam', 'other'])
-    .withMessage('Invalid category'),
+    .customSanitizer(toTaxonomyValue('category'))
+    .custom(isTaxonomyValue('category')),
   
   body('difficulty')
     .optional()
@@ -485,11 +1397,188 @@ const validateNoteUpdate = [
   body('isPublic')
     .optional()
     .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+
+  body('allowDuplicate')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDuplicate must be a boolean')
+    .toBoolean(),
+
+  body('sharedWith')
+    .optional()
+    .customSanitizer(toList),
+
+  body('sharedWith.*')
+    .isEmail()
+    .withMessage('Students must be shared with by email'),
+
+  body('sharedGroups')
+    .optional()
+    .customSanitizer(toList),
+
+  body('sharedGroups.*')
+    .isMongoId()
+    .withMessage('Invalid group ID'),
+
+  body('content')
+    .optional()
+    .isString()
+    .isLength({ max: MAX_MARKDOWN_LENGTH })
+    .withMessage(`Content cannot be more than ${MAX_MARKDOWN_LENGTH} characters`),
+
+  body('isDraft')
+    .optional()
+    .isBoolean()
+    .withMessage('isDraft must be a boolean'),
+
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Publish time must be a valid date'),
+
+  body('unpublishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Unpublish time must be a valid date')
+    .custom((value, { req }) => !req.body.publishAt || new Date(value) > new Date(req.body.publishAt))
+    .withMessage('Unpublish time must be after the publish time'),
+  
+  body('changeNote')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Change note cannot be more than 200 characters')
+];
+
+// Validation for adding attachments
+const validateAttachmentUpload = [
+  body('labels')
+    .optional()
+    .custom(labels => [].concat(labels).every(label => typeof label === 'string' && label.length <= 100))
+    .withMessage('Attachment labels cannot be more than 100 characters'),
+
+  body('allowDuplicate')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDuplicate must be a boolean')
+    .toBoolean()
+];
+
+// Validation for updating an attachment
+const validateAttachmentUpdate = [
+  body('label')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Attachment label cannot be more than 100 characters')
+];
+
+// Validation for reordering attachments
+const validateAttachmentOrder = [
+  body('order')
+    .isArray({ min: 1 })
+    .withMessage('Order must be a list of attachment IDs'),
+
+  body('order.*')
+    .isMongoId()
+    .withMessage('Order must only contain attachment IDs')
+];
+
+// Validation for bulk actions on notes
+const validateBulkUpdate = [
+  body('noteIds')
+    .isArray({ min: 1, max: MAX_BULK_NOTES })
+    .withMessage(`Select between 1 and ${MAX_BULK_NOTES} notes`),
+
+  body('noteIds.*')
+    .isMongoId()
+    .withMessage('Invalid note ID'),
+
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+
+  body('subject')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Subject cannot be empty')
+    .bail()
+    .customSanitizer(toTaxonomyValue('subject'))
+    .custom(isTaxonomyValue('subject')),
+
+  body('grade')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Grade cannot be empty')
+    .bail()
+    .customSanitizer(toTaxonomyValue('grade'))
+    .custom(isTaxonomyValue('grade')),
+
+  body('tags')
+    .optional()
+    .customSanitizer(toList),
+
+  body('isPublic')
+    .if(body('action').equals('set-visibility'))
+    .isBoolean()
     .withMessage('isPublic must be a boolean')
+    .toBoolean(),
+
+  body('collectionId')
+    .if(body('action').equals('add-to-collection'))
+    .isMongoId()
+    .withMessage('Choose a collection to add the notes to')
+];
+
+// Validation for Markdown previews
+const validateMarkdownPreview = [
+  body('content')
+    .isString()
+    .withMessage('Content must be text')
+    .isLength({ max: MAX_MARKDOWN_LENGTH })
+    .withMessage(`Content cannot be more than ${MAX_MARKDOWN_LENGTH} characters`)
+];
+
+// Validation for note version routes
+const validateNoteVersion = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  
+  body('changeNote')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Change note cannot be more than 200 characters')
+];
+
+// Validation for looking a note up by slug
+const validateNoteSlug = [
+  param('slug')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage('Invalid note slug')
+];
+
+// Query validation for related notes
+const validateRelatedQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
 ];
 
 // Query validation for filtering
 const validateNoteQuery = [
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search term cannot exceed 200 characters'),
+  
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -500,27 +1589,115 @@ const validateNoteQuery = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
   
+  query('subject')
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('subject'))
+    .custom(isTaxonomyValue('subject')),
+  
+  query('grade')
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('grade'))
+    .custom(isTaxonomyValue('grade')),
+  
   query('category')
-    .optional()
-    .isIn(['lecture-notes', 'assignment', 'reference-material', 'quiz', 'exam', 'other'])
-    .withMessage('Invalid category'),
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('category'))
+    .custom(isTaxonomyValue('category')),
   
   query('difficulty')
     .optional()
     .isIn(['beginner', 'intermediate', 'advanced'])
-    .withMessage('Invalid difficulty level')
+    .withMessage('Invalid difficulty level'),
+  
+  query('teacher')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid teacher ID'),
+  
+  query('sortBy')
+    .optional()
+    .isIn([
+      'relevance', 'createdAt', 'newest', 'title', 'subject', 'downloadCount', 'popular',
+      'viewCount', 'averageRating', 'rating', 'trending'
+    ])
+    .withMessage('Invalid sort field'),
+  
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  
+  query('minRatings')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('minRatings must be a non-negative integer'),
+  
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid pagination cursor')
+];
+
+// Query validation for the teacher's uploads
+const validateMyUploadsQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid pagination cursor'),
+
+  query('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published', 'expired'])
+    .withMessage('Invalid publish status')
 ];
 
 module.exports = {
   getNotes,
   getNote,
+  getNoteBySlug,
+  getRelatedNotes,
   uploadNote,
   updateNote,
   deleteNote,
+  getTrash,
+  restoreNote,
+  previewMarkdown,
+  bulkUpdateNotes,
+  getMyDuplicates,
   getMyUploads,
   downloadNote,
+  reextractNoteText,
+  addAttachments,
+  updateAttachment,
+  reorderAttachments,
+  removeAttachment,
+  downloadAttachment,
+  getNoteVersions,
+  downloadNoteVersion,
+  restoreNoteVersion,
   getNotesStats,
   validateNote,
   validateNoteUpdate,
-  validateNoteQuery
+  validateNoteQuery,
+  validateMyUploadsQuery,
+  validateRelatedQuery,
+  validateNoteSlug,
+  validateAttachmentUpload,
+  validateAttachmentUpdate,
+  validateAttachmentOrder,
+  validateMarkdownPreview,
+  validateBulkUpdate,
+  validateNoteVersion
 };
@@ -0,0 +1,100 @@
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { query, validationResult } = require('express-validator');
+
+// @desc    Get notifications for the current user
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { userId: req.user._id };
+  if (req.query.unread === 'true') {
+    filter.isRead = false;
+  }
+
+  const notifications = await Notification.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('noteId', 'title subject grade');
+
+  const total = await Notification.countDocuments(filter);
+  const unreadCount = await Notification.countDocuments({ userId: req.user._id, isRead: false });
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: notifications
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (own notifications)
+const markNotificationRead = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    return next(new ErrorResponse('Notification not found', 404));
+  }
+
+  if (notification.userId.toString() !== req.user._id.toString()) {
+    return next(new ErrorResponse('Access denied. You can only update your own notifications.', 403));
+  }
+
+  notification.isRead = true;
+  await notification.save();
+
+  res.status(200).json({
+    success: true,
+    data: notification
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { userId: req.user._id, isRead: false },
+    { isRead: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} notification(s) marked as read`
+  });
+});
+
+// Query validation for notifications
+const validateNotificationQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  validateNotificationQuery
+};
@@ -0,0 +1,184 @@
+const Note = require('../models/Note');
+const NoteCompletion = require('../models/NoteCompletion');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { body, validationResult } = require('express-validator');
+
+// Load a note the user can see, failing like getNote
+const loadVisibleNote = async (id, user) => {
+  if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+    throw new ErrorResponse('Invalid note ID format', 400);
+  }
+
+  const note = await Note.findById(id);
+  if (!note) {
+    throw new ErrorResponse('Note not found', 404);
+  }
+
+  if (!(await note.isVisibleTo(user))) {
+    throw new ErrorResponse('Note not available', 404);
+  }
+
+  return note;
+};
+
+// Keep the notes the user can see, marking for students the ones they have
+// already downloaded or completed
+const describeNotes = async (notes, user) => {
+  const visible = [];
+  for (const note of notes) {
+    if (await note.isVisibleTo(user)) visible.push(note);
+  }
+
+  const done = user && user.role === 'student'
+    ? await NoteCompletion.findDoneNoteIds(user._id, visible.map(note => note._id))
+    : null;
+
+  return visible.map(note => ({
+    _id: note._id,
+    title: note.title,
+    slug: note.slug,
+    subject: note.subject,
+    grade: note.grade,
+    fileType: note.fileType,
+    done: done ? done.has(note._id.toString()) : null
+  }));
+};
+
+// @desc    Get a note's direct prerequisites (with progress for students)
+// @route   GET /api/notes/:id/prerequisites
+// @access  Public
+const getPrerequisites = asyncHandler(async (req, res, next) => {
+  const note = await loadVisibleNote(req.params.id, req.user);
+
+  const prerequisites = await Note.find({ _id: { $in: note.prerequisites } });
+  const order = note.prerequisites.map(String);
+  prerequisites.sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()));
+
+  const data = await describeNotes(prerequisites, req.user);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    unmetCount: data.filter(prerequisite => prerequisite.done === false).length,
+    data
+  });
+});
+
+// @desc    Set a note's prerequisites
+// @route   PUT /api/notes/:id/prerequisites
+// @access  Private (Teachers - owner and editors)
+const setPrerequisites = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+  const ids = [...new Set(req.body.prerequisites.map(String))];
+
+  if (ids.includes(note._id.toString())) {
+    return next(new ErrorResponse('A note cannot be its own prerequisite', 400));
+  }
+
+  // Prerequisites must be published to every student, so students can reach them
+  const prerequisites = await Note.find({ _id: { $in: ids }, isActive: true });
+  const usable = new Set(prerequisites
+    .filter(prerequisite => prerequisite.isPublished())
+    .map(prerequisite => prerequisite._id.toString()));
+
+  const unavailable = ids.filter(id => !usable.has(id));
+  if (unavailable.length > 0) {
+    return next(new ErrorResponse(`Prerequisites must be notes published to every student. These are not: ${unavailable.join(', ')}`, 400));
+  }
+
+  const cycle = await Note.findPrerequisiteCycle(note._id, ids);
+  if (cycle) {
+    const titles = await Note.find({ _id: { $in: cycle } }).select('title');
+    const titleOf = new Map(titles.map(entry => [entry._id.toString(), entry.title]));
+    return next(new ErrorResponse(
+      `These prerequisites would create a cycle: ${cycle.map(id => titleOf.get(id) || id).join(' → ')}`,
+      400
+    ));
+  }
+
+  note.prerequisites = ids;
+  await note.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Prerequisites updated successfully',
+    data: await describeNotes(ids.map(id => prerequisites.find(entry => entry._id.toString() === id)), req.user)
+  });
+});
+
+// @desc    Get the ordered study path leading up to a note
+// @route   GET /api/notes/:id/study-path
+// @access  Public
+const getStudyPath = asyncHandler(async (req, res, next) => {
+  const note = await loadVisibleNote(req.params.id, req.user);
+
+  const data = await describeNotes(await Note.getStudyPath(note), req.user);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    remaining: data.filter(step => step.done === false).length,
+    data
+  });
+});
+
+// @desc    Mark a note as completed
+// @route   PUT /api/notes/:id/completion
+// @access  Private (Students)
+const markNoteCompleted = asyncHandler(async (req, res, next) => {
+  const note = await loadVisibleNote(req.params.id, req.user);
+
+  const completion = await NoteCompletion.findOneAndUpdate(
+    { noteId: note._id, studentId: req.user._id },
+    { $setOnInsert: { completedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Note marked as completed',
+    data: completion
+  });
+});
+
+// @desc    Unmark a note as completed
+// @route   DELETE /api/notes/:id/completion
+// @access  Private (Students)
+const unmarkNoteCompleted = asyncHandler(async (req, res, next) => {
+  if (!req.params.id || !/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+    return next(new ErrorResponse('Invalid note ID format', 400));
+  }
+
+  await NoteCompletion.deleteOne({ noteId: req.params.id, studentId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Note no longer marked as completed'
+  });
+});
+
+// Validation for setting prerequisites
+const validatePrerequisites = [
+  body('prerequisites')
+    .isArray({ max: 10 })
+    .withMessage('Prerequisites must be a list of at most 10 notes'),
+
+  body('prerequisites.*')
+    .isMongoId()
+    .withMessage('Invalid prerequisite note ID')
+];
+
+module.exports = {
+  getPrerequisites,
+  setPrerequisites,
+  getStudyPath,
+  markNoteCompleted,
+  unmarkNoteCompleted,
+  validatePrerequisites
+};
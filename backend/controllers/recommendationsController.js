@@ -0,0 +1,179 @@
+const Note = require('../models/Note');
+const Review = require('../models/Review');
+const DownloadHistory = require('../models/DownloadHistory');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { query, validationResult } = require('express-validator');
+
+// Maximum number of candidate notes scored per request
+const CANDIDATE_LIMIT = 300;
+
+// Weights for each recommendation signal
+const WEIGHTS = {
+  studiedSubject: 2,
+  ratedSubject: 1.5,
+  likedTag: 1.5,
+  interest: 3,
+  grade: 2,
+  rating: 0.5,
+  popularity: 1
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get a personalized feed of notes for the current student
+// @route   GET /api/recommendations
+// @access  Private (Students only)
+const getRecommendations = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const student = req.user;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  // Subjects the student has studied, from their download history
+  const downloads = await DownloadHistory.find({ studentId: student._id })
+    .select('noteId noteSubject');
+  const downloadedIds = [...new Set(downloads.map(d => d.noteId.toString()))];
+
+  const studiedSubjects = {};
+  downloads.forEach(download => {
+    studiedSubjects[download.noteSubject] = (studiedSubjects[download.noteSubject] || 0) + 1;
+  });
+
+  // Subjects and tags of notes the student rated, centred on a neutral 3 stars
+  const reviews = await Review.find({ studentId: student._id, isActive: true })
+    .populate('noteId', 'subject tags');
+
+  const ratedSubjects = {};
+  const likedTags = {};
+  reviews.forEach(review => {
+    if (!review.noteId) return;
+    const sentiment = review.rating - 3;
+    ratedSubjects[review.noteId.subject] = (ratedSubjects[review.noteId.subject] || 0) + sentiment;
+    if (sentiment > 0) {
+      (review.noteId.tags || []).forEach(tag => {
+        likedTags[tag] = (likedTags[tag] || 0) + sentiment;
+      });
+    }
+  });
+
+  const interests = (student.interests || []).map(interest => interest.trim().toLowerCase()).filter(Boolean);
+
+  // Candidate notes: anything matching a signal, plus well-rated notes as a fallback
+  const signals = [
+    { subject: { $in: Object.keys(studiedSubjects) } },
+    { subject: { $in: Object.keys(ratedSubjects).filter(subject => ratedSubjects[subject] > 0) } },
+    { tags: { $in: [...Object.keys(likedTags), ...interests] } }
+  ];
+  if (student.grade) {
+    signals.push({ grade: student.grade });
+  }
+  if (interests.length > 0) {
+    signals.push({ subject: { $in: interests.map(interest => new RegExp(`^${escapeRegExp(interest)}$`, 'i')) } });
+  }
+
+  const baseQuery = { ...Note.buildFilterQuery(), _id: { $nin: downloadedIds } };
+  let candidates = await Note.find({ ...baseQuery, $or: signals })
+    .sort({ averageRating: -1, downloadCount: -1, _id: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .populate('uploadedBy', 'name email role subject qualification')
+    .lean();
+
+  if (candidates.length === 0) {
+    candidates = await Note.find(baseQuery)
+      .sort({ downloadCount: -1, averageRating: -1, _id: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .populate('uploadedBy', 'name email role subject qualification')
+      .lean();
+  }
+
+  const scored = candidates.map(note => {
+    // Each signal contributes a score and the reason shown to the student
+    const contributions = [];
+    const subjectKey = note.subject.toLowerCase();
+
+    if (studiedSubjects[note.subject]) {
+      contributions.push({
+        score: Math.log2(studiedSubjects[note.subject] + 1) * WEIGHTS.studiedSubject,
+        reason: `Because you studied ${note.subject}`
+      });
+    }
+    if (ratedSubjects[note.subject]) {
+      contributions.push({
+        score: ratedSubjects[note.subject] * WEIGHTS.ratedSubject,
+        reason: `Because you rated ${note.subject} notes highly`
+      });
+    }
+    const matchedInterest = interests.find(interest => interest === subjectKey || (note.tags || []).includes(interest));
+    if (matchedInterest) {
+      contributions.push({
+        score: WEIGHTS.interest,
+        reason: `Matches your interest in ${matchedInterest}`
+      });
+    }
+    const matchedTags = (note.tags || []).filter(tag => likedTags[tag]);
+    if (matchedTags.length > 0) {
+      contributions.push({
+        score: matchedTags.reduce((sum, tag) => sum + likedTags[tag], 0) * WEIGHTS.likedTag,
+        reason: `Similar to #${matchedTags[0]} notes you liked`
+      });
+    }
+    if (student.grade && note.grade === student.grade) {
+      contributions.push({
+        score: WEIGHTS.grade,
+        reason: `Popular with ${note.grade} grade students`
+      });
+    }
+
+    const quality = (note.averageRating || 0) * WEIGHTS.rating +
+      Math.log10((note.downloadCount || 0) + 1) * WEIGHTS.popularity;
+    const score = contributions.reduce((sum, c) => sum + c.score, quality);
+    const strongest = contributions
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score)[0];
+
+    return {
+      ...note,
+      recommendationScore: Math.round(score * 100) / 100,
+      reason: strongest ? strongest.reason : 'Popular on the platform'
+    };
+  });
+
+  scored.sort((a, b) => b.recommendationScore - a.recommendationScore ||
+    b.downloadCount - a.downloadCount ||
+    b._id.toString().localeCompare(a._id.toString()));
+
+  const total = scored.length;
+  const data = scored.slice((page - 1) * limit, page * limit);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data
+  });
+});
+
+// Query validation for recommendations
+const validateRecommendationQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+module.exports = {
+  getRecommendations,
+  validateRecommendationQuery
+};
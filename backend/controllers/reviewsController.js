@@ -8,11 +8,16 @@ const { body, validationResult, query } = require('express-validator');
 // @route   GET /api/reviews/note/:noteId
 // @access  Public
 const getReviewsForNote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
   const { noteId } = req.params;
   
-  // Check if note exists
+  // Check if note exists and the user may see it
   const note = await Note.findById(noteId);
-  if (!note) {
+  if (!note || !(await note.isVisibleTo(req.user))) {
     return next(new ErrorResponse('Note not found', 404));
   }
 
@@ -25,11 +30,12 @@ const getReviewsForNote = asyncHandler(async (req, res, next) => {
     limit,
     skip: (page - 1) * limit,
     sortBy,
-    sortOrder
+    sortOrder,
+    cursor: req.query.cursor
   };
 
-  // Get reviews using model static method
-  const reviews = await Review.getForNote(noteId, options);
+  // Get a page of reviews using model static method
+  const { data: reviews, nextCursor, prevCursor } = await Review.getForNote(noteId, options);
   
   // Get total count
   const total = await Review.countDocuments({
@@ -46,7 +52,9 @@ const getReviewsForNote = asyncHandler(async (req, res, next) => {
     count: reviews.length,
     total,
     totalPages: Math.ceil(total / limit),
-    currentPage: page,
+    currentPage: req.query.cursor ? null : page,
+    nextCursor,
+    prevCursor,
     statistics: stats,
     data: reviews
   });
@@ -69,7 +77,7 @@ const createReview = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Note not found', 404));
   }
 
-  if (!note.isActive || !note.isPublic) {
+  if (!(await note.isVisibleTo(req.user))) {
     return next(new ErrorResponse('Note is not available for review', 400));
   }
 
@@ -245,9 +253,9 @@ const voteOnReview = asyncHandler(async (req, res, next) => {
 const getReviewStats = asyncHandler(async (req, res, next) => {
   const { noteId } = req.params;
 
-  // Check if note exists
+  // Check if note exists and the user may see it
   const note = await Note.findById(noteId);
-  if (!note) {
+  if (!note || !(await note.isVisibleTo(req.user))) {
     return next(new ErrorResponse('Note not found', 404));
   }
 
@@ -261,29 +269,36 @@ const getReviewStats = asyncHandler(async (req, res, next) => {
 
 // @desc    Get all reviews by a specific student (public)
 // @route   GET /api/reviews/student/:studentId
-// @access  Public
+// @access  Public (reviews of restricted notes only for users they are shared with)
 const getStudentReviews = asyncHandler(async (req, res, next) => {
   const { studentId } = req.params;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const reviews = await Review.find({ 
+  const reviewQuery = {
     studentId,
     isActive: true,
     isApproved: true
-  })
+  };
+
+  // Leave out reviews of restricted notes the user has no access to
+  const reviewedNoteIds = await Review.distinct('noteId', reviewQuery);
+  reviewQuery.noteId = {
+    $in: await Note.find({
+      _id: { $in: reviewedNoteIds },
+      ...Note.buildAccessQuery(await Note.getViewer(req.user))
+    }).distinct('_id')
+  };
+
+  const reviews = await Review.find(reviewQuery)
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
     .populate('studentId', 'name profilePicture')
     .populate('noteId', 'title subject grade');
 
-  const total = await Review.countDocuments({ 
-    studentId,
-    isActive: true,
-    isApproved: true
-  });
+  const total = await Review.countDocuments(reviewQuery);
 
   res.status(200).json({
     success: true,
@@ -416,7 +431,13 @@ const validateReviewQuery = [
   query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
-    .withMessage('Sort order must be asc or desc')
+    .withMessage('Sort order must be asc or desc'),
+  
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid pagination cursor')
 ];
 
 module.exports = {
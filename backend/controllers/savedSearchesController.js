@@ -0,0 +1,239 @@
+const SavedSearch = require('../models/SavedSearch');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { body, validationResult } = require('express-validator');
+const { toTaxonomyValue, isTaxonomyValue } = require('../utils/taxonomy');
+
+// Maximum number of saved searches per student
+const MAX_SAVED_SEARCHES = 20;
+
+// Pick the supported filters from a request body, dropping empty values
+const pickFilters = (filters = {}) => {
+  const picked = {};
+
+  ['search', 'subject', 'grade', 'category', 'difficulty'].forEach(field => {
+    if (typeof filters[field] === 'string' && filters[field].trim()) {
+      picked[field] = filters[field].trim();
+    }
+  });
+
+  const tags = typeof filters.tags === 'string' ? filters.tags.split(',') : filters.tags;
+  if (Array.isArray(tags)) {
+    const cleaned = tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+    if (cleaned.length > 0) picked.tags = cleaned;
+  }
+
+  return picked;
+};
+
+// Find a saved search owned by the current user
+const findOwnSavedSearch = async (req) => {
+  const savedSearch = await SavedSearch.findById(req.params.id);
+
+  if (!savedSearch) {
+    throw new ErrorResponse('Saved search not found', 404);
+  }
+
+  if (savedSearch.userId.toString() !== req.user._id.toString()) {
+    throw new ErrorResponse('Access denied. You can only manage your own saved searches.', 403);
+  }
+
+  return savedSearch;
+};
+
+// @desc    Get saved searches for the current student
+// @route   GET /api/saved-searches
+// @access  Private (Students only)
+const getSavedSearches = asyncHandler(async (req, res, next) => {
+  const savedSearches = await SavedSearch.find({ userId: req.user._id })
+    .sort({ createdAt: -1 });
+
+  const data = await Promise.all(savedSearches.map(async savedSearch => ({
+    ...savedSearch.toObject(),
+    newMatchCount: await savedSearch.countNewMatches()
+  })));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Save a search
+// @route   POST /api/saved-searches
+// @access  Private (Students only)
+const createSavedSearch = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const filters = pickFilters(req.body.filters);
+  if (Object.keys(filters).length === 0) {
+    return next(new ErrorResponse('A saved search needs at least one filter', 400));
+  }
+
+  const existingCount = await SavedSearch.countDocuments({ userId: req.user._id });
+  if (existingCount >= MAX_SAVED_SEARCHES) {
+    return next(new ErrorResponse(`You can save up to ${MAX_SAVED_SEARCHES} searches`, 400));
+  }
+
+  const savedSearch = await SavedSearch.create({
+    userId: req.user._id,
+    name: req.body.name,
+    filters,
+    notify: req.body.notify !== undefined ? req.body.notify : true
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Search saved successfully',
+    data: { ...savedSearch.toObject(), newMatchCount: 0 }
+  });
+});
+
+// @desc    Rename a saved search or change its filters
+// @route   PUT /api/saved-searches/:id
+// @access  Private (Students only - own searches)
+const updateSavedSearch = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const savedSearch = await findOwnSavedSearch(req);
+
+  if (req.body.name !== undefined) savedSearch.name = req.body.name;
+  if (req.body.notify !== undefined) savedSearch.notify = req.body.notify;
+  if (req.body.filters !== undefined) {
+    const filters = pickFilters(req.body.filters);
+    if (Object.keys(filters).length === 0) {
+      return next(new ErrorResponse('A saved search needs at least one filter', 400));
+    }
+    savedSearch.filters = filters;
+  }
+
+  await savedSearch.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Saved search updated successfully',
+    data: { ...savedSearch.toObject(), newMatchCount: await savedSearch.countNewMatches() }
+  });
+});
+
+// @desc    Mark a saved search as visited, resetting its new-match count
+// @route   POST /api/saved-searches/:id/visit
+// @access  Private (Students only - own searches)
+const visitSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req);
+
+  savedSearch.lastVisitedAt = Date.now();
+  await savedSearch.save();
+
+  res.status(200).json({
+    success: true,
+    data: { ...savedSearch.toObject(), newMatchCount: 0 }
+  });
+});
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (Students only - own searches)
+const deleteSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req);
+
+  await savedSearch.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Saved search deleted successfully'
+  });
+});
+
+// Validation middleware for creating saved searches
+const validateSavedSearch = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+
+  body('filters')
+    .isObject()
+    .withMessage('Filters must be an object'),
+
+  body('filters.subject')
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('subject'))
+    .custom(isTaxonomyValue('subject')),
+
+  body('filters.grade')
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('grade'))
+    .custom(isTaxonomyValue('grade')),
+
+  body('filters.category')
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('category'))
+    .custom(isTaxonomyValue('category')),
+
+  body('filters.difficulty')
+    .optional({ values: 'falsy' })
+    .isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Invalid difficulty level'),
+
+  body('notify')
+    .optional()
+    .isBoolean()
+    .withMessage('notify must be a boolean')
+];
+
+// Validation middleware for updating saved searches (more lenient)
+const validateSavedSearchUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+
+  body('filters.subject')
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('subject'))
+    .custom(isTaxonomyValue('subject')),
+
+  body('filters.grade')
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('grade'))
+    .custom(isTaxonomyValue('grade')),
+
+  body('filters.category')
+    .optional({ values: 'falsy' })
+    .customSanitizer(toTaxonomyValue('category'))
+    .custom(isTaxonomyValue('category')),
+
+  body('filters.difficulty')
+    .optional({ values: 'falsy' })
+    .isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Invalid difficulty level'),
+
+  body('notify')
+    .optional()
+    .isBoolean()
+    .withMessage('notify must be a boolean')
+];
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  visitSavedSearch,
+  deleteSavedSearch,
+  validateSavedSearch,
+  validateSavedSearchUpdate
+};
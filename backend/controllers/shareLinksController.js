@@ -0,0 +1,295 @@
+const ShareLink = require('../models/ShareLink');
+const Note = require('../models/Note');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { body, param, query, validationResult } = require('express-validator');
+const { SHARE_DOWNLOAD_AUDIENCE, generateShareToken, verifyShareToken } = require('../config/jwt');
+const { openStoredFile, sendStoredFile } = require('../utils/noteFiles');
+
+// Longest a share link can stay valid
+const SHARE_LINK_MAX_DAYS = parseInt(process.env.SHARE_LINK_MAX_DAYS) || 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a download token stays valid once a link is opened (or unlocked)
+const DOWNLOAD_TOKEN_TTL_SECONDS = 15 * 60;
+
+// Why a link no longer works, by status
+const UNAVAILABLE_MESSAGES = {
+  revoked: 'This share link has been revoked',
+  expired: 'This share link has expired',
+  exhausted: 'This share link has reached its download limit'
+};
+
+// A link as listed to its teacher; working links include their token
+const serializeLink = (link) => {
+  const { password, ...data } = link.toObject();
+  const status = link.status;
+
+  return {
+    ...data,
+    status,
+    downloadsRemaining: link.maxDownloads === null ? null : Math.max(link.maxDownloads - link.downloadCount, 0),
+    token: status === 'active' ? link.getToken() : null
+  };
+};
+
+// Find the link and note behind a share token, or fail with why it doesn't work
+const loadSharedNote = async (token, { withPassword = false } = {}) => {
+  const payload = verifyShareToken(token);
+  if (!payload || !/^[0-9a-fA-F]{24}$/.test(payload.link || '')) {
+    throw new ErrorResponse('Share link not found or expired', 404);
+  }
+
+  const link = await ShareLink.findById(payload.link).select(withPassword ? '+password' : '');
+  if (!link) {
+    throw new ErrorResponse('Share link not found or expired', 404);
+  }
+
+  if (link.status !== 'active') {
+    throw new ErrorResponse(UNAVAILABLE_MESSAGES[link.status], 410);
+  }
+
+  const note = await Note.findById(link.noteId).select('+contentHtml');
+  if (!note || !note.isActive) {
+    throw new ErrorResponse('The shared note is no longer available', 410);
+  }
+
+  return { link, note };
+};
+
+// What someone opening a link sees: the note's details and files, and a
+// short-lived token to download them with
+const describeSharedNote = (link, note) => {
+  const files = note.attachments.length > 0 ? note.attachments : (note.filePath || note.cloudinaryUrl ? [note] : []);
+
+  return {
+    expiresAt: link.expiresAt,
+    downloadsRemaining: link.maxDownloads === null ? null : link.maxDownloads - link.downloadCount,
+    requiresPassword: link.hasPassword,
+    note: {
+      title: note.title,
+      description: note.description,
+      subject: note.subject,
+      grade: note.grade,
+      contentHtml: note.contentHtml,
+      files: files.map(file => ({
+        _id: file === note ? null : file._id,
+        label: file.label || '',
+        originalFileName: file.originalFileName,
+        fileSize: file.fileSize,
+        fileType: file.fileType
+      }))
+    },
+    accessToken: generateShareToken({
+      link: link._id.toString(),
+      exp: Math.floor(Date.now() / 1000) + DOWNLOAD_TOKEN_TTL_SECONDS
+    }, SHARE_DOWNLOAD_AUDIENCE)
+  };
+};
+
+// @desc    Get a note's share links
+// @route   GET /api/notes/:id/share-links
+// @access  Private (Teachers - own notes)
+const getShareLinks = asyncHandler(async (req, res, next) => {
+  const note = req.resource; // From checkOwnership middleware
+
+  const links = await ShareLink.find({ noteId: note._id }).sort({ createdAt: -1, _id: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: links.length,
+    data: links.map(serializeLink)
+  });
+});
+
+// @desc    Create a share link for a note
+// @route   POST /api/notes/:id/share-links
+// @access  Private (Teachers - own notes)
+const createShareLink = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+
+  if (!note.isActive) {
+    return next(new ErrorResponse('Notes in the trash cannot be shared', 400));
+  }
+
+  const link = await ShareLink.create({
+    noteId: note._id,
+    uploadedBy: req.user._id,
+    label: req.body.label || '',
+    expiresAt: req.body.expiresAt,
+    maxDownloads: req.body.maxDownloads ? parseInt(req.body.maxDownloads) : null,
+    password: req.body.password || null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Share link created successfully',
+    data: serializeLink(link)
+  });
+});
+
+// @desc    Revoke a share link
+// @route   DELETE /api/notes/:id/share-links/:linkId
+// @access  Private (Teachers - own notes)
+const revokeShareLink = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const note = req.resource; // From checkOwnership middleware
+
+  const link = await ShareLink.findOne({ _id: req.params.linkId, noteId: note._id });
+  if (!link) {
+    return next(new ErrorResponse('Share link not found', 404));
+  }
+
+  if (link.revokedAt) {
+    return next(new ErrorResponse('Share link is already revoked', 400));
+  }
+
+  link.revokedAt = new Date();
+  await link.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Share link revoked',
+    data: serializeLink(link)
+  });
+});
+
+// @desc    Open a share link. Links without a password return the note
+//          straight away; others only say a password is needed.
+// @route   GET /api/share/:token
+// @access  Public (anyone with the link)
+const getSharedNote = asyncHandler(async (req, res, next) => {
+  const { link, note } = await loadSharedNote(req.params.token);
+
+  const data = link.hasPassword
+    ? { expiresAt: link.expiresAt, requiresPassword: true }
+    : describeSharedNote(link, note);
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Unlock a password-protected share link
+// @route   POST /api/share/:token/unlock
+// @access  Public (anyone with the link and its password)
+const unlockSharedNote = asyncHandler(async (req, res, next) => {
+  const { link, note } = await loadSharedNote(req.params.token, { withPassword: true });
+
+  if (!(await link.matchPassword(req.body.password))) {
+    return next(new ErrorResponse('Incorrect password', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: describeSharedNote(link, note)
+  });
+});
+
+// @desc    Download a shared note's file. Counted on the link and the note's
+//          share downloads, never as a student download.
+// @route   GET /api/share/:token/download
+// @access  Public (with the access token from opening the link)
+const downloadSharedNote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const { link, note } = await loadSharedNote(req.params.token);
+
+  const access = verifyShareToken(req.query.access, SHARE_DOWNLOAD_AUDIENCE);
+  if (!access || access.link !== link._id.toString()) {
+    return next(new ErrorResponse('Download access has expired, please open the link again', 410));
+  }
+
+  const file = req.query.attachment
+    ? note.attachments.id(req.query.attachment)
+    : note.attachments[0] || note;
+
+  if (!file || (!file.filePath && !file.cloudinaryUrl)) {
+    return next(new ErrorResponse('This note does not have a downloadable file', 404));
+  }
+
+  // Open the file before claiming a download, so a missing file or a failed
+  // fetch doesn't use one up
+  const opened = await openStoredFile(file);
+
+  if (!(await ShareLink.claimDownload(link._id))) {
+    opened.stream.destroy();
+    return next(new ErrorResponse(UNAVAILABLE_MESSAGES.exhausted, 410));
+  }
+  await Note.updateOne({ _id: note._id }, { $inc: { shareDownloadCount: 1 } });
+
+  await sendStoredFile(res, next, file, { opened });
+});
+
+// Validation for creating a share link
+const validateShareLink = [
+  body('expiresAt')
+    .isISO8601()
+    .withMessage('Expiry time must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry time must be in the future')
+    .custom(value => new Date(value) <= new Date(Date.now() + SHARE_LINK_MAX_DAYS * DAY_MS))
+    .withMessage(`Share links can last at most ${SHARE_LINK_MAX_DAYS} days`),
+
+  body('maxDownloads')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Maximum downloads must be between 1 and 10000'),
+
+  body('password')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label cannot be more than 100 characters')
+];
+
+// Validation for share link routes by link ID
+const validateShareLinkId = [
+  param('linkId')
+    .isMongoId()
+    .withMessage('Invalid share link ID')
+];
+
+// Validation for shared note downloads
+const validateSharedDownload = [
+  query('access')
+    .isString()
+    .notEmpty()
+    .withMessage('Download access token is required'),
+
+  query('attachment')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid attachment ID')
+];
+
+module.exports = {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  getSharedNote,
+  unlockSharedNote,
+  downloadSharedNote,
+  validateShareLink,
+  validateShareLinkId,
+  validateSharedDownload
+};
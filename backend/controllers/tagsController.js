@@ -0,0 +1,154 @@
+const Note = require('../models/Note');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { body, param, query, validationResult } = require('express-validator');
+
+// Tags are stored trimmed and lowercase on notes
+const normalizeTag = (tag) => String(tag).trim().toLowerCase();
+
+// Merge the source tags into the target, on the user's notes or (for tag
+// moderators, with user null) on every note, and build the response body
+const runMerge = async (sources, target, user) => {
+  const mergedSources = [...new Set(sources.map(normalizeTag))].filter(tag => tag && tag !== target);
+
+  if (mergedSources.length === 0) {
+    throw new ErrorResponse('Provide at least one tag that differs from the target', 400);
+  }
+
+  const result = user
+    ? await Note.mergeTags(mergedSources, target, user._id)
+    : await Note.mergeCatalogueTags(mergedSources, target);
+
+  return {
+    success: true,
+    message: `Merged ${mergedSources.join(', ')} into ${target} on ${result.notesUpdated} note(s)`,
+    data: {
+      sources: mergedSources,
+      target,
+      ...result
+    }
+  };
+};
+
+// @desc    Get tags with usage counts (prefix autocomplete)
+// @route   GET /api/tags
+// @access  Public
+const getTags = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const tags = await Note.getTagCatalogue({
+    prefix: req.query.prefix ? normalizeTag(req.query.prefix) : '',
+    limit: parseInt(req.query.limit) || 20
+  });
+
+  res.status(200).json({
+    success: true,
+    count: tags.length,
+    data: tags
+  });
+});
+
+// @desc    Merge tags into a single tag across the current teacher's notes
+// @route   POST /api/tags/merge
+// @access  Private (Teachers only)
+const mergeTags = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const sources = Array.isArray(req.body.sources) ? req.body.sources : String(req.body.sources).split(',');
+
+  res.status(200).json(await runMerge(sources, normalizeTag(req.body.target), req.user));
+});
+
+// @desc    Rename a tag across the current teacher's notes
+// @route   PUT /api/tags/:tag
+// @access  Private (Teachers only)
+const renameTag = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  res.status(200).json(await runMerge([req.params.tag], normalizeTag(req.body.name), req.user));
+});
+
+// @desc    Merge tags into a single tag across every note
+// @route   POST /api/tags/catalogue/merge
+// @access  Private (Tag moderators only)
+const mergeCatalogueTags = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const sources = Array.isArray(req.body.sources) ? req.body.sources : String(req.body.sources).split(',');
+
+  res.status(200).json(await runMerge(sources, normalizeTag(req.body.target), null));
+});
+
+// @desc    Rename a tag across every note
+// @route   PUT /api/tags/catalogue/:tag
+// @access  Private (Tag moderators only)
+const renameCatalogueTag = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  res.status(200).json(await runMerge([req.params.tag], normalizeTag(req.body.name), null));
+});
+
+// Query validation for the tag catalogue
+const validateTagQuery = [
+  query('prefix')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Prefix cannot be more than 50 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for merging tags
+const validateTagMerge = [
+  body('sources')
+    .notEmpty()
+    .withMessage('Please provide the tags to merge'),
+
+  body('target')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Target tag must be between 1 and 50 characters')
+];
+
+// Validation for renaming a tag
+const validateTagRename = [
+  param('tag')
+    .trim()
+    .notEmpty()
+    .withMessage('Please provide the tag to rename'),
+
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('New tag name must be between 1 and 50 characters')
+];
+
+module.exports = {
+  getTags,
+  mergeTags,
+  renameTag,
+  mergeCatalogueTags,
+  renameCatalogueTag,
+  validateTagQuery,
+  validateTagMerge,
+  validateTagRename
+};
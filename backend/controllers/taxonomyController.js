@@ -0,0 +1,42 @@
+const TaxonomyTerm = require('../models/TaxonomyTerm');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { query, validationResult } = require('express-validator');
+
+// Kinds of terms the taxonomy holds, one per note field
+const TAXONOMY_KINDS = ['subject', 'grade', 'category'];
+
+// @desc    Get the allowed subjects, grades and categories (subjects as a tree)
+// @route   GET /api/taxonomy
+// @access  Public
+const getTaxonomy = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse(errors.array().map(err => err.msg).join(', '), 400));
+  }
+
+  const kinds = req.query.kind ? [req.query.kind] : TAXONOMY_KINDS;
+
+  const data = {};
+  for (const kind of kinds) {
+    data[kind] = await TaxonomyTerm.getTree(kind);
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// Query validation for the taxonomy
+const validateTaxonomyQuery = [
+  query('kind')
+    .optional()
+    .isIn(TAXONOMY_KINDS)
+    .withMessage(`Kind must be one of: ${TAXONOMY_KINDS.join(', ')}`)
+];
+
+module.exports = {
+  getTaxonomy,
+  validateTaxonomyQuery
+};
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const { verifyToken } = require('../config/jwt');
 const asyncHandler = require('./asyncHandler');
@@ -80,8 +81,33 @@ const studentOnly = (req, res, next) => {
   next();
 };
 
-// Check if user owns the resource (for editing/deleting)
-const checkOwnership = (resourceModel, resourceField = '_id') => {
+// Tag moderator only access: the users listed in TAG_MODERATOR_IDS (comma
+// separated) may merge and rename tags across every teacher's notes
+const tagModeratorOnly = (req, res, next) => {
+  if (!req.user) {
+    return next(new ErrorResponse('Access denied. Authentication required.', 401));
+  }
+
+  const moderatorIds = (process.env.TAG_MODERATOR_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (!moderatorIds.includes(req.user._id.toString())) {
+    return next(new ErrorResponse('Access denied. Tag moderator access required.', 403));
+  }
+
+  next();
+};
+
+// Roles that may modify a resource unless a route asks for others. The
+// uploadedBy teacher is the owner; notes can also have co-authors who are
+// editors or viewers of analytics.
+const MODIFY_ROLES = ['owner', 'editor'];
+
+// Check if user owns the resource, or holds one of the given roles on it
+// (for editing/deleting)
+const checkOwnership = (resourceModel, { roles = MODIFY_ROLES, resourceField = '_id' } = {}) => {
   return asyncHandler(async (req, res, next) => {
     const resourceId = req.params.id || req.params[resourceField];
     
@@ -89,23 +115,44 @@ const checkOwnership = (resourceModel, resourceField = '_id') => {
       return next(new ErrorResponse('Resource ID is required.', 400));
     }
 
-    const resource = await resourceModel.findById(resourceId);
-    
-    if (!resource) {
-      return next(new ErrorResponse('Resource not found.', 404));
-    }
-
-    // Check if user owns the resource
-    if (resource.uploadedBy && resource.uploadedBy.toString() !== req.user._id.toString()) {
-      return next(new ErrorResponse('Access denied. You can only modify your own resources.', 403));
-    }
-
     // Add resource to request object
-    req.resource = resource;
+    req.resource = await findOwnedResource(resourceModel, resourceId, req.user, roles);
     next();
   });
 };
 
+// Role of a user on a resource: resources with co-authors work it out
+// themselves, otherwise only the uploadedBy teacher (the owner) has one
+const getResourceRole = (resource, user) => {
+  if (typeof resource.getAuthorRole === 'function') {
+    return resource.getAuthorRole(user);
+  }
+
+  return !resource.uploadedBy || resource.uploadedBy.toString() === user._id.toString() ? 'owner' : null;
+};
+
+// Load a resource the user owns (or holds one of the given roles on), failing
+// the same way as checkOwnership. Used directly where one request acts on
+// many resources.
+const findOwnedResource = async (resourceModel, resourceId, user, roles = MODIFY_ROLES) => {
+  const resource = mongoose.isValidObjectId(resourceId) ? await resourceModel.findById(resourceId) : null;
+  
+  if (!resource) {
+    throw new ErrorResponse('Resource not found.', 404);
+  }
+
+  // Check if user owns the resource or has a role that allows this
+  const role = getResourceRole(resource, user);
+  if (!role) {
+    throw new ErrorResponse('Access denied. You can only modify your own resources.', 403);
+  }
+  if (!roles.includes(role)) {
+    throw new ErrorResponse(`Access denied. This requires the ${roles.join(' or ')} role on the resource.`, 403);
+  }
+
+  return resource;
+};
+
 // Optional auth - doesn't fail if no token, but adds user if token exists
 const optionalAuth = asyncHandler(async (req, res, next) => {
   let token;
@@ -134,6 +181,8 @@ module.exports = {
   authorize,
   teacherOnly,
   studentOnly,
+  tagModeratorOnly,
   checkOwnership,
+  findOwnedResource,
   optionalAuth
 };
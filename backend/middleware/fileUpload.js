@@ -1,58 +1,89 @@
 const multer = require('multer');
 const path = require('path');
 const ErrorResponse = require('./ErrorResponse');
-const { 
-  documentStorage, 
-  deleteFromCloudinary, 
-  getCloudinaryFileInfo,
-  verifyCloudinaryConfig 
-} = require('../config/cloudinary');
+const { storeFile, removeStoredFile } = require('../utils/storage');
 
-// Check if Cloudinary is configured, fallback to memory storage if not
-const storage = verifyCloudinaryConfig() ? documentStorage : multer.memoryStorage();
+// Multer storage engine that saves uploads with the configured storage driver
+// (local disk or Cloudinary). The bytes are also kept on req.file.buffer so
+// they can be hashed and indexed without reading the file back.
+const storage = {
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    file.stream.on('data', chunk => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      // Stored with the type of its extension rather than the one the client sent
+      storeFile(buffer, { ...file, mimetype: getMimeType(file.originalname) })
+        .then(storedFile => cb(null, { buffer, size: buffer.length, storedFile }))
+        .catch(cb);
+    });
+  },
 
-// File filter with enhanced validation
-const fileFilter = (req, file, cb) => {
+  _removeFile(req, file, cb) {
+    removeStoredFile(file.storedFile).then(() => cb(null), cb);
+  }
+};
+
+// Expected MIME type of each allowed file extension
+const ALLOWED_MIME_TYPES = {
+  'pdf': 'application/pdf',
+  'doc': 'application/msword',
+  'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'txt': 'text/plain',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'png': 'image/png',
+  'ppt': 'application/vnd.ms-powerpoint',
+  'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// MIME type to store a file with, from its extension
+const getMimeType = (fileName) => {
+  return ALLOWED_MIME_TYPES[path.extname(fileName).toLowerCase().slice(1)] || 'application/octet-stream';
+};
+
+// Check a file's extension and MIME type; returns the error, or null if allowed
+const checkFileType = (file) => {
   const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'pdf,doc,docx,txt,jpg,jpeg,png,ppt,pptx')
     .split(',')
     .map(type => type.trim().toLowerCase());
   
   const fileExt = path.extname(file.originalname).toLowerCase().slice(1);
-  const allowedMimeTypes = {
-    'pdf': 'application/pdf',
-    'doc': 'application/msword',
-    'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'txt': 'text/plain',
-    'jpg': 'image/jpeg',
-    'jpeg': 'image/jpeg',
-    'png': 'image/png',
-    'ppt': 'application/vnd.ms-powerpoint',
-    'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-  };
   
   // Check file extension
   if (!allowedTypes.includes(fileExt)) {
-    return cb(new ErrorResponse(
+    return new ErrorResponse(
       `Only ${allowedTypes.join(', ')} files are allowed. You uploaded: ${fileExt}`,
       400
-    ), false);
+    );
   }
   
   // Check MIME type for additional security
-  const expectedMimeType = allowedMimeTypes[fileExt];
+  const expectedMimeType = ALLOWED_MIME_TYPES[fileExt];
   if (expectedMimeType && file.mimetype !== expectedMimeType) {
     // Allow some flexibility for text files and images
     const isTextFile = fileExt === 'txt' && file.mimetype.startsWith('text/');
     const isImageFile = ['jpg', 'jpeg', 'png'].includes(fileExt) && file.mimetype.startsWith('image/');
     
     if (!isTextFile && !isImageFile) {
-      return cb(new ErrorResponse(
+      return new ErrorResponse(
         `Invalid file type. Expected ${expectedMimeType} but got ${file.mimetype}`,
         400
-      ), false);
+      );
     }
   }
   
+  return null;
+};
+
+// File filter with enhanced validation
+const fileFilter = (req, file, cb) => {
+  const error = checkFileType(file);
+  if (error) {
+    return cb(error, false);
+  }
+  
   cb(null, true);
 };
 
@@ -188,67 +219,108 @@ const uploadOptional = (fieldName = 'file') => {
   };
 };
 
-// Helper function to delete uploaded file from Cloudinary
-const deleteFile = async (filePathOrPublicId, isCloudinary = true) => {
-  try {
-    if (isCloudinary && verifyCloudinaryConfig()) {
-      // Extract public_id from Cloudinary URL or use directly if it's already a public_id
-      let publicId = filePathOrPublicId;
-      
-      // If it's a full Cloudinary URL, extract the public_id
-      if (filePathOrPublicId.includes('cloudinary.com')) {
-        const urlParts = filePathOrPublicId.split('/');
-        const fileNameWithExt = urlParts[urlParts.length - 1];
-        publicId = fileNameWithExt.split('.')[0];
-        
-        // Reconstruct full public_id with folder path
-        const folderIndex = urlParts.indexOf('upload');
-        if (folderIndex > -1 && folderIndex < urlParts.length - 2) {
-          const folderParts = urlParts.slice(folderIndex + 2, -1);
-          publicId = folderParts.length > 0 ? `${folderParts.join('/')}/${publicId}` : publicId;
-        }
-      }
-      
-      const result = await deleteFromCloudinary(publicId);
-      return result;
+// Bulk imports: a ZIP archive of note files and an optional CSV or JSON
+// manifest, kept in memory until the import has read them
+const MAX_IMPORT_SIZE = parseInt(process.env.MAX_IMPORT_SIZE) || 100 * 1024 * 1024; // 100MB default
+
+const IMPORT_FILE_TYPES = {
+  archive: ['zip'],
+  manifest: ['csv', 'json']
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const fileExt = path.extname(file.originalname).toLowerCase().slice(1);
+    const allowedTypes = IMPORT_FILE_TYPES[file.fieldname] || [];
+
+    if (!allowedTypes.includes(fileExt)) {
+      return cb(new ErrorResponse(
+        `The ${file.fieldname} must be a ${allowedTypes.join(' or ')} file. You uploaded: ${fileExt}`,
+        400
+      ), false);
     }
-    
-    // If not using Cloudinary or config is missing, return success (no-op)
-    return { result: 'ok' };
-  } catch (error) {
-    console.error('Error deleting file:', error.message);
-    // Don't throw error for file deletion failures to prevent blocking other operations
-    return { result: 'error', message: error.message };
+
+    cb(null, true);
+  },
+  limits: {
+    fileSize: MAX_IMPORT_SIZE,
+    files: 2
   }
+});
+
+// Bulk import upload middleware (fields `archive` and optional `manifest`)
+const uploadImport = () => {
+  return (req, res, next) => {
+    const fieldsUpload = importUpload.fields([
+      { name: 'archive', maxCount: 1 },
+      { name: 'manifest', maxCount: 1 }
+    ]);
+
+    fieldsUpload(req, res, (err) => {
+      if (err) {
+        if (err instanceof multer.MulterError) {
+          let message = 'File upload error';
+
+          switch (err.code) {
+            case 'LIMIT_FILE_SIZE':
+              message = `Archive too large. Maximum size is ${Math.round(MAX_IMPORT_SIZE / (1024 * 1024))}MB`;
+              break;
+            case 'LIMIT_FILE_COUNT':
+            case 'LIMIT_UNEXPECTED_FILE':
+              message = 'Upload a ZIP archive as `archive` and, optionally, a manifest as `manifest`';
+              break;
+            default:
+              message = err.message;
+          }
+
+          return next(new ErrorResponse(message, 400));
+        } else if (err instanceof ErrorResponse) {
+          return next(err);
+        } else {
+          return next(new ErrorResponse('File upload failed', 500));
+        }
+      }
+
+      // Check if the archive was uploaded
+      if (!req.files || !req.files.archive) {
+        return next(new ErrorResponse('Please upload a ZIP archive', 400));
+      }
+
+      next();
+    });
+  };
 };
 
-// Get file info helper - works with both Cloudinary and local files
-const getFileInfo = (file) => {
-  if (verifyCloudinaryConfig() && file.path && file.path.includes('cloudinary.com')) {
-    // Cloudinary file
-    return getCloudinaryFileInfo(file);
-  } else {
-    // Local file or memory storage fallback
-    return {
-      fileName: file.filename || file.originalname,
-      originalFileName: file.originalname,
-      filePath: file.path || '',
-      fileSize: file.size || 0,
-      fileType: path.extname(file.originalname).toLowerCase().slice(1),
-      mimeType: file.mimetype,
-      cloudinaryPublicId: null,
-      cloudinaryUrl: null,
-      cloudinarySecureUrl: null,
-      resourceType: 'local'
-    };
+// Store a file that didn't come through multer (e.g. one read from a ZIP
+// archive) the same way as an upload, and return its file info
+const storeFileBuffer = async (buffer, originalname) => {
+  const file = {
+    originalname,
+    mimetype: getMimeType(originalname),
+    size: buffer.length,
+    buffer
+  };
+
+  const typeError = checkFileType(file);
+  if (typeError) {
+    throw typeError;
   }
+
+  return storeFile(buffer, file);
 };
 
+// Note file fields (name, location, size, type) of a file uploaded through multer
+const getFileInfo = (file) => ({ ...file.storedFile });
+
 module.exports = {
+  getMimeType,
+  checkFileType,
+  storeFileBuffer,
   upload,
   uploadSingle,
   uploadMultiple,
   uploadOptional,
-  deleteFile,
+  uploadImport,
   getFileInfo
 };
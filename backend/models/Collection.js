@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+// Maximum number of entries (notes and section headings) in one collection
+const MAX_COLLECTION_ITEMS = 200;
+
+// One entry in a collection's sequence: a note, or a section heading that
+// groups the notes after it (e.g. "Week 3")
+const CollectionItemSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['note', 'section'],
+    required: [true, 'Item kind is required']
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null,
+    required: [function() { return this.kind === 'note'; }, 'Note items need a note']
+  },
+  heading: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Section heading cannot be more than 100 characters'],
+    default: '',
+    required: [function() { return this.kind === 'section'; }, 'Section items need a heading']
+  }
+});
+
+const CollectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Collection title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  },
+  // Cover image URL shown in listings
+  coverImage: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  subject: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  grade: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Ordered notes and section headings
+  items: {
+    type: [CollectionItemSchema],
+    validate: {
+      validator: items => items.length <= MAX_COLLECTION_ITEMS,
+      message: `A collection can have at most ${MAX_COLLECTION_ITEMS} items`
+    }
+  },
+  // Teacher who owns the collection (named like Note.uploadedBy for checkOwnership)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher ID is required']
+  },
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+CollectionSchema.index({ uploadedBy: 1 });
+CollectionSchema.index({ 'items.note': 1 });
+CollectionSchema.index({ isPublic: 1, isActive: 1, createdAt: -1 });
+
+// Virtual for the number of notes in the collection
+CollectionSchema.virtual('noteCount').get(function() {
+  return (this.items || []).filter(item => item.kind === 'note').length;
+});
+
+// Static method to build the query for the public collection listing
+CollectionSchema.statics.buildFilterQuery = function(filters = {}) {
+  const query = { isActive: true, isPublic: true };
+
+  if (filters.subject) query.subject = filters.subject;
+  if (filters.grade) query.grade = filters.grade;
+  if (filters.uploadedBy) query.uploadedBy = filters.uploadedBy;
+  if (filters.search) {
+    query.title = { $regex: filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  return query;
+};
+
+// Static method to take a note out of every collection containing it
+CollectionSchema.statics.removeNote = function(noteId) {
+  return this.updateMany(
+    { 'items.note': noteId },
+    { $pull: { items: { kind: 'note', note: noteId } } }
+  );
+};
+
+// Method to check whether a user owns the collection
+CollectionSchema.methods.isOwnedBy = function(user) {
+  return Boolean(user) && this.uploadedBy.toString() === user._id.toString();
+};
+
+// Method to build the sequence a student steps through. Expects items.note to
+// be populated and `viewer` to describe the user (see Note.getViewer); notes
+// the user can't currently see (trashed, private or not yet published, unless
+// they are the user's own or shared with them) are left out, and each
+// remaining note is numbered with its step and the section it falls under.
+CollectionSchema.methods.getSequence = function(user, viewer = null) {
+  const sequence = [];
+  let section = null;
+  let step = 0;
+
+  this.items.forEach(item => {
+    if (item.kind === 'section') {
+      section = item.heading;
+      sequence.push({ _id: item._id, kind: 'section', heading: item.heading });
+      return;
+    }
+
+    const note = item.note;
+    if (!note || !note._id) return;
+    const ownerId = note.uploadedBy && note.uploadedBy._id ? note.uploadedBy._id : note.uploadedBy;
+    const isOwnNote = Boolean(user) && note.isActive && String(ownerId) === user._id.toString();
+    if (!note.isPublished() && !isOwnNote && !note.isSharedWith(viewer)) return;
+
+    step += 1;
+    sequence.push({ _id: item._id, kind: 'note', step, section, note });
+  });
+
+  return sequence;
+};
+
+module.exports = mongoose.model('Collection', CollectionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parseCursor, buildCursorFilter, getCursorSort, buildPage } = require('../utils/pagination');
 
 const DownloadHistorySchema = new mongoose.Schema({
   // Reference to the note that was downloaded
@@ -44,6 +45,11 @@ const DownloadHistorySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Version of the note that was downloaded
+  noteVersion: {
+    type: Number,
+    default: 1
+  },
   // Teacher who uploaded the note
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -69,15 +75,21 @@ DownloadHistorySchema.virtual('formattedDate').get(function() {
 });
 
 // Static method to get download history for a student
-DownloadHistorySchema.statics.getStudentDownloads = function(studentId, page = 1, limit = 10) {
-  const skip = (page - 1) * limit;
+// Pages are addressed by an opaque cursor or, as a fallback, by page number.
+// Returns { data, nextCursor, prevCursor }.
+DownloadHistorySchema.statics.getStudentDownloads = async function(studentId, page = 1, limit = 10, cursor = null) {
+  const sort = { downloadedAt: -1, _id: -1 };
+  const position = parseCursor(cursor, sort);
+  const skip = position ? 0 : (page - 1) * limit;
   
-  return this.find({ studentId })
-    .populate('noteId', 'title subject grade uploadedBy')
+  const downloads = await this.find({ studentId, ...buildCursorFilter(sort, position) })
+    .populate('noteId', 'title subject grade uploadedBy currentVersion')
     .populate('uploadedBy', 'name email')
-    .sort({ downloadedAt: -1 })
+    .sort(getCursorSort(sort, position))
     .skip(skip)
-    .limit(limit);
+    .limit(limit + 1);
+
+  return buildPage(downloads, { sort, limit, cursor: position, skip });
 };
 
 // Static method to get download statistics
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// A running import saves after every row; one silent for this long has been
+// cut short (e.g. by a server restart)
+const STALLED_AFTER_MS = 10 * 60 * 1000;
+
+// One manifest row of a bulk import and what became of it
+const ImportRowSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  file: {
+    type: String,
+    default: ''
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'created', 'invalid', 'failed'],
+    default: 'pending'
+  },
+  // Why the row was rejected or failed
+  messages: [String],
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null
+  }
+}, { _id: false });
+
+// A bulk import of notes from a ZIP archive and manifest. Rows are validated
+// up front; valid rows are turned into notes in the background while the
+// teacher polls the job for progress.
+const ImportJobSchema = new mongoose.Schema({
+  // Teacher running the import (named like Note.uploadedBy for checkOwnership)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher ID is required']
+  },
+  archiveName: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  rows: [ImportRowSchema],
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  createdCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ImportJobSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+// Virtual for the percentage of rows handled so far
+ImportJobSchema.virtual('progress').get(function() {
+  if (this.status === 'completed') return 100;
+  if (!this.totalRows) return 0;
+  return Math.floor((this.processedRows / this.totalRows) * 100);
+});
+
+// Static method to fail imports that stopped making progress. Archives are
+// only held in memory while an import runs, so these can't be resumed.
+ImportJobSchema.statics.failStalled = function(filter = {}) {
+  return this.updateMany(
+    {
+      ...filter,
+      status: { $in: ['queued', 'processing'] },
+      updatedAt: { $lt: new Date(Date.now() - STALLED_AFTER_MS) }
+    },
+    {
+      $set: {
+        status: 'failed',
+        error: 'The import was interrupted by a server restart. Please upload the archive again.',
+        completedAt: new Date()
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('ImportJob', ImportJobSchema);
@@ -1,4 +1,144 @@
 const mongoose = require('mongoose');
+const { parseCursor, buildCursorFilter, getCursorSort, buildPage } = require('../utils/pagination');
+const { MAX_MARKDOWN_LENGTH, renderMarkdown, markdownToText } = require('../utils/markdownRenderer');
+
+// Sort keys accepted by the public catalogue, mapped to the Note field they order by
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  newest: 'createdAt',
+  title: 'title',
+  subject: 'subject',
+  downloadCount: 'downloadCount',
+  popular: 'downloadCount',
+  viewCount: 'viewCount',
+  averageRating: 'averageRating',
+  rating: 'averageRating'
+};
+
+// Fields reported as facet counts in the notes listing
+const FACET_FIELDS = ['subject', 'grade', 'category', 'difficulty', 'tags'];
+const MAX_TAG_FACETS = 50;
+
+// Weights used to score related notes
+const RELATED_WEIGHTS = {
+  sharedTag: 3,
+  sameSubject: 2,
+  sameGrade: 1.5,
+  coDownload: 4
+};
+const RELATED_CANDIDATE_LIMIT = 200;
+const CO_DOWNLOAD_STUDENT_LIMIT = 500;
+
+// Trending score: each download in the window counts 1, halving every half-life
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRENDING_WINDOW_DAYS = 30;
+const TRENDING_HALF_LIFE_DAYS = 7;
+
+// File fields shared by a note's primary file and each of its attachments
+const FILE_FIELDS = [
+  'fileName', 'originalFileName', 'filePath', 'fileSize', 'fileType', 'mimeType',
+  'cloudinaryPublicId', 'cloudinaryUrl', 'cloudinarySecureUrl', 'resourceType', 'contentHash'
+];
+
+// Maximum number of files attached to one note
+const MAX_ATTACHMENTS = 10;
+
+// Days a deleted note stays restorable in the trash before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Roles a co-author can hold; the uploadedBy teacher is the note's owner
+const CO_AUTHOR_ROLES = ['editor', 'analytics-viewer'];
+const MAX_CO_AUTHORS = 20;
+
+// Limits on the prerequisite graph: direct prerequisites per note, and notes
+// walked when building a study path
+const MAX_PREREQUISITES = 10;
+const MAX_STUDY_PATH_NOTES = 100;
+
+// Longest slug made from a title (before any teacher name or counter)
+const MAX_SLUG_LENGTH = 80;
+// Times saveWithSlug picks a new slug after losing one to another note
+const MAX_SLUG_ATTEMPTS = 5;
+
+// URL-friendly form of a title or name: lowercase ASCII words joined by dashes
+const slugify = (text = '') => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+// Subject, grade and category must be values in the taxonomy. Only new or
+// changed values are checked, so notes saved before a term was removed (or
+// before scripts/migrateTaxonomy.js ran) can still be saved.
+const taxonomyValidator = (kind) => ({
+  validator: async function(value) {
+    if (!this.isNew && !this.isModified(kind)) return true;
+
+    const term = await mongoose.model('TaxonomyTerm').resolve(kind, value);
+    return Boolean(term) && term.value === value;
+  },
+  message: props => `"${props.value}" is not a known ${props.path}`
+});
+
+// A file attached to a note; the first attachment is the note's primary file
+const AttachmentSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Attachment label cannot be more than 100 characters'],
+    default: ''
+  },
+  fileName: String,
+  originalFileName: String,
+  filePath: String,
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  fileType: String,
+  mimeType: String,
+  cloudinaryPublicId: String,
+  cloudinaryUrl: String,
+  cloudinarySecureUrl: String,
+  resourceType: {
+    type: String,
+    default: 'auto'
+  },
+  contentHash: String,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A teacher who maintains the note with its owner. Editors can change the
+// note like its owner; viewers of analytics only see its statistics.
+const CoAuthorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Co-author is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: CO_AUTHOR_ROLES,
+      message: 'Co-author role must be editor or analytics-viewer'
+    },
+    default: 'editor'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const NoteSchema = new mongoose.Schema({
   title: {
@@ -16,18 +156,20 @@ const NoteSchema = new mongoose.Schema({
   subject: {
     type: String,
     required: [true, 'Please specify the subject'],
-    trim: true
+    trim: true,
+    validate: taxonomyValidator('subject')
   },
   grade: {
     type: String,
     required: [true, 'Please specify the grade level'],
-    trim: true
+    trim: true,
+    validate: taxonomyValidator('grade')
   },
   category: {
     type: String,
-    enum: ['lecture-notes', 'assignment', 'reference-material', 'quiz', 'exam', 'other'],
     required: [true, 'Please specify the category'],
-    default: 'lecture-notes'
+    default: 'lecture-notes',
+    validate: taxonomyValidator('category')
   },
   difficulty: {
     type: String,
@@ -82,26 +224,152 @@ const NoteSchema = new mongoose.Schema({
     enum: ['auto', 'image', 'video', 'raw', 'local'],
     default: 'auto'
   },
+  // SHA-256 of the file's bytes, for spotting duplicate uploads
+  contentHash: {
+    type: String,
+    default: null
+  },
+  // Ordered list of files attached to the note.
+  // The top-level file fields above always mirror the first attachment.
+  attachments: {
+    type: [AttachmentSchema],
+    validate: [
+      attachments => attachments.length <= MAX_ATTACHMENTS,
+      `A note can have at most ${MAX_ATTACHMENTS} attachments`
+    ]
+  },
+  // Note written in the platform as Markdown (with math and code blocks),
+  // and its sanitized HTML rendering, kept in sync on save
+  content: {
+    type: String,
+    maxlength: [MAX_MARKDOWN_LENGTH, `Content cannot be more than ${MAX_MARKDOWN_LENGTH} characters`],
+    default: ''
+  },
+  contentHtml: {
+    type: String,
+    default: '',
+    select: false
+  },
+  // Plain text extracted from the attached file and written content, used for content search
+  contentText: {
+    type: String,
+    default: '',
+    select: false
+  },
+  textExtraction: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'completed', 'failed', 'unsupported'],
+      default: 'none'
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    extractedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Number of the current version in NoteVersion history
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  // Unique URL name made from the title (see Note.generateSlug). It changes
+  // only with the title, and earlier slugs keep redirecting to the note.
+  slug: {
+    type: String,
+    trim: true
+  },
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
   // Teacher who uploaded
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Teacher ID is required']
   },
-  // Visibility and access
+  // Other teachers who maintain the note (see CoAuthorSchema)
+  coAuthors: {
+    type: [CoAuthorSchema],
+    validate: {
+      validator: coAuthors => coAuthors.length <= MAX_CO_AUTHORS,
+      message: `A note can have at most ${MAX_CO_AUTHORS} co-authors`
+    }
+  },
+  // Notes to read before this one. The graph never has cycles
+  // (see Note.findPrerequisiteCycle).
+  prerequisites: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note'
+    }],
+    validate: {
+      validator: prerequisites => prerequisites.length <= MAX_PREREQUISITES,
+      message: `A note can have at most ${MAX_PREREQUISITES} prerequisites`
+    }
+  },
+  // Visibility and access. A note that isn't public is private to its owner,
+  // unless it is shared with named students or groups (a restricted note).
   isPublic: {
     type: Boolean,
     default: true
   },
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  sharedGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentGroup'
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Publishing schedule: drafts are never listed, and a note is only
+  // visible between publishAt and unpublishAt when they are set
+  isDraft: {
+    type: Boolean,
+    default: false
+  },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.publishAt || value > this.publishAt;
+      },
+      message: 'Unpublish time must be after the publish time'
+    }
+  },
+  // When the note first became visible to students (null until released)
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  // When the note was moved to the trash (null unless trashed)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   // Statistics
   downloadCount: {
     type: Number,
     default: 0
   },
+  // Downloads through share links, kept apart from student downloads
+  shareDownloadCount: {
+    type: Number,
+    default: 0
+  },
   viewCount: {
     type: Number,
     default: 0
@@ -123,21 +391,170 @@ const NoteSchema = new mongoose.Schema({
 // Indexes for better query performance
 NoteSchema.index({ subject: 1, grade: 1, category: 1 });
 NoteSchema.index({ uploadedBy: 1 });
+NoteSchema.index({ 'coAuthors.user': 1 });
+NoteSchema.index({ prerequisites: 1 });
+NoteSchema.index({ slug: 1 }, { unique: true, sparse: true });
+NoteSchema.index({ previousSlugs: 1 });
 NoteSchema.index({ tags: 1 });
 NoteSchema.index({ createdAt: -1 });
 NoteSchema.index({ isPublic: 1, isActive: 1 });
+NoteSchema.index({ sharedWith: 1 });
+NoteSchema.index({ sharedGroups: 1 });
+NoteSchema.index({ publishAt: 1, releasedAt: 1 });
+NoteSchema.index({ deletedAt: 1 });
+NoteSchema.index({ contentHash: 1 });
+NoteSchema.index({ 'attachments.contentHash': 1 });
+
+// Weighted text index used for keyword search (GET /api/notes?search=)
+NoteSchema.index(
+  { title: 'text', tags: 'text', subject: 'text', description: 'text', contentText: 'text' },
+  {
+    name: 'note_text_search',
+    weights: { title: 10, tags: 6, subject: 4, description: 2, contentText: 1 }
+  }
+);
+
+// Virtual for where the note is in its publishing schedule
+NoteSchema.virtual('publishStatus').get(function() {
+  const now = new Date();
+
+  if (this.isDraft) return 'draft';
+  if (this.publishAt && this.publishAt > now) return 'scheduled';
+  if (this.unpublishAt && this.unpublishAt <= now) return 'expired';
+  return 'published';
+});
+
+// Virtual for when a trashed note will be permanently deleted
+NoteSchema.virtual('purgeAt').get(function() {
+  return this.deletedAt ? new Date(this.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+});
 
-// Virtual for URL-friendly slug
-NoteSchema.virtual('slug').get(function() {
-  return this.title.toLowerCase().replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+// Virtual for who can see the note: everyone, the students and groups it is
+// shared with, or only its owner
+NoteSchema.virtual('visibility').get(function() {
+  if (this.isPublic) return 'public';
+  return (this.sharedWith || []).length > 0 || (this.sharedGroups || []).length > 0 ? 'restricted' : 'private';
 });
 
+// Method to check whether students can currently see the note
+NoteSchema.methods.isPublished = function() {
+  return this.isActive && this.isPublic && this.publishStatus === 'published';
+};
+
+// Method to check whether a restricted note is currently shared with a viewer
+// (see Note.getViewer). Works with populated and unpopulated references.
+NoteSchema.methods.isSharedWith = function(viewer) {
+  if (!viewer || !this.isActive || this.publishStatus !== 'published' || this.visibility !== 'restricted') {
+    return false;
+  }
+
+  const refId = ref => String(ref && ref._id ? ref._id : ref);
+  const userId = viewer.userId.toString();
+  const groupIds = new Set(viewer.groupIds.map(id => id.toString()));
+
+  return this.sharedWith.some(ref => refId(ref) === userId) ||
+    this.sharedGroups.some(ref => groupIds.has(refId(ref)));
+};
+
+// Method to get the role a user has on the note: 'owner' for the uploadedBy
+// teacher, the co-author role for co-authors, or null
+NoteSchema.methods.getAuthorRole = function(user) {
+  if (!user) return null;
+
+  const refId = ref => String(ref && ref._id ? ref._id : ref);
+  const userId = user._id.toString();
+
+  if (refId(this.uploadedBy) === userId) return 'owner';
+
+  const coAuthor = (this.coAuthors || []).find(entry => refId(entry.user) === userId);
+  return coAuthor ? coAuthor.role : null;
+};
+
+// Method to hand the note over to one of its co-authors. The previous owner
+// stays on as an editor.
+NoteSchema.methods.transferOwnership = function(userId) {
+  const previousOwner = this.uploadedBy && this.uploadedBy._id ? this.uploadedBy._id : this.uploadedBy;
+
+  this.coAuthors = this.coAuthors
+    .filter(entry => String(entry.user._id || entry.user) !== userId.toString())
+    .concat({ user: previousOwner, role: 'editor' });
+  this.uploadedBy = userId;
+};
+
+// Method to check whether a user (null for anonymous visitors) can see the
+// note: published public notes are visible to everyone, published restricted
+// notes to the students and group members they are shared with, and owners
+// and co-authors can always see their active notes
+NoteSchema.methods.isVisibleTo = async function(user) {
+  if (this.isPublished()) return true;
+  if (!this.isActive || !user) return false;
+
+  if (this.getAuthorRole(user)) return true;
+
+  return this.isSharedWith(await this.constructor.getViewer(user));
+};
+
+// Method to move the note and its reviews to the trash. The reviews are
+// stamped with the same deletedAt so exactly they are brought back on restore.
+NoteSchema.methods.moveToTrash = async function() {
+  const Review = mongoose.model('Review');
+
+  this.isActive = false;
+  this.deletedAt = new Date();
+  await this.save({ validateBeforeSave: false });
+
+  await Review.updateMany(
+    { noteId: this._id, isActive: true },
+    { $set: { isActive: false, deletedAt: this.deletedAt } }
+  );
+};
+
+// Method to restore a trashed note together with the reviews trashed with it
+NoteSchema.methods.restoreFromTrash = async function() {
+  const Review = mongoose.model('Review');
+  const deletedAt = this.deletedAt;
+
+  this.isActive = true;
+  this.deletedAt = null;
+  await this.save({ validateBeforeSave: false });
+
+  await Review.updateMany(
+    { noteId: this._id, deletedAt },
+    { $set: { isActive: true, deletedAt: null } }
+  );
+};
+
+// Static method to get the deletion time before which trashed notes are purged
+NoteSchema.statics.getTrashCutoff = function(now = new Date()) {
+  return new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+};
+
 // Method to increment download count
 NoteSchema.methods.incrementDownload = function() {
   this.downloadCount += 1;
   return this.save({ validateBeforeSave: false });
 };
 
+// Method to count a download of one attachment (and of the note)
+NoteSchema.methods.incrementAttachmentDownload = function(attachmentId) {
+  return this.constructor.updateOne(
+    { _id: this._id, 'attachments._id': attachmentId },
+    { $inc: { downloadCount: 1, 'attachments.$.downloadCount': 1 } }
+  );
+};
+
+// Method to copy the primary file into the attachment list of notes created
+// before attachments existed
+NoteSchema.methods.ensureAttachments = function() {
+  if (this.attachments.length === 0 && (this.filePath || this.cloudinaryUrl)) {
+    const attachment = { downloadCount: this.downloadCount, uploadedAt: this.createdAt };
+    FILE_FIELDS.forEach(field => {
+      attachment[field] = this[field];
+    });
+    this.attachments.push(attachment);
+  }
+};
+
 // Method to increment view count
 NoteSchema.methods.incrementView = function() {
   this.viewCount += 1;
@@ -163,22 +580,684 @@ NoteSchema.methods.updateRating = function(newRating, isUpdate = false) {
   return this.save({ validateBeforeSave: false });
 };
 
-// Static method to get notes by criteria
-NoteSchema.statics.getByFilters = function(filters = {}) {
-  const query = { isActive: true, isPublic: true };
+// Static method to build the query matching notes in a publishing state
+// (see the publishStatus virtual)
+NoteSchema.statics.buildPublishStatusQuery = function(status, now = new Date()) {
+  switch (status) {
+    case 'draft':
+      return { isDraft: true };
+    case 'scheduled':
+      return { isDraft: { $ne: true }, publishAt: { $gt: now } };
+    case 'expired':
+      return { isDraft: { $ne: true }, unpublishAt: { $lte: now } };
+    default:
+      return {
+        isDraft: { $ne: true },
+        $and: [
+          { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+          { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+        ]
+      };
+  }
+};
+
+// Static method to describe who is browsing, for access checks on restricted
+// notes: the user and the groups they belong to (null for anonymous visitors)
+NoteSchema.statics.getViewer = async function(user) {
+  if (!user) return null;
+
+  const groupIds = await mongoose.model('StudentGroup').getGroupIdsFor(user._id);
+  return { userId: user._id, groupIds };
+};
+
+// Static method to build the query matching notes a viewer has access to
+// (public notes, plus restricted notes shared with them)
+NoteSchema.statics.buildAccessQuery = function(viewer = null) {
+  if (!viewer) return { isPublic: true };
+
+  return {
+    $or: [
+      { isPublic: true },
+      { sharedWith: viewer.userId },
+      { sharedGroups: { $in: viewer.groupIds } }
+    ]
+  };
+};
+
+// Static method to build the query for notes a teacher holds one of the given
+// roles on ('owner', 'editor' or 'analytics-viewer'; all of them by default)
+NoteSchema.statics.buildAuthorQuery = function(userId, roles = ['owner', ...CO_AUTHOR_ROLES]) {
+  const conditions = [];
+  const coAuthorRoles = roles.filter(role => role !== 'owner');
+
+  if (roles.includes('owner')) conditions.push({ uploadedBy: userId });
+  if (coAuthorRoles.length > 0) {
+    conditions.push({ coAuthors: { $elemMatch: { user: userId, role: { $in: coAuthorRoles } } } });
+  }
+
+  return { $or: conditions };
+};
+
+// Static method to build the MongoDB query for the catalogue. Only public notes
+// are included, unless filters.viewer is given (see Note.getViewer).
+NoteSchema.statics.buildFilterQuery = function(filters = {}) {
+  const query = { isActive: true, ...this.buildPublishStatusQuery('published') };
+  query.$and.push(this.buildAccessQuery(filters.viewer));
   
-  if (filters.subject) query.subject = filters.subject;
+  if (filters.subject) query.subject = Array.isArray(filters.subject) ? { $in: filters.subject } : filters.subject;
   if (filters.grade) query.grade = filters.grade;
   if (filters.category) query.category = filters.category;
   if (filters.difficulty) query.difficulty = filters.difficulty;
   if (filters.tags && filters.tags.length > 0) query.tags = { $in: filters.tags };
-  if (filters.uploadedBy) query.uploadedBy = filters.uploadedBy;
+  // Aggregations don't cast their $match values, so the ID is cast here
+  if (filters.uploadedBy) query.uploadedBy = new mongoose.Types.ObjectId(String(filters.uploadedBy));
+  if (filters.minRatings) query.ratingCount = { $gte: filters.minRatings };
+  if (filters.search) query.$text = { $search: filters.search };
   
+  return query;
+};
+
+// Static method to build a stable sort specification
+// Every sort ends with createdAt and _id so that pages never repeat or skip notes
+NoteSchema.statics.buildSort = function(sortBy, order, hasSearch = false) {
+  const direction = order === 'asc' ? 1 : -1;
+
+  if (hasSearch && (!sortBy || sortBy === 'relevance')) {
+    return { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 };
+  }
+
+  const field = SORT_FIELDS[sortBy] || 'createdAt';
+  const sort = { [field]: direction };
+  if (field !== 'createdAt') sort.createdAt = direction;
+  sort._id = direction;
+
+  return sort;
+};
+
+// Static method to get notes by criteria
+// When a search term is given, results carry their text relevance score
+NoteSchema.statics.getByFilters = function(filters = {}, options = {}) {
+  const notesQuery = this.find(this.buildFilterQuery(filters))
+    .populate('uploadedBy', 'name email role subject qualification')
+    .sort(this.buildSort(options.sortBy, options.order, Boolean(filters.search)));
+
+  if (filters.search) {
+    notesQuery.select({ score: { $meta: 'textScore' } });
+  }
+
+  return notesQuery;
+};
+
+// Pipeline stages adding a trendingScore to each note as of `asOf`.
+// Downloads from DownloadHistory decay exponentially with age, so a burst of
+// recent downloads outranks the same number spread over the whole window
+const trendingStages = (DownloadHistory, asOf) => {
+  const since = new Date(asOf.getTime() - TRENDING_WINDOW_DAYS * DAY_MS);
+
+  return [
+    {
+      $lookup: {
+        from: DownloadHistory.collection.name,
+        let: { noteId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$noteId', '$$noteId'] },
+                  { $gte: ['$downloadedAt', since] },
+                  { $lte: ['$downloadedAt', asOf] }
+                ]
+              }
+            }
+          },
+          { $project: { _id: 0, downloadedAt: 1 } }
+        ],
+        as: 'recentDownloads'
+      }
+    },
+    {
+      $addFields: {
+        trendingScore: {
+          $sum: {
+            $map: {
+              input: '$recentDownloads',
+              as: 'download',
+              in: {
+                $pow: [0.5, {
+                  $divide: [
+                    { $subtract: [asOf, '$$download.downloadedAt'] },
+                    TRENDING_HALF_LIFE_DAYS * DAY_MS
+                  ]
+                }]
+              }
+            }
+          }
+        }
+      }
+    },
+    { $project: { recentDownloads: 0 } }
+  ];
+};
+
+// Static method to build the sort used by the paginated catalogue.
+// Computed rankings (text relevance, trending) are plain fields here because
+// getPage adds them to each note before sorting.
+NoteSchema.statics.buildPageSort = function(sortBy, order, hasSearch = false) {
+  const direction = order === 'asc' ? 1 : -1;
+
+  if (sortBy === 'trending') {
+    return { trendingScore: direction, downloadCount: direction, createdAt: direction, _id: direction };
+  }
+  if (hasSearch && (!sortBy || sortBy === 'relevance')) {
+    return { score: -1, createdAt: -1, _id: -1 };
+  }
+
+  return this.buildSort(sortBy, order);
+};
+
+// Static method to get one page of the public catalogue.
+// Pages are addressed by an opaque cursor (options.cursor) or, as a fallback,
+// by offset (options.skip). Returns { data, nextCursor, prevCursor }.
+NoteSchema.statics.getPage = async function(filters = {}, options = {}) {
+  const sort = this.buildPageSort(options.sortBy, options.order, Boolean(filters.search));
+  const cursor = parseCursor(options.cursor, sort);
+  const limit = options.limit || 10;
+  const skip = cursor ? 0 : options.skip || 0;
+  const extra = {};
+
+  const pipeline = [
+    { $match: this.buildFilterQuery(filters) },
+    { $project: { contentText: 0, content: 0, contentHtml: 0 } }
+  ];
+
+  if (options.sortBy === 'trending') {
+    // Every page of a listing is scored as of the same moment, so that
+    // downloads made while paging don't reshuffle the results
+    const asOf = cursor && !isNaN(Date.parse(cursor.asOf)) ? new Date(cursor.asOf) : new Date();
+    pipeline.push(...trendingStages(mongoose.model('DownloadHistory'), asOf));
+    extra.asOf = asOf.toISOString();
+  } else if (sort.score) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  pipeline.push(
+    { $match: buildCursorFilter(sort, cursor) },
+    { $sort: getCursorSort(sort, cursor) },
+    { $skip: skip },
+    { $limit: limit + 1 }
+  );
+
+  const notes = await this.aggregate(pipeline);
+  await this.populate(notes, { path: 'uploadedBy', select: 'name email role subject qualification' });
+
+  return buildPage(notes, { sort, limit, cursor, skip, extra });
+};
+
+// Static method to count notes per subject, grade, category, difficulty and tag
+// Each facet applies every active filter except its own, so the alternatives
+// to the current selection keep their counts instead of collapsing to zero
+NoteSchema.statics.getFacets = async function(filters = {}) {
+  const baseFilters = { ...filters };
+  FACET_FIELDS.forEach(field => delete baseFilters[field]);
+
+  const pipelines = {};
+  FACET_FIELDS.forEach(field => {
+    const facetQuery = this.buildFilterQuery({ ...filters, search: undefined, [field]: undefined });
+    const isArrayField = field === 'tags';
+
+    pipelines[field] = [
+      { $match: facetQuery },
+      ...(isArrayField ? [{ $unwind: `$${field}` }] : []),
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      ...(isArrayField ? [{ $limit: MAX_TAG_FACETS }] : [])
+    ];
+  });
+
+  const [result = {}] = await this.aggregate([
+    { $match: this.buildFilterQuery(baseFilters) },
+    { $facet: pipelines }
+  ]);
+
+  const facets = {};
+  FACET_FIELDS.forEach(field => {
+    facets[field] = (result[field] || [])
+      .filter(bucket => bucket._id !== null && bucket._id !== '')
+      .map(bucket => ({ value: bucket._id, count: bucket.count }));
+  });
+
+  return facets;
+};
+
+// Static method to find notes that already have a file with the given content
+// hash: notes the teacher owns or co-authors (in any publishing state) and
+// notes published to everyone. Notes the teacher can't see are never reported.
+NoteSchema.statics.findDuplicates = function(contentHash, user, excludeId = null) {
+  if (!contentHash) return Promise.resolve([]);
+
+  const query = {
+    isActive: true,
+    $and: [
+      { $or: [{ contentHash }, { 'attachments.contentHash': contentHash }] },
+      { $or: [this.buildAuthorQuery(user._id), this.buildFilterQuery()] }
+    ]
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
   return this.find(query)
+    .select('title slug uploadedBy createdAt')
+    .populate('uploadedBy', 'name')
+    .sort({ createdAt: 1 })
+    .limit(5);
+};
+
+// Static method to find groups of the teacher's notes that have exactly the
+// same file, as their primary file or as an attachment
+NoteSchema.statics.getDuplicateReport = function(userId) {
+  return this.aggregate([
+    {
+      $match: {
+        uploadedBy: userId,
+        isActive: true,
+        $or: [{ contentHash: { $ne: null } }, { 'attachments.contentHash': { $ne: null } }]
+      }
+    },
+    {
+      $project: {
+        title: 1,
+        slug: 1,
+        createdAt: 1,
+        files: {
+          $concatArrays: [
+            [{ contentHash: '$contentHash', fileSize: '$fileSize', originalFileName: '$originalFileName' }],
+            {
+              $map: {
+                input: { $ifNull: ['$attachments', []] },
+                as: 'attachment',
+                in: {
+                  contentHash: '$$attachment.contentHash',
+                  fileSize: '$$attachment.fileSize',
+                  originalFileName: '$$attachment.originalFileName'
+                }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$files' },
+    { $match: { 'files.contentHash': { $nin: [null, ''] } } },
+    // The primary file is also the first attachment, so each note counts once per file
+    {
+      $group: {
+        _id: { note: '$_id', contentHash: '$files.contentHash' },
+        title: { $first: '$title' },
+        slug: { $first: '$slug' },
+        createdAt: { $first: '$createdAt' },
+        fileSize: { $first: '$files.fileSize' },
+        originalFileName: { $first: '$files.originalFileName' }
+      }
+    },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$_id.contentHash',
+        count: { $sum: 1 },
+        fileSize: { $first: '$fileSize' },
+        notes: {
+          $push: { _id: '$_id.note', title: '$title', slug: '$slug', originalFileName: '$originalFileName', createdAt: '$createdAt' }
+        }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, fileSize: -1 } },
+    { $project: { _id: 0, contentHash: '$_id', count: 1, fileSize: 1, notes: 1 } }
+  ]);
+};
+
+// Static method to pick a unique slug for a note's title. A title another note
+// already uses is scoped by the teacher's name, and a counter is added if
+// that is taken too. Slugs that redirect to other notes are never reused.
+NoteSchema.statics.generateSlug = async function(title, uploadedBy, noteId = null) {
+  const isTaken = slug => this.exists({ _id: { $ne: noteId }, $or: [{ slug }, { previousSlugs: slug }] });
+
+  const base = slugify(title) || 'note';
+  if (!(await isTaken(base))) return base;
+
+  const teacher = await mongoose.model('User').findById(uploadedBy && uploadedBy._id ? uploadedBy._id : uploadedBy).select('name');
+  const scoped = teacher && slugify(teacher.name) ? `${base}-${slugify(teacher.name)}` : base;
+  if (scoped !== base && !(await isTaken(scoped))) return scoped;
+
+  for (let counter = 2; ; counter += 1) {
+    const candidate = `${scoped}-${counter}`;
+    if (!(await isTaken(candidate))) return candidate;
+  }
+};
+
+// Static method to build the query for the note a slug points to: the note
+// whose current slug it is, or only when there is none, a note that used it
+// before
+NoteSchema.statics.buildSlugQuery = async function(slug) {
+  const current = await this.exists({ slug });
+  return current ? { _id: current._id } : { previousSlugs: slug };
+};
+
+// Static method to find a note by its current or an earlier slug
+NoteSchema.statics.findBySlug = async function(slug) {
+  return this.findOne(await this.buildSlugQuery(slug));
+};
+
+// Static method to check whether giving a note these prerequisites would close
+// a cycle. Returns the IDs around the cycle, starting and ending with the
+// note (a requires b requires ... requires a), or null.
+NoteSchema.statics.findPrerequisiteCycle = async function(noteId, prerequisiteIds) {
+  const target = noteId.toString();
+  // Each note reached, mapped to the note that requires it
+  const requiredBy = new Map();
+  let frontier = [];
+
+  const reach = (id, from) => {
+    const key = id.toString();
+    if (requiredBy.has(key)) return;
+    requiredBy.set(key, from);
+    frontier.push(key);
+  };
+
+  prerequisiteIds.forEach(id => reach(id, target));
+
+  while (frontier.length > 0 && !requiredBy.has(target)) {
+    const notes = await this.find({ _id: { $in: frontier } }).select('prerequisites');
+    frontier = [];
+    notes.forEach(note => note.prerequisites.forEach(id => reach(id, note._id.toString())));
+  }
+
+  if (!requiredBy.has(target)) return null;
+
+  const cycle = [target];
+  for (let id = requiredBy.get(target); id !== target; id = requiredBy.get(id)) {
+    cycle.unshift(id);
+  }
+  cycle.unshift(target);
+
+  return cycle;
+};
+
+// Static method to get the notes to study, in order, to reach a note: every
+// prerequisite (direct or not) before the notes that need it, in the order
+// teachers listed them, and the note itself last
+NoteSchema.statics.getStudyPath = async function(note) {
+  const notes = new Map([[note._id.toString(), note]]);
+  let frontier = note.prerequisites.map(String);
+
+  while (frontier.length > 0 && notes.size < MAX_STUDY_PATH_NOTES) {
+    const found = await this.find({ _id: { $in: frontier.slice(0, MAX_STUDY_PATH_NOTES - notes.size) } });
+    found.forEach(prerequisite => notes.set(prerequisite._id.toString(), prerequisite));
+
+    frontier = [...new Set(found.flatMap(prerequisite => prerequisite.prerequisites.map(String)))]
+      .filter(id => !notes.has(id));
+  }
+
+  // Depth-first, so each note is listed after everything it depends on
+  const path = [];
+  const visited = new Set();
+  const visit = (current) => {
+    visited.add(current._id.toString());
+    current.prerequisites.forEach(id => {
+      const prerequisite = notes.get(id.toString());
+      if (prerequisite && !visited.has(id.toString())) visit(prerequisite);
+    });
+    path.push(current);
+  };
+  visit(note);
+
+  return path;
+};
+
+// Static method to find notes similar to a given note
+// Candidates are scored by shared tags, subject, grade and co-downloads
+// (other notes downloaded by the students who downloaded this one)
+NoteSchema.statics.getRelated = async function(note, options = {}) {
+  const limit = options.limit || 6;
+  const DownloadHistory = mongoose.model('DownloadHistory');
+
+  // Students who downloaded this note, most recent first
+  const downloaders = await DownloadHistory.aggregate([
+    { $match: { noteId: note._id } },
+    { $sort: { downloadedAt: -1 } },
+    { $group: { _id: '$studentId' } },
+    { $limit: CO_DOWNLOAD_STUDENT_LIMIT }
+  ]);
+
+  // How many of those students downloaded each other note
+  const coDownloads = downloaders.length === 0 ? [] : await DownloadHistory.aggregate([
+    {
+      $match: {
+        studentId: { $in: downloaders.map(d => d._id) },
+        noteId: { $ne: note._id }
+      }
+    },
+    { $group: { _id: '$noteId', students: { $addToSet: '$studentId' } } },
+    { $project: { count: { $size: '$students' } } },
+    { $sort: { count: -1 } },
+    { $limit: RELATED_CANDIDATE_LIMIT }
+  ]);
+  const coDownloadCounts = new Map(coDownloads.map(c => [c._id.toString(), c.count]));
+
+  const similarity = [{ subject: note.subject }, { _id: { $in: coDownloads.map(c => c._id) } }];
+  if (note.tags && note.tags.length > 0) {
+    similarity.push({ tags: { $in: note.tags } });
+  }
+
+  const candidates = await this.find({
+    ...this.buildFilterQuery({ viewer: options.viewer }),
+    _id: { $ne: note._id },
+    $or: similarity
+  })
+    .sort({ downloadCount: -1, _id: -1 })
+    .limit(RELATED_CANDIDATE_LIMIT)
     .populate('uploadedBy', 'name email role subject qualification')
-    .sort({ createdAt: -1 });
+    .lean();
+
+  const noteTitle = note.title.trim().toLowerCase();
+  const noteTags = new Set(note.tags || []);
+  const authorId = (note.uploadedBy._id || note.uploadedBy).toString();
+
+  return candidates
+    // Skip copies of this note re-uploaded by the same teacher
+    .filter(candidate => !(
+      candidate.uploadedBy && candidate.uploadedBy._id.toString() === authorId &&
+      candidate.title.trim().toLowerCase() === noteTitle
+    ))
+    .map(candidate => {
+      const sharedTags = (candidate.tags || []).filter(tag => noteTags.has(tag));
+      const sameSubject = candidate.subject === note.subject;
+      const sameGrade = candidate.grade === note.grade;
+      const coDownloadCount = coDownloadCounts.get(candidate._id.toString()) || 0;
+
+      const score = sharedTags.length * RELATED_WEIGHTS.sharedTag +
+        (sameSubject ? RELATED_WEIGHTS.sameSubject : 0) +
+        (sameGrade ? RELATED_WEIGHTS.sameGrade : 0) +
+        coDownloadCount * RELATED_WEIGHTS.coDownload;
+
+      return {
+        ...candidate,
+        relatedScore: score,
+        relatedBy: { sharedTags, sameSubject, sameGrade, coDownloads: coDownloadCount }
+      };
+    })
+    .sort((a, b) => b.relatedScore - a.relatedScore || b.downloadCount - a.downloadCount)
+    .slice(0, limit);
+};
+
+// Static method to list the tags of published public notes with usage
+// counts, optionally by prefix
+NoteSchema.statics.getTagCatalogue = function({ prefix = '', limit = 20 } = {}) {
+  const pipeline = [
+    { $match: this.buildFilterQuery() },
+    { $unwind: '$tags' }
+  ];
+
+  if (prefix) {
+    const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    pipeline.push({ $match: { tags: { $regex: `^${escaped}` } } });
+  }
+
+  pipeline.push(
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  );
+
+  return this.aggregate(pipeline);
 };
 
+// Update pipeline that replaces any of `sources` in an array field with `target`,
+// keeping the original order and dropping the duplicates the merge creates
+const mergeTagsPipeline = (field, sources, target) => [{
+  $set: {
+    [field]: {
+      $reduce: {
+        input: {
+          $map: {
+            input: `$${field}`,
+            as: 'tag',
+            in: { $cond: [{ $in: ['$$tag', sources] }, target, '$$tag'] }
+          }
+        },
+        initialValue: [],
+        in: {
+          $cond: [
+            { $in: ['$$this', '$$value'] },
+            '$$value',
+            { $concatArrays: ['$$value', ['$$this']] }
+          ]
+        }
+      }
+    }
+  }
+}];
+
+// Static method to merge (or rename) tags on the notes a teacher owns or
+// edits as a co-author. Other teachers' notes and students' saved searches
+// are left alone.
+NoteSchema.statics.mergeTags = async function(sources, target, userId) {
+  const notes = await this.updateMany(
+    { tags: { $in: sources }, ...this.buildAuthorQuery(userId, ['owner', 'editor']) },
+    mergeTagsPipeline('tags', sources, target)
+  );
+
+  return {
+    notesUpdated: notes.modifiedCount
+  };
+};
+
+// Static method to merge (or rename) tags across every note, for tag
+// moderators. Saved searches following a merged tag are updated too, since
+// the old tag no longer exists anywhere.
+NoteSchema.statics.mergeCatalogueTags = async function(sources, target) {
+  const SavedSearch = mongoose.model('SavedSearch');
+
+  const notes = await this.updateMany(
+    { tags: { $in: sources } },
+    mergeTagsPipeline('tags', sources, target)
+  );
+  const savedSearches = await SavedSearch.updateMany(
+    { 'filters.tags': { $in: sources } },
+    mergeTagsPipeline('filters.tags', sources, target)
+  );
+
+  return {
+    notesUpdated: notes.modifiedCount,
+    savedSearchesUpdated: savedSearches.modifiedCount
+  };
+};
+
+// Method to save a note whose title may have changed. generateSlug checks
+// that a slug is free before the save, so two notes with the same title saved
+// at once can pick the same one; the note that loses gets a new slug and is
+// saved again.
+NoteSchema.methods.saveWithSlug = async function(options) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await this.save(options);
+    } catch (error) {
+      const slugTaken = error.code === 11000 && error.keyPattern && error.keyPattern.slug;
+      if (!slugTaken || attempt >= MAX_SLUG_ATTEMPTS) throw error;
+
+      this.slug = this.$locals.storedSlug;
+    }
+  }
+};
+
+// Remember the stored title and slug, so a new slug is only made when the
+// title's slugified form changes
+NoteSchema.post('init', function() {
+  this.$locals.storedTitle = this.title;
+  this.$locals.storedSlug = this.slug;
+});
+
+// Give new notes a slug, and a renamed note a new one (keeping the old one
+// to redirect from)
+NoteSchema.pre('validate', async function() {
+  if (!this.title) return;
+  if (this.slug && slugify(this.title) === slugify(this.$locals.storedTitle)) return;
+
+  const slug = await this.constructor.generateSlug(this.title, this.uploadedBy, this._id);
+  if (slug === this.slug) return;
+
+  if (this.slug) this.previousSlugs.addToSet(this.slug);
+  this.previousSlugs.pull(slug);
+  this.slug = slug;
+});
+
+NoteSchema.post('save', function() {
+  this.$locals.storedTitle = this.title;
+  this.$locals.storedSlug = this.slug;
+});
+
+// Render written content whenever its Markdown source changes. New notes are
+// always rendered from their source, so stored HTML never comes from input.
+NoteSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.contentHtml = renderMarkdown(this.content || '');
+    this.contentText = this.content ? markdownToText(this.content) : '';
+  } else if (this.isModified('content')) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+  next();
+});
+
+// Keep the top-level file fields and the first attachment in step.
+// Editing the attachment list updates the primary file; replacing the primary
+// file (an update or a version restore) replaces the first attachment.
+NoteSchema.pre('save', function(next) {
+  const primary = this.attachments[0];
+
+  if (!this.isNew && this.isModified('attachments')) {
+    FILE_FIELDS.forEach(field => {
+      this[field] = primary && primary[field] != null ? primary[field] : (field === 'resourceType' ? 'auto' : null);
+    });
+  } else if (this.isNew || FILE_FIELDS.some(field => this.isModified(field))) {
+    const hasFile = Boolean(this.filePath || this.cloudinaryUrl);
+    const file = { label: '', downloadCount: 0, uploadedAt: new Date() };
+    FILE_FIELDS.forEach(field => {
+      file[field] = this[field];
+    });
+
+    if (!hasFile) {
+      if (primary) this.attachments.shift();
+    } else if (primary) {
+      this.attachments.set(0, file);
+    } else {
+      this.attachments.unshift(file);
+    }
+  }
+
+  next();
+});
+
 // Pre-remove hook to clean up file
 NoteSchema.pre('remove', function(next) {
   // Here you could add file deletion logic
@@ -190,3 +1269,4 @@ NoteSchema.pre('remove', function(next) {
 });
 
 module.exports = mongoose.model('Note', NoteSchema);
+module.exports.CO_AUTHOR_ROLES = CO_AUTHOR_ROLES;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A student marking a note as completed (studied), used with their downloads
+// to work out which prerequisites they still need to read
+const NoteCompletionSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note ID is required']
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student ID is required']
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+NoteCompletionSchema.index({ studentId: 1, noteId: 1 }, { unique: true });
+
+// Static method to find which of the given notes a student has downloaded or
+// marked as completed. Returns a Set of note ID strings.
+NoteCompletionSchema.statics.findDoneNoteIds = async function(studentId, noteIds) {
+  const DownloadHistory = mongoose.model('DownloadHistory');
+  const filter = { studentId, noteId: { $in: noteIds } };
+
+  const [completed, downloaded] = await Promise.all([
+    this.distinct('noteId', filter),
+    DownloadHistory.distinct('noteId', filter)
+  ]);
+
+  return new Set([...completed, ...downloaded].map(id => id.toString()));
+};
+
+module.exports = mongoose.model('NoteCompletion', NoteCompletionSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Note fields captured in every version
+const VERSIONED_FIELDS = ['title', 'description', 'subject', 'grade', 'category', 'difficulty', 'tags', 'isPublic', 'content'];
+const FILE_FIELDS = [
+  'fileName', 'originalFileName', 'filePath', 'fileSize', 'fileType', 'mimeType',
+  'cloudinaryPublicId', 'cloudinaryUrl', 'cloudinarySecureUrl', 'resourceType', 'contentHash'
+];
+
+const NoteVersionSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note ID is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Teacher who made the change
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Version author is required']
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Change note cannot be more than 200 characters'],
+    default: ''
+  },
+  // Fields that changed compared to the previous version ('file' for a new file)
+  changes: [{
+    type: String
+  }],
+  // Version this one was restored from, if it is a rollback
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  // Snapshot of the note's metadata and file at this version
+  metadata: {
+    title: String,
+    description: String,
+    subject: String,
+    grade: String,
+    category: String,
+    difficulty: String,
+    tags: [String],
+    isPublic: Boolean,
+    content: String
+  },
+  file: {
+    fileName: String,
+    originalFileName: String,
+    filePath: String,
+    fileSize: Number,
+    fileType: String,
+    mimeType: String,
+    cloudinaryPublicId: String,
+    cloudinaryUrl: String,
+    cloudinarySecureUrl: String,
+    resourceType: String,
+    contentHash: String
+  }
+}, {
+  timestamps: true
+});
+
+NoteVersionSchema.index({ noteId: 1, version: -1 }, { unique: true });
+
+// Virtual for whether this version has a file attached
+NoteVersionSchema.virtual('hasFile').get(function() {
+  return Boolean(this.file && (this.file.filePath || this.file.cloudinaryUrl));
+});
+
+// Static method to snapshot a note as its current version
+NoteVersionSchema.statics.record = function(note, { author, changeNote = '', changes = [], restoredFrom = null } = {}) {
+  const metadata = {};
+  VERSIONED_FIELDS.forEach(field => {
+    metadata[field] = field === 'tags' ? [...(note.tags || [])] : note[field];
+  });
+
+  const file = {};
+  FILE_FIELDS.forEach(field => {
+    file[field] = note[field];
+  });
+
+  return this.create({
+    noteId: note._id,
+    version: note.currentVersion || 1,
+    author: author || note.uploadedBy,
+    changeNote,
+    changes,
+    restoredFrom,
+    metadata,
+    file
+  });
+};
+
+// Static method to make sure a note's current state is recorded before it
+// changes. Notes created before versioning get their original version here or
+// from `npm run record-versions`. Returns whether a version was recorded.
+NoteVersionSchema.statics.ensureRecorded = async function(note) {
+  const exists = await this.exists({ noteId: note._id, version: note.currentVersion || 1 });
+
+  if (!exists) {
+    await this.record(note, { changeNote: 'Original version' });
+  }
+  return !exists;
+};
+
+// Method to copy this version's metadata and file back onto the note.
+// Visibility stays as the teacher last set it, so restoring old content never
+// makes a private note public again.
+NoteVersionSchema.methods.applyTo = function(note) {
+  VERSIONED_FIELDS.forEach(field => {
+    if (field === 'isPublic') return;
+    if (this.metadata[field] !== undefined) note[field] = this.metadata[field];
+  });
+  FILE_FIELDS.forEach(field => {
+    const value = this.file ? this.file[field] : undefined;
+    note[field] = value !== undefined && value !== null ? value : (field === 'resourceType' ? 'auto' : null);
+  });
+};
+
+module.exports = mongoose.model('NoteVersion', NoteVersionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  // User who receives the notification
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['saved-search-match'],
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [150, 'Title cannot be more than 150 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters'],
+    default: ''
+  },
+  // Related resources
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note'
+  },
+  savedSearchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch'
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
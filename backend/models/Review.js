@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parseCursor, buildCursorFilter, getCursorSort, buildPage } = require('../utils/pagination');
 
 const ReviewSchema = new mongoose.Schema({
   // Reference to the note being reviewed
@@ -51,6 +52,11 @@ const ReviewSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the review was moved to the trash along with its note
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   // Moderation
   isApproved: {
     type: Boolean,
@@ -99,23 +105,32 @@ ReviewSchema.methods.addHelpfulVote = function(isHelpful = true) {
 };
 
 // Static method to get reviews for a note
-ReviewSchema.statics.getForNote = function(noteId, options = {}) {
+// Pages are addressed by an opaque cursor (options.cursor) or, as a fallback,
+// by offset (options.skip). Returns { data, nextCursor, prevCursor }.
+ReviewSchema.statics.getForNote = async function(noteId, options = {}) {
+  const sortBy = options.sortBy || 'createdAt';
+  const sortOrder = options.sortOrder === 'asc' ? 1 : -1;
+  const limit = options.limit || 10;
+
+  // _id breaks ties so that equal ratings or vote counts never repeat across pages
+  const sort = { [sortBy]: sortOrder, _id: sortOrder };
+  const cursor = parseCursor(options.cursor, sort);
+  const skip = cursor ? 0 : options.skip || 0;
+
   const query = {
     noteId: noteId,
     isActive: true,
-    isApproved: true
+    isApproved: true,
+    ...buildCursorFilter(sort, cursor)
   };
   
-  const sortBy = options.sortBy || 'createdAt';
-  const sortOrder = options.sortOrder === 'asc' ? 1 : -1;
-  const limit = options.limit || 10;
-  const skip = options.skip || 0;
-  
-  return this.find(query)
+  const reviews = await this.find(query)
     .populate('studentId', 'name profilePicture')
-    .sort({ [sortBy]: sortOrder })
-    .limit(limit)
+    .sort(getCursorSort(sort, cursor))
+    .limit(limit + 1)
     .skip(skip);
+
+  return buildPage(reviews, { sort, limit, cursor, skip });
 };
 
 // Static method to get statistics for a note
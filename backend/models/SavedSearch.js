@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+const SavedSearchSchema = new mongoose.Schema({
+  // Student who saved the search
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name for this search'],
+    trim: true,
+    maxlength: [60, 'Name cannot be more than 60 characters']
+  },
+  // Same filters as GET /api/notes
+  filters: {
+    search: {
+      type: String,
+      trim: true
+    },
+    subject: {
+      type: String,
+      trim: true
+    },
+    grade: {
+      type: String,
+      trim: true
+    },
+    category: {
+      type: String,
+      trim: true
+    },
+    difficulty: {
+      type: String,
+      enum: ['beginner', 'intermediate', 'advanced']
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  },
+  // Send a notification when a new note matches
+  notify: {
+    type: Boolean,
+    default: true
+  },
+  // New matches are counted from the last time the student opened the search
+  lastVisitedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+SavedSearchSchema.index({ userId: 1, name: 1 }, { unique: true });
+SavedSearchSchema.index({ 'filters.subject': 1, 'filters.grade': 1 });
+
+// Convert the saved filters into the format used by Note.buildFilterQuery.
+// A subject also matches the subjects nested under it in the taxonomy.
+SavedSearchSchema.methods.getNoteFilters = async function() {
+  const filters = {};
+
+  ['search', 'subject', 'grade', 'category', 'difficulty'].forEach(field => {
+    if (this.filters && this.filters[field]) filters[field] = this.filters[field];
+  });
+  if (this.filters && this.filters.tags && this.filters.tags.length > 0) {
+    filters.tags = [...this.filters.tags];
+  }
+  if (filters.subject) {
+    filters.subject = await mongoose.model('TaxonomyTerm').getDescendantValues('subject', filters.subject);
+  }
+
+  return filters;
+};
+
+// Count public notes matching this search that appeared since the last visit.
+// Scheduled notes appear when they are released rather than when they were uploaded.
+SavedSearchSchema.methods.countNewMatches = async function() {
+  const Note = mongoose.model('Note');
+
+  return Note.countDocuments({
+    ...Note.buildFilterQuery(await this.getNoteFilters()),
+    $or: [
+      { createdAt: { $gt: this.lastVisitedAt } },
+      { releasedAt: { $gt: this.lastVisitedAt } }
+    ]
+  });
+};
+
+// Static method to notify every student whose saved search matches a new note
+SavedSearchSchema.statics.notifyMatches = async function(note) {
+  if (!note.isPublished()) {
+    return 0;
+  }
+
+  const Note = mongoose.model('Note');
+  const Notification = mongoose.model('Notification');
+  const subjects = await mongoose.model('TaxonomyTerm').getAncestorValues('subject', note.subject);
+
+  // Cheap pre-filter on the exact-match fields; text and tag rules are checked below.
+  // Searches for a parent subject (Science) also match notes on Physics.
+  const candidates = await this.find({
+    notify: true,
+    'filters.subject': { $in: [null, ...subjects] },
+    'filters.grade': { $in: [null, note.grade] },
+    'filters.category': { $in: [null, note.category] },
+    'filters.difficulty': { $in: [null, note.difficulty] }
+  });
+
+  const notifications = [];
+  for (const savedSearch of candidates) {
+    // Reuse the catalogue query so alerts match exactly what the search would show
+    const matches = await Note.exists({
+      ...Note.buildFilterQuery(await savedSearch.getNoteFilters()),
+      _id: note._id
+    });
+
+    if (matches) {
+      notifications.push({
+        userId: savedSearch.userId,
+        type: 'saved-search-match',
+        title: `New match for "${savedSearch.name}"`,
+        message: `${note.title} (${note.subject}, ${note.grade}) matches your saved search.`,
+        noteId: note._id,
+        savedSearchId: savedSearch._id
+      });
+    }
+  }
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+
+  return notifications.length;
+};
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
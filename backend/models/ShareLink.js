@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { generateShareToken } = require('../config/jwt');
+
+// A signed link that lets anyone holding it (e.g. a substitute teacher or a
+// parent) download one note without an account, until it expires, runs out
+// of downloads or is revoked
+const ShareLinkSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note ID is required']
+  },
+  // Teacher who created the link (named like Note.uploadedBy for checkOwnership)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher ID is required']
+  },
+  // Who the link is for, shown to the teacher only (e.g. "Substitute, week 3")
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot be more than 100 characters'],
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  // Downloads allowed through the link (null for no limit)
+  maxDownloads: {
+    type: Number,
+    min: [1, 'Maximum downloads must be at least 1'],
+    default: null
+  },
+  // Optional password, stored hashed
+  password: {
+    type: String,
+    default: null,
+    select: false
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ShareLinkSchema.index({ noteId: 1, createdAt: -1 });
+
+// Virtual for whether the link still works
+ShareLinkSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return 'exhausted';
+  return 'active';
+});
+
+// Hash the password when it is set
+ShareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.hasPassword = Boolean(this.password);
+    if (this.password) {
+      const salt = await bcrypt.genSalt(12);
+      this.password = await bcrypt.hash(this.password, salt);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to check a password given for the link (needs the password selected)
+ShareLinkSchema.methods.matchPassword = function(enteredPassword) {
+  if (!this.hasPassword) return Promise.resolve(true);
+  return bcrypt.compare(enteredPassword || '', this.password);
+};
+
+// Method to get the signed token that identifies the link in its URL. It
+// expires with the link, and is the same every time it is generated.
+ShareLinkSchema.methods.getToken = function() {
+  return generateShareToken({
+    link: this._id.toString(),
+    iat: Math.floor(this.createdAt.getTime() / 1000),
+    exp: Math.floor(this.expiresAt.getTime() / 1000)
+  });
+};
+
+// Static method to use up one download of a link, if it still works.
+// Returns the updated link, or null when it is revoked, expired or used up.
+ShareLinkSchema.statics.claimDownload = function(linkId, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      _id: linkId,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+      $or: [
+        { maxDownloads: null },
+        { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }
+      ]
+    },
+    { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Maximum number of students in one group
+const MAX_GROUP_MEMBERS = 500;
+
+// A group of students managed by a teacher, e.g. a class or a study group.
+// Notes can be shared with whole groups instead of listing every student.
+const StudentGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  members: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: members => members.length <= MAX_GROUP_MEMBERS,
+      message: `A group can have at most ${MAX_GROUP_MEMBERS} students`
+    }
+  },
+  // Teacher who manages the group (named like Note.uploadedBy for checkOwnership)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+StudentGroupSchema.index({ uploadedBy: 1, name: 1 }, { unique: true });
+StudentGroupSchema.index({ members: 1 });
+
+// Virtual for the number of students in the group
+StudentGroupSchema.virtual('memberCount').get(function() {
+  return (this.members || []).length;
+});
+
+// Static method to get the IDs of the groups a student belongs to
+StudentGroupSchema.statics.getGroupIdsFor = function(userId) {
+  return this.find({ members: userId }).distinct('_id');
+};
+
+module.exports = mongoose.model('StudentGroup', StudentGroupSchema);
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TAXONOMY } = require('../config/taxonomy');
+
+// Note fields that take their values from the taxonomy
+const TAXONOMY_KINDS = ['subject', 'grade', 'category'];
+
+// Terms change rarely, so they are read once and reused for a while
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let cache = null;
+
+// Case- and space-insensitive form used to match input against terms
+const toKey = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// An allowed subject, grade or category. Notes store `value`; `aliases` are
+// other spellings that map onto it. Terms of the same kind can nest through
+// `parent` (Science → Physics → Mechanics).
+const TaxonomyTermSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: TAXONOMY_KINDS,
+    required: [true, 'Taxonomy kind is required']
+  },
+  value: {
+    type: String,
+    required: [true, 'Taxonomy value is required'],
+    trim: true,
+    maxlength: [100, 'Taxonomy value cannot be more than 100 characters']
+  },
+  key: {
+    type: String
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxonomyTerm',
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+TaxonomyTermSchema.index({ kind: 1, key: 1 }, { unique: true });
+TaxonomyTermSchema.index({ kind: 1, parent: 1, order: 1 });
+
+TaxonomyTermSchema.pre('validate', function(next) {
+  if (this.value) this.key = toKey(this.value);
+  if (!this.label) this.label = this.value;
+  next();
+});
+
+// Static method to get all active terms, cached for a few minutes
+TaxonomyTermSchema.statics.getTerms = async function() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.terms;
+  }
+
+  const terms = await this.find({ isActive: true }).sort({ order: 1, value: 1 }).lean();
+  cache = { terms, loadedAt: Date.now() };
+  return terms;
+};
+
+// Static method to forget the cached terms after the taxonomy changes
+TaxonomyTermSchema.statics.clearCache = function() {
+  cache = null;
+};
+
+// Static method to find the term a value or alias stands for. Returns null
+// for unknown input.
+TaxonomyTermSchema.statics.resolve = async function(kind, input) {
+  if (typeof input !== 'string' || !input.trim()) return null;
+
+  const key = toKey(input);
+  const terms = (await this.getTerms()).filter(term => term.kind === kind);
+
+  return terms.find(term => term.key === key) ||
+    terms.find(term => toKey(term.label) === key) ||
+    terms.find(term => term.aliases.includes(key)) ||
+    null;
+};
+
+// Static method to get the terms of one kind as a tree of
+// { value, label, aliases, children }
+TaxonomyTermSchema.statics.getTree = async function(kind) {
+  const terms = (await this.getTerms()).filter(term => term.kind === kind);
+  const ids = new Set(terms.map(term => term._id.toString()));
+
+  const childrenOf = (parentId) => terms
+    .filter(term => parentId
+      ? term.parent && term.parent.toString() === parentId
+      // Terms whose parent was deactivated are shown at the top level
+      : !term.parent || !ids.has(term.parent.toString()))
+    .map(term => ({
+      value: term.value,
+      label: term.label,
+      aliases: term.aliases,
+      children: childrenOf(term._id.toString())
+    }));
+
+  return childrenOf(null);
+};
+
+// Static method to get a value and the values of every term nested under it,
+// so filtering by Science also finds Physics and Mechanics notes
+TaxonomyTermSchema.statics.getDescendantValues = async function(kind, value) {
+  const terms = (await this.getTerms()).filter(term => term.kind === kind);
+  const root = terms.find(term => term.value === value);
+  if (!root) return [value];
+
+  const values = [];
+  const queue = [root];
+  const seen = new Set();
+  while (queue.length > 0) {
+    const term = queue.shift();
+    if (seen.has(term._id.toString())) continue;
+    seen.add(term._id.toString());
+    values.push(term.value);
+    queue.push(...terms.filter(child => child.parent && child.parent.toString() === term._id.toString()));
+  }
+
+  return values;
+};
+
+// Static method to get a value and the values of the terms it is nested
+// under (Mechanics → [Mechanics, Physics, Science])
+TaxonomyTermSchema.statics.getAncestorValues = async function(kind, value) {
+  const terms = (await this.getTerms()).filter(term => term.kind === kind);
+  const byId = new Map(terms.map(term => [term._id.toString(), term]));
+
+  const values = [value];
+  const seen = new Set();
+  let term = terms.find(entry => entry.value === value);
+  while (term && term.parent && !seen.has(term._id.toString())) {
+    seen.add(term._id.toString());
+    term = byId.get(term.parent.toString());
+    if (term) values.push(term.value);
+  }
+
+  return values;
+};
+
+// Static method to add the default terms that don't exist yet. Existing terms
+// (including deactivated ones) are not changed. Returns the number added.
+TaxonomyTermSchema.statics.seedDefaults = async function(taxonomy = DEFAULT_TAXONOMY) {
+  let added = 0;
+
+  const seed = async (kind, entries, parent) => {
+    for (const [order, entry] of entries.entries()) {
+      const result = await this.findOneAndUpdate(
+        { kind, key: toKey(entry.value) },
+        {
+          $setOnInsert: {
+            value: entry.value,
+            label: entry.label || entry.value,
+            aliases: (entry.aliases || []).map(toKey),
+            parent,
+            order,
+            isActive: true
+          }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+
+      if (!result.lastErrorObject.updatedExisting) added += 1;
+      if (entry.children) await seed(kind, entry.children, result.value._id);
+    }
+  };
+
+  for (const kind of TAXONOMY_KINDS) {
+    await seed(kind, taxonomy[kind] || [], null);
+  }
+
+  this.clearCache();
+  return added;
+};
+
+module.exports = mongoose.model('TaxonomyTerm', TaxonomyTermSchema);
@@ -131,4 +131,15 @@ UserSchema.methods.getPublicData = function() {
   return userObject;
 };
 
+// Static method to look up active students by email. Returns the students
+// found and the emails that don't belong to one.
+UserSchema.statics.findStudentsByEmail = async function(emails = []) {
+  const normalized = [...new Set(emails.map(email => email.trim().toLowerCase()).filter(Boolean))];
+  const students = await this.find({ email: { $in: normalized }, role: 'student', isActive: true })
+    .select('name email');
+  const found = new Set(students.map(student => student.email));
+
+  return { students, missing: normalized.filter(email => !found.has(email)) };
+};
+
 module.exports = mongoose.model('User', UserSchema);
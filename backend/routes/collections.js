@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getCollections,
+  getMyCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  validateCollection,
+  validateCollectionUpdate,
+  validateCollectionQuery
+} = require('../controllers/collectionsController');
+
+const { protect, teacherOnly, checkOwnership, optionalAuth } = require('../middleware/auth');
+const Collection = require('../models/Collection');
+
+// @desc    Get public collections
+// @route   GET /api/collections
+// @access  Public
+router.get('/', validateCollectionQuery, getCollections);
+
+// @desc    Get collections owned by the current teacher
+// @route   GET /api/collections/mine
+// @access  Private (Teachers only)
+router.get('/mine', protect, teacherOnly, getMyCollections);
+
+// @desc    Get a collection and its sequence of notes
+// @route   GET /api/collections/:id
+// @access  Public (owners can also view their private collections)
+router.get('/:id', optionalAuth, getCollection);
+
+// @desc    Create a collection
+// @route   POST /api/collections
+// @access  Private (Teachers only)
+router.post('/', protect, teacherOnly, validateCollection, createCollection);
+
+// @desc    Update a collection
+// @route   PUT /api/collections/:id
+// @access  Private (Teachers only - own collections)
+router.put(
+  '/:id',
+  protect,
+  teacherOnly,
+  checkOwnership(Collection),
+  validateCollectionUpdate,
+  updateCollection
+);
+
+// @desc    Delete a collection
+// @route   DELETE /api/collections/:id
+// @access  Private (Teachers only - own collections)
+router.delete(
+  '/:id',
+  protect,
+  teacherOnly,
+  checkOwnership(Collection),
+  deleteCollection
+);
+
+module.exports = router;
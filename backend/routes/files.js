@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const { getSignedFile } = require('../controllers/filesController');
+
+// @desc    Serve a locally stored file through a signed URL
+// @route   GET /api/files/:token
+// @access  Public (signed URL)
+router.get('/:token', getSignedFile);
+
+module.exports = router;
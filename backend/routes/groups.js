@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  validateGroup,
+  validateGroupUpdate
+} = require('../controllers/groupsController');
+
+const { protect, teacherOnly, checkOwnership } = require('../middleware/auth');
+const StudentGroup = require('../models/StudentGroup');
+
+// Every group route is for teachers managing their own groups
+router.use(protect, teacherOnly);
+
+// @desc    Get the current teacher's student groups
+// @route   GET /api/groups
+// @access  Private (Teachers only)
+router.get('/', getMyGroups);
+
+// @desc    Create a student group
+// @route   POST /api/groups
+// @access  Private (Teachers only)
+router.post('/', validateGroup, createGroup);
+
+// @desc    Update a student group
+// @route   PUT /api/groups/:id
+// @access  Private (Teachers only - own groups)
+router.put('/:id', checkOwnership(StudentGroup), validateGroupUpdate, updateGroup);
+
+// @desc    Delete a student group
+// @route   DELETE /api/groups/:id
+// @access  Private (Teachers only - own groups)
+router.delete('/:id', checkOwnership(StudentGroup), deleteGroup);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  createImport,
+  getImports,
+  getImport
+} = require('../controllers/importsController');
+
+const { protect, teacherOnly, checkOwnership } = require('../middleware/auth');
+const { uploadImport } = require('../middleware/fileUpload');
+const ImportJob = require('../models/ImportJob');
+
+// Every import route is for teachers managing their own imports
+router.use(protect, teacherOnly);
+
+// @desc    Get the current teacher's recent imports
+// @route   GET /api/imports
+// @access  Private (Teachers only)
+router.get('/', getImports);
+
+// @desc    Start a bulk import from a ZIP archive and a CSV or JSON manifest
+// @route   POST /api/imports
+// @access  Private (Teachers only)
+router.post('/', uploadImport(), createImport);
+
+// @desc    Get an import's progress and per-row results
+// @route   GET /api/imports/:id
+// @access  Private (Teachers only - own imports)
+router.get('/:id', checkOwnership(ImportJob), getImport);
+
+module.exports = router;
@@ -4,21 +4,79 @@ const router = express.Router();
 const {
   getNotes,
   getNote,
+  getNoteBySlug,
+  getRelatedNotes,
   uploadNote,
   updateNote,
   deleteNote,
+  getTrash,
+  restoreNote,
+  previewMarkdown,
+  bulkUpdateNotes,
+  getMyDuplicates,
   getMyUploads,
   downloadNote,
+  reextractNoteText,
+  addAttachments,
+  updateAttachment,
+  reorderAttachments,
+  removeAttachment,
+  downloadAttachment,
+  getNoteVersions,
+  downloadNoteVersion,
+  restoreNoteVersion,
   getNotesStats,
   validateNote,
   validateNoteUpdate,
-  validateNoteQuery
+  validateNoteQuery,
+  validateMyUploadsQuery,
+  validateRelatedQuery,
+  validateNoteSlug,
+  validateAttachmentUpload,
+  validateAttachmentUpdate,
+  validateAttachmentOrder,
+  validateMarkdownPreview,
+  validateBulkUpdate,
+  validateNoteVersion
 } = require('../controllers/notesController');
 
-const { protect, teacherOnly, checkOwnership, optionalAuth } = require('../middleware/auth');
-const { uploadSingle, uploadOptional } = require('../middleware/fileUpload');
+const {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  validateShareLink,
+  validateShareLinkId
+} = require('../controllers/shareLinksController');
+
+const {
+  getCoAuthors,
+  addCoAuthor,
+  updateCoAuthor,
+  removeCoAuthor,
+  transferOwnership,
+  validateCoAuthor,
+  validateCoAuthorId,
+  validateCoAuthorUpdate,
+  validateOwnershipTransfer
+} = require('../controllers/coAuthorsController');
+
+const {
+  getPrerequisites,
+  setPrerequisites,
+  getStudyPath,
+  markNoteCompleted,
+  unmarkNoteCompleted,
+  validatePrerequisites
+} = require('../controllers/prerequisitesController');
+
+const { protect, teacherOnly, studentOnly, checkOwnership, optionalAuth } = require('../middleware/auth');
+const { uploadSingle, uploadMultiple, uploadOptional } = require('../middleware/fileUpload');
 const Note = require('../models/Note');
 
+// Roles for routes that differ from checkOwnership's default (owner or editor)
+const OWNER_ONLY = ['owner'];
+const ANY_AUTHOR = ['owner', ...Note.CO_AUTHOR_ROLES];
+
 // Public routes (no authentication required)
 // @desc    Get notes statistics
 // @route   GET /api/notes/stats
@@ -34,17 +92,53 @@ router.get('/', validateNoteQuery, optionalAuth, getNotes);
 // @desc    Get notes uploaded by current teacher
 // @route   GET /api/notes/my-uploads
 // @access  Private (Teachers only)
-router.get('/my-uploads', protect, teacherOnly, getMyUploads);
+router.get('/my-uploads', protect, teacherOnly, validateMyUploadsQuery, getMyUploads);
+
+// @desc    Get notes in the current teacher's trash
+// @route   GET /api/notes/trash
+// @access  Private (Teachers only)
+router.get('/trash', protect, teacherOnly, getTrash);
+
+// @desc    Get groups of the current teacher's notes with the same file
+// @route   GET /api/notes/duplicates
+// @access  Private (Teachers only)
+router.get('/duplicates', protect, teacherOnly, getMyDuplicates);
+
+// @desc    Get single note by slug (earlier slugs redirect to the current one)
+// @route   GET /api/notes/by-slug/:slug
+// @access  Public (same visibility rules as GET /api/notes/:id)
+router.get('/by-slug/:slug', validateNoteSlug, optionalAuth, getNoteBySlug);
 
 // @desc    Download note file
 // @route   GET /api/notes/:id/download
 // @access  Public (with optional auth for tracking)
 router.get('/:id/download', optionalAuth, downloadNote);
 
+// @desc    Download one attachment of a note
+// @route   GET /api/notes/:id/attachments/:attachmentId/download
+// @access  Public (tracks downloads for authenticated students)
+router.get('/:id/attachments/:attachmentId/download', optionalAuth, downloadAttachment);
+
+// @desc    Get notes related to a note
+// @route   GET /api/notes/:id/related
+// @access  Public (restricted notes only for users they are shared with)
+router.get('/:id/related', validateRelatedQuery, optionalAuth, getRelatedNotes);
+
+// @desc    Get a note's prerequisites (marking, for students, the ones already read)
+// @route   GET /api/notes/:id/prerequisites
+// @access  Public (only notes the user can see)
+router.get('/:id/prerequisites', optionalAuth, getPrerequisites);
+
+// @desc    Get the ordered study path leading up to a note
+// @route   GET /api/notes/:id/study-path
+// @access  Public (only notes the user can see)
+router.get('/:id/study-path', optionalAuth, getStudyPath);
+
 // @desc    Get single note
 // @route   GET /api/notes/:id
-// @access  Public
-router.get('/:id', getNote);
+// @access  Public (owners can also view their unpublished notes; restricted
+//          notes only for users they are shared with)
+router.get('/:id', optionalAuth, getNote);
 
 // @desc    Upload a new note
 // @route   POST /api/notes
@@ -58,6 +152,16 @@ router.post(
   uploadNote
 );
 
+// @desc    Preview Markdown note content
+// @route   POST /api/notes/markdown-preview
+// @access  Private (Teachers only)
+router.post('/markdown-preview', protect, teacherOnly, validateMarkdownPreview, previewMarkdown);
+
+// @desc    Apply one change to many notes
+// @route   POST /api/notes/bulk
+// @access  Private (Teachers only - own notes)
+router.post('/bulk', protect, teacherOnly, validateBulkUpdate, bulkUpdateNotes);
+
 // @desc    Update note
 // @route   PUT /api/notes/:id
 // @access  Private (Teachers only - own notes)
@@ -73,13 +177,234 @@ router.put(
 
 // @desc    Delete note
 // @route   DELETE /api/notes/:id
-// @access  Private (Teachers only - own notes)
+// @access  Private (Teachers only - note owner)
 router.delete(
   '/:id',
   protect,
   teacherOnly,
-  checkOwnership(Note),
+  checkOwnership(Note, { roles: OWNER_ONLY }),
   deleteNote
 );
 
+// @desc    Restore note from the trash
+// @route   POST /api/notes/:id/restore
+// @access  Private (Teachers only - note owner)
+router.post(
+  '/:id/restore',
+  protect,
+  teacherOnly,
+  checkOwnership(Note, { roles: OWNER_ONLY }),
+  restoreNote
+);
+
+// @desc    Re-extract note text for content search
+// @route   POST /api/notes/:id/extract-text
+// @access  Private (Teachers only - own notes)
+router.post(
+  '/:id/extract-text',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  reextractNoteText
+);
+
+// @desc    Add attachments to a note
+// @route   POST /api/notes/:id/attachments
+// @access  Private (Teachers only - own notes)
+router.post(
+  '/:id/attachments',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  uploadMultiple('files', 5),
+  validateAttachmentUpload,
+  addAttachments
+);
+
+// @desc    Reorder a note's attachments
+// @route   PUT /api/notes/:id/attachments/order
+// @access  Private (Teachers only - own notes)
+router.put(
+  '/:id/attachments/order',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  validateAttachmentOrder,
+  reorderAttachments
+);
+
+// @desc    Update an attachment's label
+// @route   PUT /api/notes/:id/attachments/:attachmentId
+// @access  Private (Teachers only - own notes)
+router.put(
+  '/:id/attachments/:attachmentId',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  validateAttachmentUpdate,
+  updateAttachment
+);
+
+// @desc    Remove an attachment from a note
+// @route   DELETE /api/notes/:id/attachments/:attachmentId
+// @access  Private (Teachers only - own notes)
+router.delete(
+  '/:id/attachments/:attachmentId',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  removeAttachment
+);
+
+// @desc    Get note version history
+// @route   GET /api/notes/:id/versions
+// @access  Private (Teachers only - own notes)
+router.get(
+  '/:id/versions',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  getNoteVersions
+);
+
+// @desc    Download an older note version
+// @route   GET /api/notes/:id/versions/:version/download
+// @access  Private (Teachers only - own notes)
+router.get(
+  '/:id/versions/:version/download',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  validateNoteVersion,
+  downloadNoteVersion
+);
+
+// @desc    Restore an older note version
+// @route   POST /api/notes/:id/versions/:version/restore
+// @access  Private (Teachers only - own notes)
+router.post(
+  '/:id/versions/:version/restore',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  validateNoteVersion,
+  restoreNoteVersion
+);
+
+// @desc    Get a note's share links
+// @route   GET /api/notes/:id/share-links
+// @access  Private (Teachers only - own notes)
+router.get(
+  '/:id/share-links',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  getShareLinks
+);
+
+// @desc    Create a share link for a note
+// @route   POST /api/notes/:id/share-links
+// @access  Private (Teachers only - own notes)
+router.post(
+  '/:id/share-links',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  validateShareLink,
+  createShareLink
+);
+
+// @desc    Revoke a share link
+// @route   DELETE /api/notes/:id/share-links/:linkId
+// @access  Private (Teachers only - own notes)
+router.delete(
+  '/:id/share-links/:linkId',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  validateShareLinkId,
+  revokeShareLink
+);
+
+// @desc    Set a note's prerequisites
+// @route   PUT /api/notes/:id/prerequisites
+// @access  Private (Teachers only - own notes)
+router.put(
+  '/:id/prerequisites',
+  protect,
+  teacherOnly,
+  checkOwnership(Note),
+  validatePrerequisites,
+  setPrerequisites
+);
+
+// @desc    Mark a note as completed
+// @route   PUT /api/notes/:id/completion
+// @access  Private (Students only)
+router.put('/:id/completion', protect, studentOnly, markNoteCompleted);
+
+// @desc    Unmark a note as completed
+// @route   DELETE /api/notes/:id/completion
+// @access  Private (Students only)
+router.delete('/:id/completion', protect, studentOnly, unmarkNoteCompleted);
+
+// @desc    Get a note's owner and co-authors
+// @route   GET /api/notes/:id/co-authors
+// @access  Private (Teachers only - owner and co-authors)
+router.get(
+  '/:id/co-authors',
+  protect,
+  teacherOnly,
+  checkOwnership(Note, { roles: ANY_AUTHOR }),
+  getCoAuthors
+);
+
+// @desc    Invite a teacher to co-author a note
+// @route   POST /api/notes/:id/co-authors
+// @access  Private (Teachers only - note owner)
+router.post(
+  '/:id/co-authors',
+  protect,
+  teacherOnly,
+  checkOwnership(Note, { roles: OWNER_ONLY }),
+  validateCoAuthor,
+  addCoAuthor
+);
+
+// @desc    Change a co-author's role
+// @route   PUT /api/notes/:id/co-authors/:userId
+// @access  Private (Teachers only - note owner)
+router.put(
+  '/:id/co-authors/:userId',
+  protect,
+  teacherOnly,
+  checkOwnership(Note, { roles: OWNER_ONLY }),
+  validateCoAuthorUpdate,
+  updateCoAuthor
+);
+
+// @desc    Remove a co-author (co-authors can remove themselves)
+// @route   DELETE /api/notes/:id/co-authors/:userId
+// @access  Private (Teachers only - note owner, or the co-author)
+router.delete(
+  '/:id/co-authors/:userId',
+  protect,
+  teacherOnly,
+  checkOwnership(Note, { roles: ANY_AUTHOR }),
+  validateCoAuthorId,
+  removeCoAuthor
+);
+
+// @desc    Hand a note over to one of its co-authors
+// @route   POST /api/notes/:id/transfer-ownership
+// @access  Private (Teachers only - note owner)
+router.post(
+  '/:id/transfer-ownership',
+  protect,
+  teacherOnly,
+  checkOwnership(Note, { roles: OWNER_ONLY }),
+  validateOwnershipTransfer,
+  transferOwnership
+);
+
 module.exports = router;
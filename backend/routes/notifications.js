@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  validateNotificationQuery
+} = require('../controllers/notificationsController');
+
+const { protect } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+// @desc    Get notifications for current user
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', validateNotificationQuery, getNotifications);
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', markAllNotificationsRead);
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (own notifications)
+router.put('/:id/read', markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getRecommendations,
+  validateRecommendationQuery
+} = require('../controllers/recommendationsController');
+
+const { protect, studentOnly } = require('../middleware/auth');
+
+// @desc    Get personalized note recommendations
+// @route   GET /api/recommendations
+// @access  Private (Students only)
+router.get('/', protect, studentOnly, validateRecommendationQuery, getRecommendations);
+
+module.exports = router;
@@ -16,23 +16,23 @@ const {
   validateReviewQuery
 } = require('../controllers/reviewsController');
 
-const { protect, studentOnly } = require('../middleware/auth');
+const { protect, studentOnly, optionalAuth } = require('../middleware/auth');
 
 // Public routes
 // @desc    Get reviews for a specific note
 // @route   GET /api/reviews/note/:noteId
-// @access  Public
-router.get('/note/:noteId', validateReviewQuery, getReviewsForNote);
+// @access  Public (restricted notes only for users they are shared with)
+router.get('/note/:noteId', validateReviewQuery, optionalAuth, getReviewsForNote);
 
 // @desc    Get review statistics for a note
 // @route   GET /api/reviews/stats/:noteId
-// @access  Public
-router.get('/stats/:noteId', getReviewStats);
+// @access  Public (restricted notes only for users they are shared with)
+router.get('/stats/:noteId', optionalAuth, getReviewStats);
 
 // @desc    Get all reviews by a specific student
 // @route   GET /api/reviews/student/:studentId
 // @access  Public
-router.get('/student/:studentId', validateReviewQuery, getStudentReviews);
+router.get('/student/:studentId', validateReviewQuery, optionalAuth, getStudentReviews);
 
 // Protected routes (authentication required)
 // @desc    Create a new review
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  visitSavedSearch,
+  deleteSavedSearch,
+  validateSavedSearch,
+  validateSavedSearchUpdate
+} = require('../controllers/savedSearchesController');
+
+const { protect, studentOnly } = require('../middleware/auth');
+
+// All routes are protected and require student role
+router.use(protect);
+router.use(studentOnly);
+
+// @desc    Get saved searches with new-match counts
+// @route   GET /api/saved-searches
+// @access  Private (Students only)
+router.get('/', getSavedSearches);
+
+// @desc    Save a search
+// @route   POST /api/saved-searches
+// @access  Private (Students only)
+router.post('/', validateSavedSearch, createSavedSearch);
+
+// @desc    Mark a saved search as visited
+// @route   POST /api/saved-searches/:id/visit
+// @access  Private (Students only - own searches)
+router.post('/:id/visit', visitSavedSearch);
+
+// @desc    Rename or update a saved search
+// @route   PUT /api/saved-searches/:id
+// @access  Private (Students only - own searches)
+router.put('/:id', validateSavedSearchUpdate, updateSavedSearch);
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (Students only - own searches)
+router.delete('/:id', deleteSavedSearch);
+
+module.exports = router;
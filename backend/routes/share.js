@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+
+const {
+  getSharedNote,
+  unlockSharedNote,
+  downloadSharedNote,
+  validateSharedDownload
+} = require('../controllers/shareLinksController');
+
+// Slow down password guessing on protected links
+const unlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.SHARE_UNLOCK_RATE_LIMIT_MAX) || 10,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many password attempts, please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// @desc    Open a share link
+// @route   GET /api/share/:token
+// @access  Public (anyone with the link)
+router.get('/:token', getSharedNote);
+
+// @desc    Unlock a password-protected share link
+// @route   POST /api/share/:token/unlock
+// @access  Public (anyone with the link and its password)
+router.post('/:token/unlock', unlockLimiter, unlockSharedNote);
+
+// @desc    Download the file of a shared note
+// @route   GET /api/share/:token/download
+// @access  Public (with the access token from opening the link)
+router.get('/:token/download', validateSharedDownload, downloadSharedNote);
+
+module.exports = router;
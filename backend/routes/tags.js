@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getTags,
+  mergeTags,
+  renameTag,
+  mergeCatalogueTags,
+  renameCatalogueTag,
+  validateTagQuery,
+  validateTagMerge,
+  validateTagRename
+} = require('../controllers/tagsController');
+
+const { protect, teacherOnly, tagModeratorOnly } = require('../middleware/auth');
+
+// @desc    Get tags with usage counts (supports ?prefix= autocomplete)
+// @route   GET /api/tags
+// @access  Public
+router.get('/', validateTagQuery, getTags);
+
+// @desc    Merge tags into a single tag across every note
+// @route   POST /api/tags/catalogue/merge
+// @access  Private (Tag moderators only)
+router.post('/catalogue/merge', protect, tagModeratorOnly, validateTagMerge, mergeCatalogueTags);
+
+// @desc    Rename a tag across every note
+// @route   PUT /api/tags/catalogue/:tag
+// @access  Private (Tag moderators only)
+router.put('/catalogue/:tag', protect, tagModeratorOnly, validateTagRename, renameCatalogueTag);
+
+// @desc    Merge tags into a single tag across the current teacher's notes
+// @route   POST /api/tags/merge
+// @access  Private (Teachers only)
+router.post('/merge', protect, teacherOnly, validateTagMerge, mergeTags);
+
+// @desc    Rename a tag across the current teacher's notes
+// @route   PUT /api/tags/:tag
+// @access  Private (Teachers only)
+router.put('/:tag', protect, teacherOnly, validateTagRename, renameTag);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getTaxonomy,
+  validateTaxonomyQuery
+} = require('../controllers/taxonomyController');
+
+// @desc    Get the allowed subjects, grades and categories
+// @route   GET /api/taxonomy
+// @access  Public
+router.get('/', validateTaxonomyQuery, getTaxonomy);
+
+module.exports = router;
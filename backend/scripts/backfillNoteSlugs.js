@@ -0,0 +1,40 @@
+/**
+ * Give existing notes a slug (notes created before slugs were stored)
+ *
+ * Usage:
+ *   npm run backfill-slugs
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const colors = require('colors');
+
+dotenv.config();
+
+const Note = require('../models/Note');
+require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Make sure the unique slug index exists before slugs are written
+  await Note.createIndexes();
+
+  const notes = await Note.find({ slug: null }).sort({ createdAt: 1, _id: 1 });
+  console.log(`Adding slugs to ${notes.length} note(s)...`.cyan);
+
+  for (const note of notes) {
+    note.slug = await Note.generateSlug(note.title, note.uploadedBy, note._id);
+    await note.save({ validateBeforeSave: false });
+    console.log(`  ${note._id} ${note.slug}`.gray);
+  }
+
+  console.log('Done'.green);
+};
+
+run()
+  .catch(error => {
+    console.error('Slug backfill failed:'.red, error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,52 @@
+/**
+ * Re-extract document text for existing notes
+ *
+ * Usage:
+ *   npm run extract-text            # notes that were never extracted or failed
+ *   npm run extract-text -- --all   # every note with a file or written content
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const colors = require('colors');
+
+dotenv.config();
+
+const Note = require('../models/Note');
+const { extractNoteText } = require('../utils/textExtractor');
+
+const run = async () => {
+  const extractAll = process.argv.includes('--all');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const query = {
+    $or: [
+      { filePath: { $nin: [null, ''] } },
+      { cloudinaryUrl: { $ne: null } },
+      { content: { $nin: [null, ''] } }
+    ]
+  };
+  if (!extractAll) {
+    query['textExtraction.status'] = { $nin: ['completed', 'unsupported'] };
+  }
+
+  const notes = await Note.find(query);
+  console.log(`Extracting text for ${notes.length} note(s)...`.cyan);
+
+  const summary = {};
+  for (const note of notes) {
+    const { status } = await extractNoteText(note);
+    summary[status] = (summary[status] || 0) + 1;
+    console.log(`  ${note._id} ${note.title}: ${status}`.gray);
+  }
+
+  console.log('Done:'.green, summary);
+};
+
+run()
+  .catch(error => {
+    console.error('Text extraction failed:'.red, error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
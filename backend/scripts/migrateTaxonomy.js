@@ -0,0 +1,82 @@
+/**
+ * Map the free-text subjects, grades and categories saved before the taxonomy
+ * existed onto taxonomy values ("maths" → "Mathematics", "exams" → "exam")
+ *
+ * Values that match no term or alias are listed and left unchanged; add an
+ * alias for them in config/taxonomy.js (or the taxonomyterms collection) and
+ * run the script again.
+ *
+ * Usage:
+ *   npm run migrate-taxonomy
+ *   npm run migrate-taxonomy -- --dry-run
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const colors = require('colors');
+
+dotenv.config();
+
+const TaxonomyTerm = require('../models/TaxonomyTerm');
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+const SavedSearch = require('../models/SavedSearch');
+
+// Fields holding taxonomy values, per model
+const TARGETS = [
+  { model: Note, fields: { subject: 'subject', grade: 'grade', category: 'category' } },
+  { model: NoteVersion, fields: { subject: 'metadata.subject', grade: 'metadata.grade', category: 'metadata.category' } },
+  { model: SavedSearch, fields: { subject: 'filters.subject', grade: 'filters.grade', category: 'filters.category' } }
+];
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Missing default terms are added even on a dry run, as the server does on start
+  await TaxonomyTerm.createIndexes();
+  const added = await TaxonomyTerm.seedDefaults();
+  console.log(`Added ${added} default taxonomy term(s)`.cyan);
+
+  const unmatched = [];
+
+  for (const { model, fields } of TARGETS) {
+    for (const [kind, path] of Object.entries(fields)) {
+      const values = await model.distinct(path);
+
+      for (const value of values) {
+        if (typeof value !== 'string' || !value) continue;
+
+        const term = await TaxonomyTerm.resolve(kind, value);
+        if (!term) {
+          const count = await model.countDocuments({ [path]: value });
+          unmatched.push({ collection: model.collection.name, path, value, count });
+          continue;
+        }
+        if (term.value === value) continue;
+
+        const result = dryRun
+          ? { modifiedCount: await model.countDocuments({ [path]: value }) }
+          : await model.updateMany({ [path]: value }, { $set: { [path]: term.value } });
+        console.log(`  ${model.collection.name}.${path}: "${value}" → "${term.value}" (${result.modifiedCount})`.gray);
+      }
+    }
+  }
+
+  if (unmatched.length > 0) {
+    console.log(`${unmatched.length} value(s) are not in the taxonomy and were left unchanged:`.yellow);
+    unmatched.forEach(({ collection, path, value, count }) => {
+      console.log(`  ${collection}.${path}: "${value}" (${count})`.yellow);
+    });
+  }
+
+  console.log(dryRun ? 'Dry run finished; no notes or searches were changed'.green : 'Done'.green);
+};
+
+run()
+  .catch(error => {
+    console.error('Taxonomy migration failed:'.red, error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
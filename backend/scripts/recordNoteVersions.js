@@ -0,0 +1,40 @@
+/**
+ * Record the original version of notes created before versioning, so their
+ * history starts with the content they had
+ *
+ * Usage:
+ *   npm run record-versions
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const colors = require('colors');
+
+dotenv.config();
+
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const notes = await Note.find({}).sort({ createdAt: 1, _id: 1 });
+  console.log(`Checking the history of ${notes.length} note(s)...`.cyan);
+
+  let recorded = 0;
+  for (const note of notes) {
+    if (await NoteVersion.ensureRecorded(note)) {
+      recorded += 1;
+      console.log(`  ${note._id} ${note.title}`.gray);
+    }
+  }
+
+  console.log(`Done: recorded ${recorded} original version(s)`.green);
+};
+
+run()
+  .catch(error => {
+    console.error('Version backfill failed:'.red, error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -4,7 +4,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 const colors = require('colors');
 
 // Load environment variables
@@ -23,9 +22,22 @@ handleUnhandledRejections();
 // Connect to database
 connectDB();
 
+// Background jobs that release scheduled notes and empty expired trash
+const { startPublishScheduler } = require('./utils/publishScheduler');
+const { startTrashPurger } = require('./utils/trashPurger');
+
+// Allowed subjects, grades and categories, seeded with defaults on start
+const TaxonomyTerm = require('./models/TaxonomyTerm');
+
+// File storage driver (STORAGE_DRIVER: local or cloudinary)
+const { storageDriver } = require('./utils/storage');
+console.log(`File storage: ${storageDriver}`.cyan);
+
 // Test Cloudinary connection
 const { testCloudinaryConnection } = require('./config/cloudinary');
-testCloudinaryConnection();
+if (storageDriver === 'cloudinary') {
+  testCloudinaryConnection();
+}
 
 // Initialize Express app
 const app = express();
@@ -88,15 +100,22 @@ if (process.env.NODE_ENV === 'development') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files - serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/notes', require('./routes/notes'));
 app.use('/api/reviews', require('./routes/reviews'));
 app.use('/api/download-history', require('./routes/downloadHistory'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/recommendations', require('./routes/recommendations'));
+app.use('/api/saved-searches', require('./routes/savedSearches'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/collections', require('./routes/collections'));
+app.use('/api/groups', require('./routes/groups'));
+app.use('/api/share', require('./routes/share'));
+app.use('/api/imports', require('./routes/imports'));
+app.use('/api/taxonomy', require('./routes/taxonomy'));
+app.use('/api/files', require('./routes/files'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -127,11 +146,40 @@ app.get('/api', (req, res) => {
       notes: {
         getAllNotes: 'GET /api/notes',
         getNote: 'GET /api/notes/:id',
+        relatedNotes: 'GET /api/notes/:id/related',
         uploadNote: 'POST /api/notes (Teachers only)',
         updateNote: 'PUT /api/notes/:id (Teachers only)',
-        deleteNote: 'DELETE /api/notes/:id (Teachers only)',
+        deleteNote: 'DELETE /api/notes/:id (Teachers only, moves to trash)',
+        trash: 'GET /api/notes/trash (Teachers only)',
+        restoreNote: 'POST /api/notes/:id/restore (Teachers only)',
+        markdownPreview: 'POST /api/notes/markdown-preview (Teachers only)',
         myUploads: 'GET /api/notes/my-uploads (Teachers only)',
         downloadNote: 'GET /api/notes/:id/download',
+        extractText: 'POST /api/notes/:id/extract-text (Teachers only)',
+        addAttachments: 'POST /api/notes/:id/attachments (Teachers only)',
+        updateAttachment: 'PUT /api/notes/:id/attachments/:attachmentId (Teachers only)',
+        reorderAttachments: 'PUT /api/notes/:id/attachments/order (Teachers only)',
+        removeAttachment: 'DELETE /api/notes/:id/attachments/:attachmentId (Teachers only)',
+        downloadAttachment: 'GET /api/notes/:id/attachments/:attachmentId/download',
+        versions: 'GET /api/notes/:id/versions (Teachers only)',
+        downloadVersion: 'GET /api/notes/:id/versions/:version/download (Teachers only)',
+        restoreVersion: 'POST /api/notes/:id/versions/:version/restore (Teachers only)',
+        bulk: 'POST /api/notes/bulk (Teachers only)',
+        duplicates: 'GET /api/notes/duplicates (Teachers only)',
+        noteBySlug: 'GET /api/notes/by-slug/:slug',
+        shareLinks: 'GET /api/notes/:id/share-links (Teachers only)',
+        createShareLink: 'POST /api/notes/:id/share-links (Teachers only)',
+        revokeShareLink: 'DELETE /api/notes/:id/share-links/:linkId (Teachers only)',
+        coAuthors: 'GET /api/notes/:id/co-authors (Teachers only)',
+        addCoAuthor: 'POST /api/notes/:id/co-authors (Teachers only)',
+        updateCoAuthor: 'PUT /api/notes/:id/co-authors/:userId (Teachers only)',
+        removeCoAuthor: 'DELETE /api/notes/:id/co-authors/:userId (Teachers only)',
+        transferOwnership: 'POST /api/notes/:id/transfer-ownership (Teachers only)',
+        prerequisites: 'GET /api/notes/:id/prerequisites',
+        setPrerequisites: 'PUT /api/notes/:id/prerequisites (Teachers only)',
+        studyPath: 'GET /api/notes/:id/study-path',
+        markCompleted: 'PUT /api/notes/:id/completion (Students only)',
+        unmarkCompleted: 'DELETE /api/notes/:id/completion (Students only)',
         stats: 'GET /api/notes/stats'
       },
       reviews: {
@@ -143,6 +191,58 @@ app.get('/api', (req, res) => {
         voteOnReview: 'POST /api/reviews/:id/vote',
         reportReview: 'POST /api/reviews/:id/report',
         getReviewStats: 'GET /api/reviews/stats/:noteId'
+      },
+      recommendations: {
+        getRecommendations: 'GET /api/recommendations (Students only)'
+      },
+      tags: {
+        list: 'GET /api/tags?prefix=',
+        merge: 'POST /api/tags/merge (Teachers only)',
+        rename: 'PUT /api/tags/:tag (Teachers only)',
+        mergeCatalogue: 'POST /api/tags/catalogue/merge (Tag moderators only)',
+        renameCatalogue: 'PUT /api/tags/catalogue/:tag (Tag moderators only)'
+      },
+      savedSearches: {
+        list: 'GET /api/saved-searches (Students only)',
+        create: 'POST /api/saved-searches (Students only)',
+        update: 'PUT /api/saved-searches/:id (Students only)',
+        visit: 'POST /api/saved-searches/:id/visit (Students only)',
+        delete: 'DELETE /api/saved-searches/:id (Students only)'
+      },
+      notifications: {
+        list: 'GET /api/notifications',
+        markRead: 'PUT /api/notifications/:id/read',
+        markAllRead: 'PUT /api/notifications/read-all'
+      },
+      collections: {
+        list: 'GET /api/collections',
+        mine: 'GET /api/collections/mine (Teachers only)',
+        get: 'GET /api/collections/:id',
+        create: 'POST /api/collections (Teachers only)',
+        update: 'PUT /api/collections/:id (Teachers only)',
+        delete: 'DELETE /api/collections/:id (Teachers only)'
+      },
+      share: {
+        open: 'GET /api/share/:token',
+        unlock: 'POST /api/share/:token/unlock',
+        download: 'GET /api/share/:token/download?access=:accessToken'
+      },
+      groups: {
+        mine: 'GET /api/groups (Teachers only)',
+        create: 'POST /api/groups (Teachers only)',
+        update: 'PUT /api/groups/:id (Teachers only)',
+        delete: 'DELETE /api/groups/:id (Teachers only)'
+      },
+      imports: {
+        list: 'GET /api/imports (Teachers only)',
+        create: 'POST /api/imports (Teachers only, multipart: archive, manifest)',
+        get: 'GET /api/imports/:id (Teachers only)'
+      },
+      taxonomy: {
+        list: 'GET /api/taxonomy?kind=subject|grade|category'
+      },
+      files: {
+        signed: 'GET /api/files/:token (signed URLs from note responses, local storage)'
       }
     }
   });
@@ -170,6 +270,19 @@ ${process.env.NODE_ENV === 'development' ? '🔧 Development Mode - Detailed log
 // Store server globally for graceful shutdown
 global.server = server;
 
+// Release scheduled notes when their publish time arrives
+startPublishScheduler();
+
+// Permanently delete notes that have been in the trash past the retention period
+startTrashPurger();
+
+// Add any missing default subjects, grades and categories
+TaxonomyTerm.seedDefaults()
+  .then(added => {
+    if (added > 0) console.log(`Added ${added} default taxonomy terms`.cyan);
+  })
+  .catch(error => console.error('Error seeding the taxonomy:', error.message));
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...'.yellow);
@@ -0,0 +1,104 @@
+// Columns a bulk import manifest can have; other columns are ignored
+const MANIFEST_FIELDS = ['file', 'title', 'description', 'subject', 'grade', 'category', 'difficulty', 'tags'];
+
+// Split CSV text into rows of cells. Handles quoted cells with commas,
+// doubled quotes and line breaks, and both \n and \r\n line endings.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted value in CSV manifest');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Turn a CSV manifest into one object per row, keyed by the header row
+const parseCsvManifest = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] || ''])));
+};
+
+// Turn a JSON manifest (an array of rows, or `{ "notes": [...] }`) into rows
+const parseJsonManifest = (text) => {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data && data.notes;
+
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON manifest must be an array of notes or an object with a "notes" array');
+  }
+
+  return rows.map(row => (row && typeof row === 'object' && !Array.isArray(row) ? row : {}));
+};
+
+// Parse a manifest into rows with just the known fields, as strings. Tags may
+// be given as a list or separated by commas or semicolons.
+const parseManifest = (buffer, format) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const rows = format === 'json' ? parseJsonManifest(text) : parseCsvManifest(text);
+
+  return rows.map(row => {
+    const fields = {};
+    MANIFEST_FIELDS.forEach(field => {
+      const value = row[field];
+      if (value === undefined || value === null || value === '') return;
+
+      fields[field] = Array.isArray(value)
+        ? value.map(item => String(item).trim()).filter(Boolean).join(',')
+        : String(value);
+    });
+
+    if (fields.tags) {
+      fields.tags = fields.tags.split(/[,;]/).map(tag => tag.trim()).filter(Boolean).join(',');
+    }
+
+    return fields;
+  });
+};
+
+module.exports = {
+  MANIFEST_FIELDS,
+  parseManifest
+};
@@ -0,0 +1,119 @@
+const MarkdownIt = require('markdown-it');
+const texmath = require('markdown-it-texmath');
+const katex = require('katex');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+
+// Upper bound on the Markdown source of a note
+const MAX_MARKDOWN_LENGTH = parseInt(process.env.MAX_MARKDOWN_LENGTH) || 100000;
+
+// MathML elements produced by KaTeX, with the attributes they use
+const MATHML_ATTRIBUTES = {
+  math: ['xmlns', 'display'],
+  semantics: [],
+  annotation: ['encoding'],
+  mrow: [],
+  mi: ['mathvariant'],
+  mn: ['mathvariant'],
+  mo: ['stretchy', 'fence', 'separator', 'lspace', 'rspace', 'minsize', 'maxsize', 'largeop', 'movablelimits', 'accent'],
+  mtext: ['mathvariant'],
+  mspace: ['width', 'linebreak'],
+  ms: [],
+  msup: [],
+  msub: [],
+  msubsup: [],
+  mfrac: ['linethickness'],
+  msqrt: [],
+  mroot: [],
+  mover: ['accent'],
+  munder: ['accentunder'],
+  munderover: [],
+  mtable: ['rowspacing', 'columnspacing', 'columnalign', 'rowlines', 'columnlines'],
+  mtr: [],
+  mtd: ['columnalign'],
+  mstyle: ['scriptlevel', 'displaystyle', 'mathcolor'],
+  mpadded: ['width', 'height', 'depth', 'lspace', 'voffset'],
+  mphantom: [],
+  menclose: ['notation'],
+  merror: []
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'del', 's', 'span', 'section', 'eq', 'eqn',
+    ...Object.keys(MATHML_ATTRIBUTES)
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title'],
+    th: ['style'],
+    td: ['style'],
+    ol: ['start'],
+    ...MATHML_ATTRIBUTES
+  },
+  allowedClasses: {
+    code: ['language-*'],
+    span: ['hljs*', 'katex*']
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer nofollow' })
+  }
+};
+
+// Highlight fenced code blocks with a known language; others are escaped as-is
+const highlight = (code, language) => {
+  if (language && hljs.getLanguage(language)) {
+    try {
+      return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    } catch (error) {
+      return '';
+    }
+  }
+  return '';
+};
+
+// Raw HTML in the source is escaped rather than rendered; math is rendered to
+// MathML so it needs no client-side script or inline styles
+const markdown = new MarkdownIt({ html: false, linkify: true, highlight })
+  .use(texmath, {
+    engine: katex,
+    delimiters: 'dollars',
+    katexOptions: { output: 'mathml', throwOnError: false }
+  });
+
+// Render Markdown (with $math$, $$display math$$ and fenced code) to safe HTML
+const renderMarkdown = (source = '') => {
+  if (!source || !source.trim()) {
+    return '';
+  }
+
+  return sanitizeHtml(markdown.render(source), SANITIZE_OPTIONS);
+};
+
+// Plain text of Markdown content, for search indexing. The TeX annotation of
+// each formula is dropped so math isn't indexed twice.
+const markdownToText = (source = '') => {
+  return sanitizeHtml(renderMarkdown(source), {
+    allowedTags: [],
+    allowedAttributes: {},
+    nonTextTags: ['style', 'script', 'textarea', 'option', 'annotation']
+  })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+module.exports = {
+  MAX_MARKDOWN_LENGTH,
+  renderMarkdown,
+  markdownToText
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { getMimeType } = require('../middleware/fileUpload');
+const { openFileStream, removeStoredFile, getSignedFileUrl } = require('./storage');
+const ErrorResponse = require('../middleware/ErrorResponse');
+
+// Location of a note's (or note version's) stored file
+const getFileKey = (file) => file.cloudinaryPublicId || file.filePath || null;
+
+// Content hash of a file's bytes, for spotting duplicate uploads
+const hashFileContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Remove a stored file from Cloudinary or local storage, logging failures
+const deleteStoredFile = async (file) => {
+  if (!getFileKey(file)) return;
+
+  try {
+    await removeStoredFile(file);
+  } catch (error) {
+    console.log('Error deleting file:', error.message);
+  }
+};
+
+// Delete the current file of a note, its attachments and every file kept for
+// older versions, each stored file only once
+const deleteNoteFiles = async (note, versions = []) => {
+  const files = new Map();
+  [note, ...(note.attachments || []), ...versions.map(version => version.file || {})].forEach(file => {
+    const key = getFileKey(file);
+    if (key && !files.has(key)) files.set(key, file);
+  });
+
+  for (const file of files.values()) {
+    await deleteStoredFile(file);
+  }
+
+  return files.size;
+};
+
+// Open a stored file for sending; resolves to { stream, size }. Failures are
+// thrown as ErrorResponses (404 for a missing file).
+const openStoredFile = async (file) => {
+  try {
+    return await openFileStream(file);
+  } catch (error) {
+    console.error('Error opening stored file:', error.message);
+    throw error instanceof ErrorResponse ? error : new ErrorResponse('Error downloading file', 500);
+  }
+};
+
+// Stream a stored file (of a note or a note version) to the client. `opened`
+// is the file from openStoredFile, for callers that open it first.
+const sendStoredFile = async (res, next, file, { inline = false, opened = null } = {}) => {
+  const originalFileName = file.originalFileName || file.fileName || 'download';
+
+  if (!opened) {
+    try {
+      opened = await openStoredFile(file);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  // Set headers for download. The type comes from the extension checked at
+  // upload, never from the MIME type the uploader claimed.
+  res.setHeader('Content-Type', getMimeType(originalFileName));
+  res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${originalFileName}"`);
+  if (opened.size !== null) {
+    res.setHeader('Content-Length', opened.size);
+  }
+
+  opened.stream.on('error', (error) => {
+    console.error('Error streaming file:', error.message);
+    if (!res.headersSent) {
+      return next(new ErrorResponse('Error downloading file', 500));
+    }
+    res.destroy(error);
+  });
+  opened.stream.pipe(res);
+};
+
+// Short-lived URLs for previewing a note's files, added to the note as
+// fileUrl (primary file) and attachments[].fileUrl. BACKEND_URL overrides the
+// request's origin when the API runs behind a proxy.
+const withFileUrls = (req, note) => {
+  const baseUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  const data = note.toJSON();
+
+  data.fileUrl = getSignedFileUrl(note, { baseUrl });
+  (data.attachments || []).forEach(attachment => {
+    attachment.fileUrl = getSignedFileUrl(attachment, { baseUrl });
+  });
+
+  return data;
+};
+
+module.exports = {
+  getFileKey,
+  hashFileContent,
+  deleteStoredFile,
+  deleteNoteFiles,
+  openStoredFile,
+  sendStoredFile,
+  withFileUrls
+};
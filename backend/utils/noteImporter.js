@@ -0,0 +1,246 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { validationResult } = require('express-validator');
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+const SavedSearch = require('../models/SavedSearch');
+const ImportJob = require('../models/ImportJob');
+const ErrorResponse = require('../middleware/ErrorResponse');
+const { getMimeType, checkFileType, storeFileBuffer } = require('../middleware/fileUpload');
+const { extractNoteText } = require('./textExtractor');
+const { hashFileContent } = require('./noteFiles');
+const { parseManifest } = require('./manifestParser');
+
+// Most rows one import can have
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 200;
+
+// Manifest names looked for at the root of the archive when none is uploaded
+const ARCHIVE_MANIFESTS = ['manifest.csv', 'manifest.json'];
+// Largest manifest read from inside an archive
+const MAX_MANIFEST_SIZE = 1024 * 1024;
+
+// Largest file a row can import, as for a single upload
+const getMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// Key for matching manifest file names to archive entries: forward slashes,
+// no leading "./" and case-insensitive
+const entryKey = (name = '') => name.replace(/\\/g, '/').replace(/^(\.?\/)+/, '').trim().toLowerCase();
+
+// Inflate an archive entry, stopping as soon as it grows past maxBytes. The
+// sizes in the archive's directory can't be trusted, so the limit is counted
+// on the inflated bytes.
+const readEntry = (entry, maxBytes, tooLargeMessage) => new Promise((resolve, reject) => {
+  const stream = entry.nodeStream('nodebuffer');
+  const chunks = [];
+  let size = 0;
+
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      return reject(new ErrorResponse(tooLargeMessage, 400));
+    }
+    chunks.push(chunk);
+  });
+  stream.on('error', reject);
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+// Message for a file over the upload size limit
+const fileTooLargeMessage = () => `File is too large. Maximum size is ${Math.round(getMaxFileSize() / (1024 * 1024))}MB`;
+
+// Check one manifest row against the same rules as a single upload, and that
+// its file is in the archive, of an allowed type and not too large
+const validateRow = async (fields, entries, usedFiles, validators) => {
+  const { file, ...body } = fields;
+  const req = { body };
+
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  const messages = validationResult(req).array().map(err => err.msg);
+
+  const entry = file ? entries.get(entryKey(file)) : null;
+  if (!file) {
+    messages.push('File is required');
+  } else if (!entry) {
+    messages.push(`File "${file}" was not found in the archive`);
+  } else if (usedFiles.has(entryKey(file))) {
+    messages.push(`File "${file}" is already used by row ${usedFiles.get(entryKey(file))}`);
+  } else {
+    const typeError = checkFileType({ originalname: file, mimetype: getMimeType(file) });
+    // Uncompressed size from the archive's directory, for an early answer;
+    // importRow enforces the limit while inflating
+    const size = entry._data && entry._data.uncompressedSize;
+
+    if (typeError) {
+      messages.push(typeError.message);
+    } else if (size > getMaxFileSize()) {
+      messages.push(fileTooLargeMessage());
+    }
+  }
+
+  return { body: req.body, entry, messages };
+};
+
+// Read an import's archive and manifest and validate every row. Throws an
+// ErrorResponse when the archive or manifest can't be used at all.
+const readImport = async (archive, manifest, validators) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(archive.buffer);
+  } catch (error) {
+    throw new ErrorResponse('The archive is not a valid ZIP file', 400);
+  }
+
+  const entries = new Map();
+  zip.forEach((relativePath, entry) => {
+    if (!entry.dir && !relativePath.startsWith('__MACOSX/')) {
+      entries.set(entryKey(relativePath), entry);
+    }
+  });
+
+  let manifestBuffer = manifest && manifest.buffer;
+  let manifestName = manifest && manifest.originalname;
+  if (!manifestBuffer) {
+    manifestName = ARCHIVE_MANIFESTS.find(name => entries.has(name));
+    if (!manifestName) {
+      throw new ErrorResponse('Upload a manifest, or include manifest.csv or manifest.json in the archive', 400);
+    }
+    manifestBuffer = await readEntry(
+      entries.get(manifestName),
+      MAX_MANIFEST_SIZE,
+      `The manifest is too large. Maximum size is ${MAX_MANIFEST_SIZE / 1024}KB`
+    );
+    entries.delete(manifestName);
+  }
+
+  let manifestRows;
+  try {
+    manifestRows = parseManifest(manifestBuffer, path.extname(manifestName).toLowerCase() === '.json' ? 'json' : 'csv');
+  } catch (error) {
+    throw new ErrorResponse(`Could not read the manifest: ${error.message}`, 400);
+  }
+
+  if (manifestRows.length === 0) {
+    throw new ErrorResponse('The manifest has no rows', 400);
+  }
+  if (manifestRows.length > MAX_IMPORT_ROWS) {
+    throw new ErrorResponse(`An import can have at most ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  const usedFiles = new Map();
+  const rows = [];
+  for (const [index, fields] of manifestRows.entries()) {
+    const { body, entry, messages } = await validateRow(fields, entries, usedFiles, validators);
+    if (entry && !usedFiles.has(entryKey(fields.file))) {
+      usedFiles.set(entryKey(fields.file), index + 1);
+    }
+
+    rows.push({
+      summary: {
+        row: index + 1,
+        file: fields.file || '',
+        title: body.title || '',
+        status: messages.length > 0 ? 'invalid' : 'pending',
+        messages
+      },
+      body,
+      entry
+    });
+  }
+
+  return rows;
+};
+
+// Create the note for one valid row, the same way as a single upload
+const importRow = async (job, { body, entry }, author) => {
+  const buffer = await readEntry(entry, getMaxFileSize(), fileTooLargeMessage());
+  const fileInfo = await storeFileBuffer(buffer, path.basename(entry.name));
+  fileInfo.contentHash = hashFileContent(buffer);
+
+  const note = new Note({
+    ...body,
+    ...fileInfo,
+    uploadedBy: author,
+    tags: body.tags ? body.tags.split(',').map(tag => tag.trim().toLowerCase()) : [],
+    textExtraction: { status: 'pending' },
+    currentVersion: 1
+  });
+  if (note.isPublished()) {
+    note.releasedAt = new Date();
+  }
+  await note.saveWithSlug();
+
+  await NoteVersion.record(note, { author, changeNote: `Imported from ${job.archiveName || 'archive'}` });
+
+  // Index one file at a time so a large import doesn't hold every document in memory
+  await extractNoteText(note, { buffer });
+  if (note.releasedAt) {
+    SavedSearch.notifyMatches(note)
+      .catch(error => console.error('Error sending saved search alerts:', error.message));
+  }
+
+  return note;
+};
+
+// Turn the valid rows of an import into notes, saving progress after each row
+const runImport = async (job, rows) => {
+  job.status = 'processing';
+  job.startedAt = new Date();
+  await job.save();
+
+  for (const [index, row] of rows.entries()) {
+    const result = job.rows[index];
+    if (result.status !== 'pending') continue;
+
+    try {
+      const note = await importRow(job, row, job.uploadedBy);
+      result.status = 'created';
+      result.noteId = note._id;
+      job.createdCount += 1;
+    } catch (error) {
+      console.error(`Import ${job._id} row ${result.row} failed:`, error.message);
+      result.status = 'failed';
+      result.messages = [error.message];
+      job.failedCount += 1;
+    }
+
+    job.processedRows += 1;
+    await job.save();
+  }
+
+  job.status = 'completed';
+  job.completedAt = new Date();
+  await job.save();
+};
+
+// Create an import job for validated rows and process it in the background
+const startImport = async (archiveName, rows, user) => {
+  const invalidCount = rows.filter(row => row.summary.status === 'invalid').length;
+
+  const job = await ImportJob.create({
+    uploadedBy: user._id,
+    archiveName,
+    rows: rows.map(row => row.summary),
+    totalRows: rows.length,
+    processedRows: invalidCount,
+    failedCount: invalidCount
+  });
+
+  runImport(job, rows).catch(async (error) => {
+    console.error(`Import ${job._id} failed:`, error.message);
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+    ).catch(() => {});
+  });
+
+  return job;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readImport,
+  startImport
+};
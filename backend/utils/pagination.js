@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('../middleware/ErrorResponse');
+
+// Keyset (cursor) pagination helpers.
+//
+// A cursor records the sort values of the first or last item of a page, so the
+// next page starts right after that item no matter how many documents were
+// added or removed in the meantime. Sorts must end with a unique field (_id)
+// for the position to be unambiguous.
+
+// Dates and ObjectIds don't survive JSON, so they are tagged when encoded
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Unknown cursor value');
+  }
+  return value;
+};
+
+// Read a (possibly nested) field from a document or populated reference
+const getSortValue = (doc, field) => {
+  const value = field.split('.').reduce((current, key) => (current == null ? current : current[key]), doc);
+  return value && value._id instanceof mongoose.Types.ObjectId ? value._id : value;
+};
+
+// Create an opaque cursor pointing at `doc` for the given sort
+const encodeCursor = (doc, sort, direction, extra = {}) => {
+  const fields = Object.keys(sort);
+  const payload = {
+    d: direction,
+    s: fields.map(field => `${field}:${sort[field]}`).join(','),
+    v: fields.map(field => encodeValue(getSortValue(doc, field))),
+    ...extra
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor from the query string, checking that it belongs to this sort.
+// Returns null when no cursor was given.
+const parseCursor = (cursor, sort) => {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    payload.v = payload.v.map(decodeValue);
+  } catch (error) {
+    throw new ErrorResponse('Invalid pagination cursor', 400);
+  }
+
+  const fields = Object.keys(sort);
+  const signature = fields.map(field => `${field}:${sort[field]}`).join(',');
+
+  if (!['next', 'prev'].includes(payload.d) || payload.s !== signature || payload.v.length !== fields.length) {
+    throw new ErrorResponse('Pagination cursor does not match the requested sort order', 400);
+  }
+
+  return payload;
+};
+
+// Build the filter selecting documents after (or before) the cursor position
+const buildCursorFilter = (sort, cursor) => {
+  if (!cursor) return {};
+
+  const fields = Object.keys(sort);
+  const clauses = [];
+
+  fields.forEach((field, i) => {
+    const value = cursor.v[i];
+    const forward = (sort[field] === 1) === (cursor.d === 'next');
+    const clause = {};
+
+    fields.slice(0, i).forEach((previous, j) => {
+      clause[previous] = cursor.v[j];
+    });
+
+    // Nulls sort before every other value, but MongoDB's $lt never matches
+    // them, so "before" is expressed as "not at or after"
+    if (value === null) {
+      if (!forward) return;
+      clause[field] = { $ne: null };
+    } else {
+      clause[field] = forward ? { $gt: value } : { $not: { $gte: value } };
+    }
+
+    clauses.push(clause);
+  });
+
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $exists: false } };
+};
+
+// Sort to query with: paging backwards walks the sort in reverse
+const getCursorSort = (sort, cursor) => {
+  if (!cursor || cursor.d === 'next') return sort;
+
+  const reversed = {};
+  Object.keys(sort).forEach(field => {
+    reversed[field] = -sort[field];
+  });
+  return reversed;
+};
+
+// Turn the documents fetched for a page (limit + 1 of them) into the page data
+// and its cursors. `skip` is the page-number offset used when no cursor was given.
+const buildPage = (docs, { sort, limit, cursor = null, skip = 0, extra = {} }) => {
+  const hasMore = docs.length > limit;
+  let data = docs.slice(0, limit);
+  let hasNext;
+  let hasPrev;
+
+  if (cursor && cursor.d === 'prev') {
+    data = data.reverse();
+    hasNext = true;
+    hasPrev = hasMore;
+  } else {
+    hasNext = hasMore;
+    hasPrev = Boolean(cursor) || skip > 0;
+  }
+
+  return {
+    data,
+    nextCursor: hasNext && data.length > 0 ? encodeCursor(data[data.length - 1], sort, 'next', extra) : null,
+    prevCursor: hasPrev && data.length > 0 ? encodeCursor(data[0], sort, 'prev', extra) : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  parseCursor,
+  buildCursorFilter,
+  getCursorSort,
+  buildPage
+};
@@ -0,0 +1,58 @@
+const Note = require('../models/Note');
+const SavedSearch = require('../models/SavedSearch');
+
+// How often scheduled notes are checked for release
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Release scheduled notes whose publish time has passed. Each note is claimed
+// atomically so that saved-search alerts are only sent once, even when several
+// server instances run the scheduler. Restricted notes are released too;
+// alerts only go out for public ones (see SavedSearch.notifyMatches). Private
+// notes are left for updateNote to release when they are made public.
+const releaseScheduledNotes = async () => {
+  const now = new Date();
+  const due = await Note.find({
+    isActive: true,
+    isDraft: { $ne: true },
+    publishAt: { $ne: null, $lte: now },
+    releasedAt: null,
+    $and: [
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+      { $or: [{ isPublic: true }, { 'sharedWith.0': { $exists: true } }, { 'sharedGroups.0': { $exists: true } }] }
+    ]
+  });
+
+  let released = 0;
+  for (const note of due) {
+    const releasedAt = new Date();
+    const claim = await Note.updateOne({ _id: note._id, releasedAt: null }, { $set: { releasedAt } });
+
+    if (claim.modifiedCount > 0) {
+      released += 1;
+      note.releasedAt = releasedAt;
+      await SavedSearch.notifyMatches(note).catch(error => {
+        console.error(`Error sending saved search alerts for note ${note._id}:`, error.message);
+      });
+    }
+  }
+
+  return released;
+};
+
+// Periodically release scheduled notes while the server is running
+const startPublishScheduler = (intervalMs = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    releaseScheduledNotes().catch(error => {
+      console.error('Error releasing scheduled notes:', error.message);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  releaseScheduledNotes,
+  startPublishScheduler
+};
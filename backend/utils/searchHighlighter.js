@@ -0,0 +1,84 @@
+// Fields that are searched, in the order highlights are reported
+const SEARCH_FIELDS = ['title', 'subject', 'tags', 'description', 'contentText'];
+
+// Characters of context kept on each side of the first match in long fields
+const SNIPPET_CONTEXT = 60;
+
+// Escape a string for use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search string into the terms worth highlighting.
+// Negated terms ("-word") are skipped and quoted phrases are split into words,
+// mirroring how MongoDB's $text operator matches documents.
+const getSearchTerms = (search = '') => {
+  return [...new Set(
+    search
+      .split(/\s+/)
+      .filter(term => term && !term.startsWith('-'))
+      .map(term => term.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase())
+      .filter(term => term.length >= 2)
+  )];
+};
+
+// Find every match of the search terms in a piece of text.
+// Words are matched by prefix so that stemmed matches ("equations" for
+// "equation") are highlighted as well.
+const findMatches = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const matches = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return matches;
+};
+
+// Cut a window around the first match of a long field
+const buildSnippet = (text, matches) => {
+  if (text.length <= SNIPPET_CONTEXT * 2) {
+    return { snippet: text, matches };
+  }
+
+  const start = Math.max(0, matches[0].start - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, matches[0].end + SNIPPET_CONTEXT);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter(m => m.start >= start && m.end <= end)
+      .map(m => ({ start: m.start + offset, end: m.end + offset }))
+  };
+};
+
+// Build highlight snippets for a note.
+// Returns an array of { field, snippet, matches } where each match holds
+// the start/end offsets of a highlighted word within the snippet.
+const buildHighlights = (note, search) => {
+  const terms = getSearchTerms(search);
+  const highlights = [];
+
+  SEARCH_FIELDS.forEach(field => {
+    const value = field === 'tags' ? (note.tags || []).join(', ') : note[field];
+    const matches = findMatches(value, terms);
+
+    if (matches.length > 0) {
+      highlights.push({ field, ...buildSnippet(value, matches) });
+    }
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  getSearchTerms,
+  findMatches,
+  buildHighlights
+};
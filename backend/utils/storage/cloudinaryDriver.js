@@ -0,0 +1,85 @@
+const path = require('path');
+const https = require('https');
+const http = require('http');
+const ErrorResponse = require('../../middleware/ErrorResponse');
+const {
+  cloudinary,
+  deleteFromCloudinary,
+  getCloudinaryFileInfo
+} = require('../../config/cloudinary');
+
+// Resource type a file was stored with. Older notes recorded 'auto', which
+// Cloudinary doesn't accept when deleting; documents are uploaded as raw.
+const getResourceType = (file) => {
+  return file.resourceType && file.resourceType !== 'auto' ? file.resourceType : 'raw';
+};
+
+// Files kept on Cloudinary
+const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  // Upload a file and return the note file fields describing it
+  async upload(buffer, { originalname, mimetype }, { folder = 'documents' } = {}) {
+    const folderPath = process.env.CLOUDINARY_FOLDER ? `${process.env.CLOUDINARY_FOLDER}/${folder}` : folder;
+    const baseName = path.basename(originalname, path.extname(originalname))
+      .replace(/[^a-zA-Z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+    const publicId = `${baseName}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(
+        { resource_type: 'raw', folder: folderPath, public_id: publicId },
+        (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+      ).end(buffer);
+    });
+
+    return getCloudinaryFileInfo({
+      originalname,
+      mimetype,
+      size: buffer.length,
+      filename: result.public_id,
+      path: result.secure_url,
+      resource_type: result.resource_type
+    });
+  },
+
+  // Fetch a stored file from Cloudinary for reading
+  openStream(file) {
+    const url = file.cloudinarySecureUrl || file.cloudinaryUrl || file.filePath;
+    const client = new URL(url).protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      client.get(url, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          return reject(response.statusCode === 404
+            ? new ErrorResponse('File not found', 404)
+            : new Error(`Failed to fetch file (HTTP ${response.statusCode})`));
+        }
+
+        const size = parseInt(response.headers['content-length']);
+        resolve({ stream: response, size: Number.isNaN(size) ? null : size });
+      }).on('error', reject);
+    });
+  },
+
+  // Remove a stored file from Cloudinary
+  async remove(file) {
+    await deleteFromCloudinary(file.cloudinaryPublicId || file.fileName, getResourceType(file));
+  },
+
+  // Signed download URL of the file that Cloudinary stops accepting after
+  // expiresIn seconds. It is served inline (from Cloudinary's origin, not the
+  // API's) so PDFs can be previewed.
+  getSignedUrl(file, { expiresIn }) {
+    return cloudinary.utils.private_download_url(file.cloudinaryPublicId, '', {
+      resource_type: getResourceType(file),
+      type: 'upload',
+      attachment: false,
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  }
+};
+
+module.exports = cloudinaryDriver;
@@ -0,0 +1,75 @@
+const localDriver = require('./localDriver');
+const cloudinaryDriver = require('./cloudinaryDriver');
+const { verifyCloudinaryConfig } = require('../../config/cloudinary');
+
+const DRIVERS = {
+  local: localDriver,
+  cloudinary: cloudinaryDriver
+};
+
+// How long signed file URLs stay valid, in seconds
+const SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL) || 15 * 60;
+
+// Driver new files are stored with: STORAGE_DRIVER, or Cloudinary when it is
+// configured and the local disk otherwise
+const selectDriver = () => {
+  const name = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+
+  if (!name) {
+    return verifyCloudinaryConfig() ? cloudinaryDriver : localDriver;
+  }
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  if (name === 'cloudinary' && !verifyCloudinaryConfig()) {
+    throw new Error('STORAGE_DRIVER is cloudinary but the Cloudinary credentials are missing');
+  }
+  return DRIVERS[name];
+};
+
+const activeDriver = selectDriver();
+
+// Driver holding an existing file. Files stay readable after switching
+// drivers, since each file is read from where it was stored.
+const getDriverFor = (file) => {
+  const onCloudinary = Boolean(file.cloudinaryPublicId || file.cloudinaryUrl) ||
+    (file.filePath || '').includes('cloudinary.com');
+  return onCloudinary ? cloudinaryDriver : localDriver;
+};
+
+// Store a file with the configured driver and return its note file fields
+const storeFile = (buffer, file, options) => activeDriver.upload(buffer, file, options);
+
+// Open a stored file; resolves to { stream, size } (size may be null)
+const openFileStream = (file) => getDriverFor(file).openStream(file);
+
+// Read a stored file into memory
+const readStoredFile = async (file) => {
+  const { stream } = await openFileStream(file);
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Remove a stored file
+const removeStoredFile = (file) => getDriverFor(file).remove(file);
+
+// Short-lived URL that serves a file without signing in, e.g. for previews.
+// baseUrl is the API's origin, used for files served by this server.
+const getSignedFileUrl = (file, { baseUrl, expiresIn = SIGNED_URL_TTL } = {}) => {
+  if (!file || (!file.filePath && !file.cloudinaryUrl)) return null;
+  return getDriverFor(file).getSignedUrl(file, { baseUrl, expiresIn });
+};
+
+module.exports = {
+  storageDriver: activeDriver.name,
+  storeFile,
+  openFileStream,
+  readStoredFile,
+  removeStoredFile,
+  getSignedFileUrl,
+  verifySignedFileToken: localDriver.verifySignedToken
+};
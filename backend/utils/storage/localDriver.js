@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const ErrorResponse = require('../../middleware/ErrorResponse');
+const { generateShareToken, verifyShareToken } = require('../../config/jwt');
+
+// Directory the files are kept in; filePath on a note is relative to it
+const STORAGE_ROOT = path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', '..', 'uploads'));
+
+// Signed URL tokens have their own audience, so share and login tokens can't
+// be used to fetch files
+const FILE_URL_AUDIENCE = 'file-url';
+
+// Absolute location of a stored file, refusing keys that leave the storage root
+const resolveKey = (key) => {
+  const location = path.resolve(STORAGE_ROOT, key || '');
+  if (!key || !location.startsWith(STORAGE_ROOT + path.sep)) {
+    throw new ErrorResponse('File not found', 404);
+  }
+  return location;
+};
+
+// Key for a new file: its folder, a cleaned-up name and a random suffix
+const createKey = (originalname, folder) => {
+  const extension = path.extname(originalname).toLowerCase();
+  const baseName = path.basename(originalname, path.extname(originalname))
+    .replace(/[^a-zA-Z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '') || 'file';
+
+  return `${folder}/${baseName}-${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`;
+};
+
+// Files kept on the server's disk, for self-hosted and offline deployments
+const localDriver = {
+  name: 'local',
+
+  // Save a file and return the note file fields describing it
+  async upload(buffer, { originalname, mimetype }, { folder = 'documents' } = {}) {
+    const key = createKey(originalname, folder);
+    const location = resolveKey(key);
+
+    await fs.promises.mkdir(path.dirname(location), { recursive: true });
+    await fs.promises.writeFile(location, buffer, { flag: 'wx' });
+
+    return {
+      fileName: path.basename(key),
+      originalFileName: originalname,
+      filePath: key,
+      fileSize: buffer.length,
+      fileType: path.extname(originalname).toLowerCase().slice(1),
+      mimeType: mimetype,
+      cloudinaryPublicId: null,
+      cloudinaryUrl: null,
+      cloudinarySecureUrl: null,
+      resourceType: 'local'
+    };
+  },
+
+  // Open a stored file for reading
+  async openStream(file) {
+    const location = resolveKey(file.filePath);
+
+    try {
+      const stats = await fs.promises.stat(location);
+      return { stream: fs.createReadStream(location), size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ErrorResponse('File not found', 404);
+      }
+      throw error;
+    }
+  },
+
+  // Remove a stored file; a file that is already gone counts as removed
+  async remove(file) {
+    try {
+      await fs.promises.unlink(resolveKey(file.filePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+
+  // URL that serves the file without signing in until it expires
+  // (see GET /api/files/:token)
+  getSignedUrl(file, { baseUrl = '', expiresIn }) {
+    const token = generateShareToken({
+      key: file.filePath,
+      name: file.originalFileName || file.fileName,
+      exp: Math.floor(Date.now() / 1000) + expiresIn
+    }, FILE_URL_AUDIENCE);
+
+    return `${baseUrl}/api/files/${token}`;
+  },
+
+  // Check a signed URL token; returns the file it grants, or null
+  verifySignedToken(token) {
+    const payload = verifyShareToken(token, FILE_URL_AUDIENCE);
+    if (!payload || !payload.key) return null;
+
+    return {
+      filePath: payload.key,
+      originalFileName: payload.name,
+      resourceType: 'local'
+    };
+  }
+};
+
+module.exports = localDriver;
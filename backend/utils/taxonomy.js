@@ -0,0 +1,24 @@
+const TaxonomyTerm = require('../models/TaxonomyTerm');
+
+// Sanitizer for express-validator chains: replaces an alias ("maths",
+// "grade 10", "exams") with the value notes store for it. Unknown input is
+// left as it is for isTaxonomyValue to reject.
+const toTaxonomyValue = (kind) => async (value) => {
+  const term = await TaxonomyTerm.resolve(kind, value);
+  return term ? term.value : value;
+};
+
+// Validator for express-validator chains: the value must be a subject, grade
+// or category in the taxonomy
+const isTaxonomyValue = (kind) => async (value) => {
+  const term = await TaxonomyTerm.resolve(kind, value);
+  if (!term) {
+    throw new Error(`"${value}" is not a known ${kind}`);
+  }
+  return true;
+};
+
+module.exports = {
+  toTaxonomyValue,
+  isTaxonomyValue
+};
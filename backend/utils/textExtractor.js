@@ -0,0 +1,144 @@
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { PDFParse } = require('pdf-parse');
+const { markdownToText } = require('./markdownRenderer');
+const { readStoredFile } = require('./storage');
+
+// Upper bound on stored text so that very large documents don't bloat the note
+const MAX_EXTRACTED_TEXT_LENGTH = parseInt(process.env.MAX_EXTRACTED_TEXT_LENGTH) || 100000;
+
+// File types we can read text from
+const SUPPORTED_FILE_TYPES = ['pdf', 'docx', 'pptx', 'txt'];
+
+// Collapse whitespace and control characters into single spaces
+const normalizeText = (text = '') => {
+  return text
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_EXTRACTED_TEXT_LENGTH);
+};
+
+// Decode the handful of XML entities that appear in Office text runs
+const decodeXmlEntities = (value) => {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+};
+
+// Read the bytes of an uploaded multer file or of a stored note file
+const readFileContent = async (source) => {
+  if (source.buffer) {
+    return source.buffer;
+  }
+
+  if (!source.filePath && !source.cloudinaryUrl) {
+    throw new Error('File content is not available');
+  }
+
+  return readStoredFile(source);
+};
+
+// Extract text from a PDF
+const extractPdfText = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText({ pageJoiner: '' });
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// Extract text from a Word document
+const extractDocxText = async (buffer) => {
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+};
+
+// Extract text from a PowerPoint deck, slide by slide
+const extractPptxText = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const slideNumber = (name) => parseInt(name.match(/slide(\d+)\.xml$/)[1], 10);
+  const slides = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+  const texts = [];
+  for (const slide of slides) {
+    const xml = await zip.file(slide).async('string');
+    const runs = [...xml.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(match => decodeXmlEntities(match[1]));
+    texts.push(runs.join(' '));
+  }
+
+  return texts.join('\n');
+};
+
+// Extract plain text from a file buffer based on its type
+// Returns null for file types we can't read
+const extractText = async (buffer, fileType) => {
+  switch ((fileType || '').toLowerCase()) {
+    case 'pdf':
+      return normalizeText(await extractPdfText(buffer));
+    case 'docx':
+      return normalizeText(await extractDocxText(buffer));
+    case 'pptx':
+      return normalizeText(await extractPptxText(buffer));
+    case 'txt':
+      return normalizeText(buffer.toString('utf8'));
+    default:
+      return null;
+  }
+};
+
+// Extract and store the text of a note's file, together with the text of its
+// written (Markdown) content.
+// `file` is the multer file of the current request when available; otherwise
+// the stored file is read back. The outcome is recorded in note.textExtraction
+// and errors are never thrown, so callers can fire and forget.
+const extractNoteText = async (note, file = null) => {
+  const Note = note.constructor;
+  const fileType = note.fileType || (note.originalFileName || '').split('.').pop();
+  const hasFile = Boolean(file || note.filePath || note.cloudinaryUrl);
+  const update = { contentText: '', textExtraction: { status: 'none', error: null, extractedAt: null } };
+
+  try {
+    if (hasFile && !SUPPORTED_FILE_TYPES.includes((fileType || '').toLowerCase())) {
+      update.textExtraction.status = 'unsupported';
+    } else if (hasFile) {
+      const buffer = await readFileContent(file || note);
+      update.contentText = await extractText(buffer, fileType);
+      update.textExtraction = { status: 'completed', error: null, extractedAt: new Date() };
+    }
+  } catch (error) {
+    console.error(`Text extraction failed for note ${note._id}:`, error.message);
+    update.textExtraction = { status: 'failed', error: error.message, extractedAt: new Date() };
+  }
+
+  // Written content is searchable whatever happened to the file
+  const writtenText = note.content ? markdownToText(note.content) : '';
+  if (writtenText) {
+    update.contentText = normalizeText(`${writtenText} ${update.contentText}`);
+    if (!hasFile) {
+      update.textExtraction = { status: 'completed', error: null, extractedAt: new Date() };
+    }
+  }
+
+  await Note.updateOne({ _id: note._id }, { $set: update }).catch(error => {
+    console.error(`Error saving extracted text for note ${note._id}:`, error.message);
+  });
+
+  return update.textExtraction;
+};
+
+module.exports = {
+  SUPPORTED_FILE_TYPES,
+  readFileContent,
+  normalizeText,
+  extractText,
+  extractNoteText
+};
@@ -0,0 +1,61 @@
+const Note = require('../models/Note');
+const Review = require('../models/Review');
+const NoteVersion = require('../models/NoteVersion');
+const Collection = require('../models/Collection');
+const ShareLink = require('../models/ShareLink');
+const { deleteNoteFiles } = require('./noteFiles');
+
+// How often the trash is checked for notes past their retention window
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Permanently delete a note with its stored files, versions, reviews and
+// share links, and take it out of every collection and prerequisite list
+const purgeNote = async (note) => {
+  const versions = await NoteVersion.find({ noteId: note._id });
+  await deleteNoteFiles(note, versions);
+
+  await NoteVersion.deleteMany({ noteId: note._id });
+  await Review.deleteMany({ noteId: note._id });
+  await ShareLink.deleteMany({ noteId: note._id });
+  await Collection.removeNote(note._id);
+  await Note.updateMany({ prerequisites: note._id }, { $pull: { prerequisites: note._id } });
+  await note.deleteOne();
+};
+
+// Purge every trashed note whose retention window has passed
+const purgeExpiredTrash = async () => {
+  const expired = await Note.find({
+    deletedAt: { $ne: null, $lte: Note.getTrashCutoff() }
+  });
+
+  let purged = 0;
+  for (const note of expired) {
+    try {
+      await purgeNote(note);
+      purged += 1;
+    } catch (error) {
+      console.error(`Error purging note ${note._id}:`, error.message);
+    }
+  }
+
+  return purged;
+};
+
+// Periodically empty expired trash while the server is running
+const startTrashPurger = (intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    purgeExpiredTrash().catch(error => {
+      console.error('Error purging trash:', error.message);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the purger
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeNote,
+  purgeExpiredTrash,
+  startTrashPurger
+};
@@ -19,6 +19,9 @@ import LoginForm from './components/forms/LoginForm';
 import RegisterForm from './components/forms/RegisterForm';
 import ForgotPassword from './components/auth/ForgotPassword';
 import NotePreview from './components/notes/NotePreview';
+import CollectionsPage from './components/collections/CollectionsPage';
+import CollectionView from './components/collections/CollectionView';
+import SharedNotePage from './components/share/SharedNotePage';
 
 // Protected Route Component
 const ProtectedRoute = ({ children, requiredRole = null }) => {
@@ -122,6 +125,14 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/notes/:slug" 
+              element={
+                <ProtectedRoute>
+                  <NotePreview />
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/preview/:id" 
               element={
@@ -130,6 +141,23 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/collections" 
+              element={
+                <ProtectedRoute>
+                  <CollectionsPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/collections/:id" 
+              element={
+                <ProtectedRoute>
+                  <CollectionView />
+                </ProtectedRoute>
+              } 
+            />
+            <Route path="/share/:token" element={<SharedNotePage />} />
             <Route path="/" element={<Navigate to="/home" replace />} />
             <Route path="*" element={<Navigate to="/home" replace />} />
           </Routes>
@@ -0,0 +1,313 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import collectionsService from '../../services/collectionsService';
+import { useApi } from '../../hooks/useApi.js';
+import toast from 'react-hot-toast';
+import './Collections.css';
+
+const EMPTY_COLLECTION = {
+  title: '',
+  description: '',
+  coverImage: '',
+  subject: '',
+  grade: '',
+  isPublic: true,
+  items: []
+};
+
+// Modal where teachers create collections and arrange their notes and sections.
+// `notes` are the teacher's own uploads that can be added.
+const CollectionManager = ({ notes, onClose }) => {
+  const { loading, execute } = useApi();
+  const [collections, setCollections] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [noteToAdd, setNoteToAdd] = useState('');
+
+  const loadCollections = async () => {
+    try {
+      const response = await collectionsService.getMyCollections();
+      setCollections(response.data || []);
+    } catch (error) {
+      console.error('Error loading collections:', error);
+      toast.error('Failed to load collections');
+    }
+  };
+
+  useEffect(() => {
+    loadCollections();
+  }, []);
+
+  const openEditor = async (collection) => {
+    if (!collection) {
+      setEditing(EMPTY_COLLECTION);
+      return;
+    }
+
+    try {
+      const response = await collectionsService.getCollection(collection._id);
+      const { _id, title, description, coverImage, subject, grade, isPublic, items } = response.data;
+      setEditing({ _id, title, description, coverImage: coverImage || '', subject, grade, isPublic, items: items || [] });
+    } catch (error) {
+      console.error('Error loading collection:', error);
+      toast.error('Failed to load collection');
+    }
+  };
+
+  const setItems = (items) => setEditing({ ...editing, items });
+
+  const handleAddNote = () => {
+    const note = notes.find((item) => item._id === noteToAdd);
+    if (!note) return;
+
+    setItems([...editing.items, { kind: 'note', note: { _id: note._id, title: note.title } }]);
+    setNoteToAdd('');
+  };
+
+  const handleAddSection = () => {
+    const heading = window.prompt('Section heading (e.g. "Week 1")');
+    if (!heading || !heading.trim()) return;
+
+    setItems([...editing.items, { kind: 'section', heading: heading.trim() }]);
+  };
+
+  const handleMoveItem = (index, offset) => {
+    const items = [...editing.items];
+    const [moved] = items.splice(index, 1);
+    items.splice(index + offset, 0, moved);
+    setItems(items);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (editing.title.trim().length < 3) {
+      toast.error('Title must be at least 3 characters');
+      return;
+    }
+
+    const payload = {
+      title: editing.title.trim(),
+      description: editing.description.trim(),
+      coverImage: editing.coverImage.trim(),
+      subject: editing.subject.trim(),
+      grade: editing.grade.trim(),
+      isPublic: editing.isPublic,
+      items: editing.items.map((item) => (item.kind === 'note'
+        ? { kind: 'note', note: item.note._id }
+        : { kind: 'section', heading: item.heading }))
+    };
+
+    try {
+      await execute(async () => {
+        if (editing._id) {
+          await collectionsService.updateCollection(editing._id, payload);
+        } else {
+          await collectionsService.createCollection(payload);
+        }
+        setEditing(null);
+        await loadCollections();
+      });
+    } catch (error) {
+      console.error('Error saving collection:', error);
+    }
+  };
+
+  const handleDelete = async (collection) => {
+    if (!window.confirm(`Delete the collection "${collection.title}"? Its notes are not deleted.`)) {
+      return;
+    }
+
+    try {
+      await execute(async () => {
+        await collectionsService.deleteCollection(collection._id);
+        await loadCollections();
+      });
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+    }
+  };
+
+  const usedNoteIds = editing ? editing.items.filter((item) => item.kind === 'note').map((item) => item.note._id) : [];
+  const availableNotes = notes.filter((note) => !usedNoteIds.includes(note._id));
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <i className="fas fa-layer-group"></i>
+            {editing ? (editing._id ? 'Edit Collection' : 'New Collection') : 'Collections'}
+          </h2>
+          <p className="modal-subtitle">Group your notes into an ordered course for students</p>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        {!editing ? (
+          <div className="modal-form">
+            {collections.length === 0 ? (
+              <p className="collections-status">You haven't created any collections yet.</p>
+            ) : (
+              <ul className="collection-manager-list">
+                {collections.map((collection) => (
+                  <li key={collection._id}>
+                    <div>
+                      <Link to={`/collections/${collection._id}`} className="collection-manager-title">
+                        {collection.title}
+                      </Link>
+                      <span className="collection-card-meta">
+                        {collection.noteCount} note{collection.noteCount === 1 ? '' : 's'}
+                        {!collection.isPublic && ' · Private'}
+                      </span>
+                    </div>
+                    <div className="collection-manager-actions">
+                      <button className="btn btn-secondary btn-sm" onClick={() => openEditor(collection)}>
+                        <i className="fas fa-edit"></i>
+                        Edit
+                      </button>
+                      <button className="btn btn-danger btn-sm" onClick={() => handleDelete(collection)} disabled={loading}>
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="form-actions">
+              <button type="button" className="btn btn-primary" onClick={() => openEditor(null)}>
+                <i className="fas fa-plus"></i>
+                New Collection
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSave} className="modal-form">
+            <div className="form-group">
+              <label htmlFor="collectionTitle" className="form-label">Title *</label>
+              <input
+                id="collectionTitle"
+                type="text"
+                value={editing.title}
+                onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                className="form-input"
+                placeholder="e.g. Algebra I – Term 1"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="collectionDescription" className="form-label">Description</label>
+              <textarea
+                id="collectionDescription"
+                value={editing.description}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                rows="2"
+                className="form-textarea"
+              />
+            </div>
+
+            <div className="form-group publish-times">
+              <div>
+                <label htmlFor="collectionSubject" className="form-label">Subject</label>
+                <input
+                  id="collectionSubject"
+                  type="text"
+                  value={editing.subject}
+                  onChange={(e) => setEditing({ ...editing, subject: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label htmlFor="collectionGrade" className="form-label">Grade</label>
+                <input
+                  id="collectionGrade"
+                  type="text"
+                  value={editing.grade}
+                  onChange={(e) => setEditing({ ...editing, grade: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="collectionCover" className="form-label">Cover image URL</label>
+              <input
+                id="collectionCover"
+                type="url"
+                value={editing.coverImage}
+                onChange={(e) => setEditing({ ...editing, coverImage: e.target.value })}
+                className="form-input"
+                placeholder="https://..."
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-checkbox">
+                <input
+                  type="checkbox"
+                  checked={editing.isPublic}
+                  onChange={(e) => setEditing({ ...editing, isPublic: e.target.checked })}
+                />
+                Listed publicly
+              </label>
+            </div>
+
+            <div className="form-group">
+              <span className="form-label">Sequence</span>
+              <ol className="collection-items">
+                {editing.items.map((item, index) => (
+                  <li key={item._id || `${item.kind}-${item.note?._id || item.heading}-${index}`} className={`collection-item ${item.kind}`}>
+                    <span className="collection-item-label">
+                      {item.kind === 'section' ? item.heading : item.note.title}
+                      {item.kind === 'note' && item.note.publishStatus && item.note.publishStatus !== 'published' && (
+                        <span className="collection-item-status"> ({item.note.publishStatus})</span>
+                      )}
+                    </span>
+                    <span className="collection-item-actions">
+                      <button type="button" className="btn btn-secondary btn-sm" disabled={index === 0} onClick={() => handleMoveItem(index, -1)} title="Move up">
+                        <i className="fas fa-arrow-up"></i>
+                      </button>
+                      <button type="button" className="btn btn-secondary btn-sm" disabled={index === editing.items.length - 1} onClick={() => handleMoveItem(index, 1)} title="Move down">
+                        <i className="fas fa-arrow-down"></i>
+                      </button>
+                      <button type="button" className="btn btn-danger btn-sm" onClick={() => setItems(editing.items.filter((_, i) => i !== index))} title="Remove">
+                        <i className="fas fa-times"></i>
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ol>
+              <div className="collection-add">
+                <select value={noteToAdd} onChange={(e) => setNoteToAdd(e.target.value)} className="form-input">
+                  <option value="">Choose a note to add...</option>
+                  {availableNotes.map((note) => (
+                    <option key={note._id} value={note._id}>{note.title}</option>
+                  ))}
+                </select>
+                <button type="button" className="btn btn-secondary" onClick={handleAddNote} disabled={!noteToAdd}>
+                  Add Note
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={handleAddSection}>
+                  Add Section
+                </button>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                <i className="fas fa-save"></i>
+                Save Collection
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollectionManager;
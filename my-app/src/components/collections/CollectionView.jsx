@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import collectionsService from '../../services/collectionsService';
+import notesService from '../../services/notesService';
+import { formatFileSize, getFileIcon, getNoteUrl } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+import './Collections.css';
+
+// Step-by-step view of a collection: an outline of sections and notes, and
+// the current note with previous/next navigation
+const CollectionView = () => {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await collectionsService.getCollection(id);
+        setCollection(response.data);
+      } catch {
+        toast.error('Failed to load collection');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="container collections-page">
+        <p className="collections-status">Loading collection...</p>
+      </div>
+    );
+  }
+
+  if (!collection) {
+    return (
+      <div className="container collections-page">
+        <p className="collections-status">Collection not found.</p>
+      </div>
+    );
+  }
+
+  const steps = collection.sequence.filter((item) => item.kind === 'note');
+  const requestedStep = parseInt(searchParams.get('step'), 10) || 1;
+  const current = steps[Math.min(Math.max(requestedStep, 1), steps.length) - 1];
+
+  const goToStep = (step) => {
+    setSearchParams({ step: step.toString() });
+  };
+
+  return (
+    <div className="container collections-page">
+      <div className="collections-header">
+        <div>
+          <h2>{collection.title}</h2>
+          {collection.description && <p className="collection-description">{collection.description}</p>}
+        </div>
+        <Link className="btn btn-secondary" to="/collections">All Collections</Link>
+      </div>
+
+      {steps.length === 0 ? (
+        <p className="collections-status">This collection has no notes yet.</p>
+      ) : (
+        <div className="collection-layout">
+          <ol className="collection-outline">
+            {collection.sequence.map((item) => (
+              item.kind === 'section' ? (
+                <li key={item._id} className="collection-outline-section">{item.heading}</li>
+              ) : (
+                <li key={item._id}>
+                  <button
+                    className={`collection-outline-step ${item.step === current.step ? 'active' : ''}`}
+                    onClick={() => goToStep(item.step)}
+                  >
+                    <span className="collection-step-number">{item.step}</span>
+                    {item.note.title}
+                  </button>
+                </li>
+              )
+            ))}
+          </ol>
+
+          <div className="collection-step">
+            <span className="collection-step-position">
+              {current.section && `${current.section} · `}Step {current.step} of {steps.length}
+            </span>
+            <div className="collection-step-note">
+              <span className="collection-step-icon">
+                {getFileIcon(current.note.fileName || current.note.originalFileName || '')}
+              </span>
+              <div>
+                <h3>{current.note.title}</h3>
+                <p>{current.note.description}</p>
+                <span className="collection-card-meta">
+                  {current.note.subject} · {current.note.grade}
+                  {current.note.fileSize > 0 && ` · ${formatFileSize(current.note.fileSize)}`}
+                </span>
+              </div>
+            </div>
+            <div className="collection-step-actions">
+              <Link className="btn btn-secondary" to={getNoteUrl(current.note)}>
+                <i className="fas fa-eye"></i>
+                Open
+              </Link>
+              {(current.note.fileName || current.note.originalFileName) && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => notesService.downloadNote(current.note._id, current.note.originalFileName || current.note.title)}
+                >
+                  <i className="fas fa-download"></i>
+                  Download
+                </button>
+              )}
+            </div>
+            <div className="collection-step-nav">
+              <button
+                className="btn btn-secondary"
+                disabled={current.step <= 1}
+                onClick={() => goToStep(current.step - 1)}
+              >
+                <i className="fas fa-arrow-left"></i>
+                Previous
+              </button>
+              <button
+                className="btn btn-primary"
+                disabled={current.step >= steps.length}
+                onClick={() => goToStep(current.step + 1)}
+              >
+                Next
+                <i className="fas fa-arrow-right"></i>
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollectionView;
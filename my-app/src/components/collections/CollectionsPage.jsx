@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import collectionsService from '../../services/collectionsService';
+import toast from 'react-hot-toast';
+import './Collections.css';
+
+// Public listing of teacher-curated collections
+const CollectionsPage = () => {
+  const [collections, setCollections] = useState([]);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const response = await collectionsService.getCollections({ search: query, page, limit: 12 });
+        if (!cancelled) {
+          setCollections(response.data || []);
+          setTotalPages(response.totalPages || 1);
+        }
+      } catch {
+        if (!cancelled) toast.error('Failed to load collections');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, page]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery(search.trim());
+  };
+
+  return (
+    <div className="container collections-page">
+      <div className="collections-header">
+        <h2>Collections</h2>
+        <Link className="btn btn-secondary" to="/dashboard">Back</Link>
+      </div>
+
+      <form className="collections-search" onSubmit={handleSearch}>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="form-input"
+          placeholder="Search collections..."
+        />
+        <button type="submit" className="btn btn-primary">Search</button>
+      </form>
+
+      {loading ? (
+        <p className="collections-status">Loading collections...</p>
+      ) : collections.length === 0 ? (
+        <p className="collections-status">No collections found.</p>
+      ) : (
+        <div className="collections-grid">
+          {collections.map((collection) => (
+            <Link key={collection._id} to={`/collections/${collection._id}`} className="collection-card">
+              <div
+                className="collection-cover"
+                style={collection.coverImage ? { backgroundImage: `url(${collection.coverImage})` } : undefined}
+              >
+                {!collection.coverImage && <i className="fas fa-layer-group"></i>}
+              </div>
+              <div className="collection-card-body">
+                <h3 className="collection-card-title">{collection.title}</h3>
+                {collection.description && (
+                  <p className="collection-card-description">{collection.description}</p>
+                )}
+                <span className="collection-card-meta">
+                  {collection.noteCount} note{collection.noteCount === 1 ? '' : 's'}
+                  {collection.subject && ` · ${collection.subject}`}
+                  {collection.uploadedBy?.name && ` · ${collection.uploadedBy.name}`}
+                </span>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="collections-pagination">
+          <button className="btn btn-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            Previous
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button className="btn btn-secondary" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollectionsPage;
@@ -1,34 +1,62 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import notesService from '../../services/notesService';
 import reviewsService from '../../services/reviewsService';
 import downloadHistoryService from '../../services/downloadHistoryService';
+import recommendationsService from '../../services/recommendationsService';
+import savedSearchesService from '../../services/savedSearchesService';
+import notificationsService from '../../services/notificationsService';
 import { useApi } from '../../hooks/useApi';
+import { useTaxonomy } from '../../hooks/useTaxonomy';
 import { formatDate, formatFileSize, getFileIcon, debounce } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 import ProgressAnalytics from '../analytics/ProgressAnalytics';
+import RelatedNotesStrip from '../notes/RelatedNotesStrip';
+import TaxonomySelect from '../notes/TaxonomySelect';
 import './StudentDashboard.css';
 
+// Labels for the note fields a search can match
+const HIGHLIGHT_LABELS = {
+  contentText: 'document'
+};
+
 const StudentDashboard = () => {
   const { user, logout } = useAuth();
   const { loading, execute } = useApi();
+  const navigate = useNavigate();
+  const taxonomy = useTaxonomy();
 
   const [notes, setNotes] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [totalNotes, setTotalNotes] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [reviews, setReviews] = useState({});
   const [downloadHistory, setDownloadHistory] = useState([]);
   const [downloadStats, setDownloadStats] = useState(null);
+  const [recommendations, setRecommendations] = useState([]);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [showNotifications, setShowNotifications] = useState(false);
   const [filters, setFilters] = useState({
     search: '',
     subject: '',
-    sortBy: 'createdAt',
+    grade: '',
+    category: '',
+    tags: '',
+    sortBy: 'relevance',
     order: 'desc',
   });
   const [showReviewModal, setShowReviewModal] = useState(false);
   const [selectedNote, setSelectedNote] = useState(null);
+  const [relatedNoteId, setRelatedNoteId] = useState(null);
   const [reviewData, setReviewData] = useState({
     rating: 5,
     comment: '',
   });
+  const [searchInput, setSearchInput] = useState('');
   const [showMobileMenu, setShowMobileMenu] = useState(false);
   const [activeTab, setActiveTab] = useState('materials');
 
@@ -43,6 +71,11 @@ const StudentDashboard = () => {
     loadNotes();
   }, [filters]);
 
+  useEffect(() => {
+    loadSavedSearches();
+    loadNotifications();
+  }, []);
+
   useEffect(() => {
     if (notes.length > 0) {
       loadReviews();
@@ -51,12 +84,26 @@ const StudentDashboard = () => {
     }
   }, [notes]);
 
+  const loadRecommendations = useCallback(async () => {
+    try {
+      await execute(async () => {
+        const response = await recommendationsService.getRecommendations(1, 20);
+        setRecommendations(response.data || []);
+      });
+    } catch {
+      toast.error('Failed to load recommendations');
+    }
+  }, [execute]);
+
   useEffect(() => {
     if (activeTab === 'history') {
       loadDownloadHistory();
       loadDownloadStats();
     }
-  }, [activeTab]);
+    if (activeTab === 'recommended') {
+      loadRecommendations();
+    }
+  }, [activeTab, loadRecommendations]);
 
   const loadNotes = async () => {
     try {
@@ -66,12 +113,31 @@ const StudentDashboard = () => {
           ? response.data
           : (response?.data?.data || response?.data?.notes || response?.notes || []);
         setNotes(list);
+        setFacets(response?.facets || null);
+        setTotalNotes(response?.total ?? list.length);
+        setNextCursor(response?.nextCursor || null);
       });
     } catch {
       toast.error('Failed to load notes');
     }
   };
 
+  // Append the next page using the cursor from the previous response
+  const loadMoreNotes = async () => {
+    if (!nextCursor) return;
+
+    setLoadingMore(true);
+    try {
+      const response = await notesService.getNotes({ ...filters, cursor: nextCursor });
+      setNotes((prev) => [...prev, ...(response?.data || [])]);
+      setNextCursor(response?.nextCursor || null);
+    } catch {
+      toast.error('Failed to load more notes');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const loadReviews = async () => {
     try {
       const reviewsData = {};
@@ -102,6 +168,123 @@ const StudentDashboard = () => {
     }
   };
 
+  const loadSavedSearches = async () => {
+    try {
+      const response = await savedSearchesService.getSavedSearches();
+      setSavedSearches(response.data || []);
+    } catch {
+      console.error('Failed to load saved searches');
+    }
+  };
+
+  const loadNotifications = async () => {
+    try {
+      const response = await notificationsService.getNotifications();
+      setNotifications(response.data || []);
+      setUnreadCount(response.unreadCount || 0);
+    } catch {
+      console.error('Failed to load notifications');
+    }
+  };
+
+  const handleSaveSearch = async () => {
+    const name = window.prompt('Name this search');
+    if (!name?.trim()) return;
+
+    try {
+      await execute(async () => {
+        await savedSearchesService.createSavedSearch(name.trim(), {
+          search: filters.search,
+          subject: filters.subject,
+          grade: filters.grade,
+          category: filters.category,
+          tags: filters.tags,
+        });
+        await loadSavedSearches();
+      }, {
+        showSuccessToast: true,
+        successMessage: 'Search saved! You will be notified about new matches.',
+      });
+    } catch {
+      toast.error('Failed to save search');
+    }
+  };
+
+  const handleApplySavedSearch = async (savedSearch) => {
+    const saved = savedSearch.filters || {};
+    setSearchInput(saved.search || '');
+    setFilters((prev) => ({
+      ...prev,
+      search: saved.search || '',
+      subject: saved.subject || '',
+      grade: saved.grade || '',
+      category: saved.category || '',
+      tags: (saved.tags || []).join(','),
+    }));
+
+    try {
+      await savedSearchesService.visitSavedSearch(savedSearch._id);
+      setSavedSearches((prev) => prev.map((s) => (
+        s._id === savedSearch._id ? { ...s, newMatchCount: 0 } : s
+      )));
+    } catch {
+      console.error('Failed to update saved search');
+    }
+  };
+
+  const handleRenameSavedSearch = async (savedSearch) => {
+    const name = window.prompt('Rename this search', savedSearch.name);
+    if (!name?.trim() || name.trim() === savedSearch.name) return;
+
+    try {
+      await execute(async () => {
+        await savedSearchesService.updateSavedSearch(savedSearch._id, { name: name.trim() });
+        await loadSavedSearches();
+      });
+    } catch {
+      toast.error('Failed to rename search');
+    }
+  };
+
+  const handleDeleteSavedSearch = async (savedSearch) => {
+    if (!window.confirm(`Delete the saved search "${savedSearch.name}"?`)) {
+      return;
+    }
+
+    try {
+      await execute(async () => {
+        await savedSearchesService.deleteSavedSearch(savedSearch._id);
+        setSavedSearches((prev) => prev.filter((s) => s._id !== savedSearch._id));
+      });
+    } catch {
+      toast.error('Failed to delete search');
+    }
+  };
+
+  const handleNotificationClick = async (notification) => {
+    if (notification.isRead) return;
+
+    try {
+      await notificationsService.markAsRead(notification._id);
+      setNotifications((prev) => prev.map((n) => (
+        n._id === notification._id ? { ...n, isRead: true } : n
+      )));
+      setUnreadCount((prev) => Math.max(0, prev - 1));
+    } catch {
+      console.error('Failed to mark notification as read');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsService.markAllAsRead();
+      setNotifications((prev) => prev.map((n) => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch {
+      toast.error('Failed to update notifications');
+    }
+  };
+
   const loadDownloadStats = async () => {
     try {
       const response = await downloadHistoryService.getDownloadStats();
@@ -121,6 +304,11 @@ const StudentDashboard = () => {
           await loadDownloadHistory();
           await loadDownloadStats();
         }
+
+        // Downloaded notes drop out of the recommendations
+        if (activeTab === 'recommended') {
+          await loadRecommendations();
+        }
       }, {
         showSuccessToast: true,
         successMessage: 'File downloaded successfully!',
@@ -191,11 +379,46 @@ const StudentDashboard = () => {
     return noteReviews.some((review) => (review.studentId?._id || review.student?._id) === user._id);
   };
 
+  // Number of notes matching the current filters for a facet value (null until loaded)
+  const getFacetCount = (field, value) => {
+    if (!facets?.[field]) return null;
+    return facets[field].find((bucket) => bucket.value === value)?.count || 0;
+  };
+
+  // Label a taxonomy filter option with its facet count (a parent subject
+  // counts the notes on the subjects nested under it too), hiding empty ones
+  const renderFacetOption = (field) => (option) => {
+    if (!facets?.[field]) return option.label;
+    const count = option.values.reduce((sum, value) => sum + getFacetCount(field, value), 0);
+    return count === 0 ? null : `${option.label} (${count})`;
+  };
+
+  const hasFilters = Boolean(filters.search || filters.subject || filters.grade || filters.category || filters.tags);
+
+  // Render a search highlight snippet with matched words wrapped in <mark>
+  const renderHighlight = ({ snippet, matches }) => {
+    const parts = [];
+    let cursor = 0;
+
+    matches.forEach(({ start, end }, i) => {
+      if (start > cursor) parts.push(snippet.slice(cursor, start));
+      parts.push(<mark key={i}>{snippet.slice(start, end)}</mark>);
+      cursor = end;
+    });
+    if (cursor < snippet.length) parts.push(snippet.slice(cursor));
+
+    return parts;
+  };
+
   const clearFilters = () => {
+    setSearchInput('');
     setFilters({
       search: '',
       subject: '',
-      sortBy: 'createdAt',
+      grade: '',
+      category: '',
+      tags: '',
+      sortBy: 'relevance',
       order: 'desc',
     });
   };
@@ -222,6 +445,48 @@ const StudentDashboard = () => {
           </div>
 
           <div className="header-right">
+            <div className="notifications">
+              <button
+                className="notification-bell"
+                onClick={() => setShowNotifications(!showNotifications)}
+                aria-label={`Notifications (${unreadCount} unread)`}
+              >
+                <i className="fas fa-bell"></i>
+                {unreadCount > 0 && <span className="notification-badge">{unreadCount}</span>}
+              </button>
+
+              {showNotifications && (
+                <div className="notification-dropdown">
+                  <div className="notification-dropdown-header">
+                    <span>Notifications</span>
+                    <button
+                      className="btn btn-link"
+                      onClick={handleMarkAllRead}
+                      disabled={unreadCount === 0}
+                    >
+                      Mark all read
+                    </button>
+                  </div>
+                  {notifications.length === 0 ? (
+                    <p className="notification-empty">No notifications yet</p>
+                  ) : (
+                    <ul className="notification-list">
+                      {notifications.map((notification) => (
+                        <li
+                          key={notification._id}
+                          className={`notification-item ${notification.isRead ? '' : 'unread'}`}
+                          onClick={() => handleNotificationClick(notification)}
+                        >
+                          <span className="notification-title">{notification.title}</span>
+                          <span className="notification-message">{notification.message}</span>
+                          <span className="notification-date">{formatDate(notification.createdAt)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
             <div className="user-info">
               <div className="user-details">
                 <span className="user-name">{user.name}</span>
@@ -270,6 +535,20 @@ const StudentDashboard = () => {
               <i className="fas fa-book"></i>
               <span>Study Materials</span>
             </button>
+            <button 
+              className={`menu-item ${activeTab === 'recommended' ? 'active' : ''}`}
+              onClick={() => setActiveTab('recommended')}
+            >
+              <i className="fas fa-lightbulb"></i>
+              <span>Recommended for You</span>
+            </button>
+            <button 
+              className="menu-item"
+              onClick={() => navigate('/collections')}
+            >
+              <i className="fas fa-layer-group"></i>
+              <span>Collections</span>
+            </button>
             <button 
               className={`menu-item ${activeTab === 'history' ? 'active' : ''}`}
               onClick={() => setActiveTab('history')}
@@ -318,6 +597,13 @@ const StudentDashboard = () => {
             <i className="fas fa-book"></i>
             Study Materials
           </button>
+          <button 
+            className={`tab-item ${activeTab === 'recommended' ? 'active' : ''}`}
+            onClick={() => setActiveTab('recommended')}
+          >
+            <i className="fas fa-lightbulb"></i>
+            Recommended for You
+          </button>
           <button 
             className={`tab-item ${activeTab === 'history' ? 'active' : ''}`}
             onClick={() => setActiveTab('history')}
@@ -346,13 +632,22 @@ const StudentDashboard = () => {
               <div className="filters-card">
                 <div className="filter-header">
                   <h3>Filter Resources</h3>
-                  <button 
-                    className="btn btn-link"
-                    onClick={clearFilters}
-                    disabled={!filters.search && !filters.subject}
-                  >
-                    Clear Filters
-                  </button>
+                  <div className="filter-actions">
+                    <button
+                      className="btn btn-link"
+                      onClick={handleSaveSearch}
+                      disabled={!hasFilters}
+                    >
+                      <i className="fas fa-bookmark"></i> Save Search
+                    </button>
+                    <button 
+                      className="btn btn-link"
+                      onClick={clearFilters}
+                      disabled={!hasFilters}
+                    >
+                      Clear Filters
+                    </button>
+                  </div>
                 </div>
                 
                 <div className="filter-grid">
@@ -365,8 +660,11 @@ const StudentDashboard = () => {
                         type="search"
                         className="search-input"
                         placeholder="Search by title, description, or subject"
-                        value={filters.search}
-                        onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+                        value={searchInput}
+                        onChange={(e) => {
+                          setSearchInput(e.target.value);
+                          debouncedSearch(e.target.value);
+                        }}
                         aria-label="Search notes"
                       />
                     </div>
@@ -374,24 +672,44 @@ const StudentDashboard = () => {
 
                   <div className="filter-group">
                     <label htmlFor="subject" className="filter-label">Subject</label>
-                    <select
+                    <TaxonomySelect
                       id="subject"
                       className="filter-select"
+                      terms={taxonomy.subject}
                       value={filters.subject}
-                      onChange={(e) => setFilters((prev) => ({ ...prev, subject: e.target.value }))}
+                      onChange={(subject) => setFilters((prev) => ({ ...prev, subject }))}
+                      placeholder="All Subjects"
+                      renderLabel={renderFacetOption('subject')}
                       aria-label="Filter by subject"
-                    >
-                      <option value="">All Subjects</option>
-                      <option value="Mathematics">Mathematics</option>
-                      <option value="Science">Science</option>
-                      <option value="Physics">Physics</option>
-                      <option value="Chemistry">Chemistry</option>
-                      <option value="Biology">Biology</option>
-                      <option value="English">English</option>
-                      <option value="History">History</option>
-                      <option value="Geography">Geography</option>
-                      <option value="Computer Science">Computer Science</option>
-                    </select>
+                    />
+                  </div>
+
+                  <div className="filter-group">
+                    <label htmlFor="grade" className="filter-label">Grade</label>
+                    <TaxonomySelect
+                      id="grade"
+                      className="filter-select"
+                      terms={taxonomy.grade}
+                      value={filters.grade}
+                      onChange={(grade) => setFilters((prev) => ({ ...prev, grade }))}
+                      placeholder="All Grades"
+                      renderLabel={renderFacetOption('grade')}
+                      aria-label="Filter by grade"
+                    />
+                  </div>
+
+                  <div className="filter-group">
+                    <label htmlFor="category" className="filter-label">Category</label>
+                    <TaxonomySelect
+                      id="category"
+                      className="filter-select"
+                      terms={taxonomy.category}
+                      value={filters.category}
+                      onChange={(category) => setFilters((prev) => ({ ...prev, category }))}
+                      placeholder="All Categories"
+                      renderLabel={renderFacetOption('category')}
+                      aria-label="Filter by category"
+                    />
                   </div>
 
                   <div className="filter-group">
@@ -403,11 +721,14 @@ const StudentDashboard = () => {
                       onChange={(e) => setFilters((prev) => ({ ...prev, sortBy: e.target.value }))}
                       aria-label="Sort notes by"
                     >
+                      <option value="relevance">Best Match</option>
                       <option value="createdAt">Date Added</option>
                       <option value="title">Title</option>
                       <option value="subject">Subject</option>
-                      <option value="downloadCount">Downloads</option>
-                      <option value="rating">Rating</option>
+                      <option value="downloadCount">Most Downloaded</option>
+                      <option value="viewCount">Most Viewed</option>
+                      <option value="rating">Top Rated</option>
+                      <option value="trending">Trending</option>
                     </select>
                   </div>
 
@@ -425,6 +746,57 @@ const StudentDashboard = () => {
                     </select>
                   </div>
                 </div>
+
+                {savedSearches.length > 0 && (
+                  <div className="saved-searches" aria-label="Saved searches">
+                    <span className="saved-searches-label">Saved:</span>
+                    {savedSearches.map((savedSearch) => (
+                      <span key={savedSearch._id} className="saved-search-chip">
+                        <button
+                          type="button"
+                          className="saved-search-apply"
+                          onClick={() => handleApplySavedSearch(savedSearch)}
+                        >
+                          {savedSearch.name}
+                          {savedSearch.newMatchCount > 0 && (
+                            <span className="saved-search-new">{savedSearch.newMatchCount} new</span>
+                          )}
+                        </button>
+                        <button
+                          type="button"
+                          className="saved-search-action"
+                          onClick={() => handleRenameSavedSearch(savedSearch)}
+                          aria-label={`Rename ${savedSearch.name}`}
+                        >
+                          <i className="fas fa-pen"></i>
+                        </button>
+                        <button
+                          type="button"
+                          className="saved-search-action"
+                          onClick={() => handleDeleteSavedSearch(savedSearch)}
+                          aria-label={`Delete ${savedSearch.name}`}
+                        >
+                          <i className="fas fa-times"></i>
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                {facets?.tags?.length > 0 && (
+                  <div className="facet-chips" aria-label="Filter by tag">
+                    {facets.tags.slice(0, 12).map(({ value, count }) => (
+                      <button
+                        key={value}
+                        type="button"
+                        className={`facet-chip ${filters.tags === value ? 'active' : ''}`}
+                        onClick={() => setFilters((prev) => ({ ...prev, tags: prev.tags === value ? '' : value }))}
+                      >
+                        #{value} <span className="facet-count">{count}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
             </section>
 
@@ -441,7 +813,7 @@ const StudentDashboard = () => {
                 </div>
                 <h3>No study materials found</h3>
                 <p>Try adjusting your search filters or check back later for new content.</p>
-                {(filters.search || filters.subject) && (
+                {hasFilters && (
                   <button className="btn btn-primary" onClick={clearFilters}>
                     Clear Filters
                   </button>
@@ -450,9 +822,9 @@ const StudentDashboard = () => {
             ) : (
               <section className="notes-section">
                 <div className="notes-header">
-                  <h3>Available Resources ({notes.length})</h3>
+                  <h3>Available Resources ({totalNotes})</h3>
                   <span className="results-info">
-                    Showing {notes.length} of {notes.length} materials
+                    Showing {notes.length} of {totalNotes} materials
                   </span>
                 </div>
                 
@@ -479,6 +851,18 @@ const StudentDashboard = () => {
 
                         <p className="note-description">{note.description}</p>
 
+                        {/* Search highlights */}
+                        {note.highlights?.length > 0 && (
+                          <div className="note-highlights">
+                            {note.highlights.map(highlight => (
+                              <p key={highlight.field} className="highlight-item">
+                                <span className="highlight-field">{HIGHLIGHT_LABELS[highlight.field] || highlight.field}</span>
+                                {renderHighlight(highlight)}
+                              </p>
+                            ))}
+                          </div>
+                        )}
+
                         <div className="note-meta">
                           <div className="meta-item">
                             <i className="fas fa-database"></i>
@@ -496,6 +880,12 @@ const StudentDashboard = () => {
                             <i className="fas fa-calendar"></i>
                             <span>{formatDate(note.createdAt, { format: 'short' })}</span>
                           </div>
+                          {note.isPublic === false && (
+                            <div className="meta-item" title="Your teacher shared this note with you or your group">
+                              <i className="fas fa-user-friends"></i>
+                              <span>Shared with you</span>
+                            </div>
+                          )}
                         </div>
 
                         {/* Rating */}
@@ -534,6 +924,21 @@ const StudentDashboard = () => {
                           )}
                         </div>
 
+                        {/* Related notes */}
+                        <div className="note-related">
+                          <button
+                            type="button"
+                            className="btn btn-link"
+                            onClick={() => setRelatedNoteId(relatedNoteId === note._id ? null : note._id)}
+                            aria-expanded={relatedNoteId === note._id}
+                          >
+                            <i className="fas fa-users"></i> Students also used
+                          </button>
+                          {relatedNoteId === note._id && (
+                            <RelatedNotesStrip noteId={note._id} limit={4} title="" />
+                          )}
+                        </div>
+
                         {/* Reviews snippet */}
                         {noteReviews.length > 0 && (
                           <div className="note-reviews">
@@ -584,11 +989,93 @@ const StudentDashboard = () => {
                     );
                   })}
                 </div>
+
+                {nextCursor && (
+                  <div className="load-more">
+                    <button
+                      className="btn btn-secondary"
+                      onClick={loadMoreNotes}
+                      disabled={loadingMore}
+                    >
+                      {loadingMore ? 'Loading...' : 'Load More'}
+                    </button>
+                  </div>
+                )}
               </section>
             )}
           </>
         )}
 
+        {activeTab === 'recommended' && (
+          <section className="recommendations-section">
+            <div className="section-header">
+              <h2 className="section-title">Recommended for You</h2>
+              <p className="section-subtitle">Picked from your grade, interests, downloads and reviews</p>
+            </div>
+
+            {loading ? (
+              <div className="loading-state">
+                <div className="spinner"></div>
+                <p>Finding materials for you...</p>
+              </div>
+            ) : recommendations.length === 0 ? (
+              <div className="empty-state">
+                <div className="empty-icon">
+                  <i className="fas fa-lightbulb"></i>
+                </div>
+                <h3>No recommendations yet</h3>
+                <p>Download and review a few study materials and we'll suggest what to study next.</p>
+              </div>
+            ) : (
+              <div className="notes-grid">
+                {recommendations.map(note => (
+                  <div key={note._id} className="note-card">
+                    <div className="note-header">
+                      <div className="note-icon">
+                        {getFileIcon(note.fileName || note.originalFileName || '')}
+                      </div>
+                      <div className="note-title-section">
+                        <h3 className="note-title">{note.title}</h3>
+                        <div className="note-meta-header">
+                          <span className="note-subject">{note.subject}</span>
+                          <span className="note-grade">{note.grade}</span>
+                        </div>
+                      </div>
+                    </div>
+
+                    <span className="recommendation-reason">
+                      <i className="fas fa-lightbulb"></i> {note.reason}
+                    </span>
+
+                    <p className="note-description">{note.description}</p>
+
+                    <div className="note-meta">
+                      <div className="meta-item">
+                        <i className="fas fa-download"></i>
+                        <span>{note.downloadCount || 0} downloads</span>
+                      </div>
+                      <div className="meta-item">
+                        <i className="fas fa-user-graduate"></i>
+                        <span>{note.uploadedBy?.name || 'Unknown Teacher'}</span>
+                      </div>
+                    </div>
+
+                    <div className="note-actions">
+                      <button
+                        className="btn btn-primary"
+                        onClick={() => handleDownload(note)}
+                        aria-label={`Download ${note.title}`}
+                      >
+                        <i className="fas fa-download"></i> Download
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        )}
+
         {activeTab === 'history' && (
           <section className="history-section">
             <div className="section-header">
@@ -663,7 +1150,14 @@ const StudentDashboard = () => {
                         {getFileIcon(download.fileName)}
                       </div>
                       <div className="history-content">
-                        <h4 className="history-title">{download.noteTitle}</h4>
+                        <h4 className="history-title">
+                          {download.noteTitle}
+                          {download.hasNewerVersion && (
+                            <span className="history-updated" title="This note has been updated since you downloaded it">
+                              <i className="fas fa-sync-alt"></i> Newer version available
+                            </span>
+                          )}
+                        </h4>
                         <div className="history-meta">
                           <span className="history-subject">{download.noteSubject}</span>
                           <span className="history-grade">{download.noteGrade}</span>
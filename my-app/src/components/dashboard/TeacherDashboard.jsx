@@ -3,14 +3,54 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext.jsx';
 import notesService from '../../services/notesService';
 import reviewsService from '../../services/reviewsService';
+import tagsService from '../../services/tagsService';
+import groupsService from '../../services/groupsService';
+import CollectionManager from '../collections/CollectionManager';
+import GroupManager from '../groups/GroupManager';
+import ImportManager from '../imports/ImportManager';
+import MarkdownEditor from '../notes/MarkdownEditor';
+import NoteSharingFields from '../notes/NoteSharingFields';
+import BulkActionsBar from '../notes/BulkActionsBar';
+import DuplicateWarning from '../notes/DuplicateWarning';
+import DuplicatesReport from '../notes/DuplicatesReport';
+import CoAuthorManager from '../notes/CoAuthorManager';
+import PrerequisiteEditor from '../notes/PrerequisiteEditor';
+import ShareLinkManager from '../share/ShareLinkManager';
+import TaxonomySelect from '../notes/TaxonomySelect';
 import { useApi } from '../../hooks/useApi.js';
-import { formatDate, formatFileSize, getFileIcon, validateFileForUpload } from '../../utils/helpers.js';
+import { useTaxonomy } from '../../hooks/useTaxonomy.js';
+import {
+  buildSharingPayload,
+  formatDate,
+  formatFileSize,
+  getCountdown,
+  getFileIcon,
+  getNoteUrl,
+  getSharingState,
+  validateFileForUpload
+} from '../../utils/helpers.js';
 import toast from 'react-hot-toast';
 import "./TeacherDashboard.css";
 
+const EMPTY_UPLOAD = {
+  title: '',
+  description: '',
+  subject: '',
+  grade: '',
+  category: 'lecture-notes',
+  tags: '',
+  isDraft: false,
+  publishAt: '',
+  unpublishAt: '',
+  content: '',
+  sharing: getSharingState(),
+  file: null
+};
+
 const TeacherDashboard = () => {
   const { user, logout } = useAuth();
   const { loading, execute } = useApi();
+  const taxonomy = useTaxonomy();
 
   const [stats, setStats] = useState({
     totalNotes: 0,
@@ -22,18 +62,78 @@ const TeacherDashboard = () => {
   const [notes, setNotes] = useState([]);
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [showMobileSidebar, setShowMobileSidebar] = useState(false);
-  const [uploadData, setUploadData] = useState({
-    title: '',
-    description: '',
-    subject: '',
-    grade: '',
-    file: null
-  });
+  const [uploadData, setUploadData] = useState(EMPTY_UPLOAD);
+  const [tagSuggestions, setTagSuggestions] = useState([]);
+  const [versionsNote, setVersionsNote] = useState(null);
+  const [attachmentsNote, setAttachmentsNote] = useState(null);
+  const [contentNote, setContentNote] = useState(null);
+  const [sharingNote, setSharingNote] = useState(null);
+  const [groups, setGroups] = useState([]);
+  const [showGroups, setShowGroups] = useState(false);
+  const [linksNote, setLinksNote] = useState(null);
+  const [authorsNote, setAuthorsNote] = useState(null);
+  const [prerequisitesNote, setPrerequisitesNote] = useState(null);
+  const [showImports, setShowImports] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [uploadDuplicates, setUploadDuplicates] = useState(null);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showCollections, setShowCollections] = useState(false);
+  const [trashedNotes, setTrashedNotes] = useState([]);
+  const [now, setNow] = useState(() => new Date());
 
   useEffect(() => {
     loadDashboardData();
+    loadGroups();
   }, []);
 
+  // Keep publishing countdowns current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Tags already typed, and the one currently being typed (after the last comma)
+  const enteredTags = uploadData.tags.split(',').map(tag => tag.trim().toLowerCase());
+  const currentTag = enteredTags[enteredTags.length - 1];
+
+  // Suggest existing tags as the teacher types
+  useEffect(() => {
+    if (!showUploadModal || !currentTag) {
+      setTagSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await tagsService.getTags(currentTag, 8);
+        setTagSuggestions(response.data || []);
+      } catch {
+        setTagSuggestions([]);
+      }
+    }, 250);
+
+    return () => clearTimeout(timer);
+  }, [currentTag, showUploadModal]);
+
+  const visibleTagSuggestions = tagSuggestions.filter(({ tag }) => !enteredTags.slice(0, -1).includes(tag));
+
+  const handleSelectTag = (tag) => {
+    const tags = [...enteredTags.slice(0, -1).filter(Boolean), tag];
+    setUploadData({ ...uploadData, tags: `${tags.join(', ')}, ` });
+    setTagSuggestions([]);
+  };
+
+  const loadGroups = async () => {
+    try {
+      const response = await groupsService.getMyGroups();
+      setGroups(response.data || []);
+    } catch (error) {
+      console.error('Error loading groups:', error);
+    }
+  };
+
   const loadDashboardData = async () => {
     try {
       await execute(async () => {
@@ -41,6 +141,7 @@ const TeacherDashboard = () => {
         const uploadsResponse = await notesService.getMyUploads(1, 50);
         const myNotes = uploadsResponse.data || uploadsResponse.notes || uploadsResponse?.data?.notes || [];
         setNotes(myNotes);
+        setSelectedIds((ids) => ids.filter((id) => myNotes.some((note) => note._id === id)));
 
         // Calculate stats from teacher's uploads
         const totalNotes = myNotes.length;
@@ -78,6 +179,8 @@ const TeacherDashboard = () => {
       if (e.key === 'Escape') {
         setShowUploadModal(false);
         setShowMobileSidebar(false);
+        setVersionsNote(null);
+        setAttachmentsNote(null);
       }
     };
 
@@ -97,8 +200,9 @@ const TeacherDashboard = () => {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [showMobileSidebar]);
 
-  const handleFileUpload = async (e) => {
-    e.preventDefault();
+  // `allowDuplicate` keeps a separate copy of a file that is already uploaded
+  const handleFileUpload = async (e, allowDuplicate = false) => {
+    if (e) e.preventDefault();
 
     // Basic form validation aligned with backend validators
     const title = uploadData.title?.trim();
@@ -123,6 +227,12 @@ const TeacherDashboard = () => {
       return;
     }
 
+    if (uploadData.publishAt && uploadData.unpublishAt &&
+      new Date(uploadData.unpublishAt) <= new Date(uploadData.publishAt)) {
+      toast.error('Unpublish time must be after the publish time');
+      return;
+    }
+
     // File validation (only if file is provided)
     if (uploadData.file) {
       const fileValidation = validateFileForUpload(uploadData.file);
@@ -139,16 +249,45 @@ const TeacherDashboard = () => {
         formData.append('description', description);
         formData.append('subject', subject);
         formData.append('grade', grade);
+        formData.append('category', uploadData.category);
+        if (uploadData.tags.trim()) {
+          formData.append('tags', enteredTags.filter(Boolean).join(','));
+        }
+        if (uploadData.isDraft) {
+          formData.append('isDraft', 'true');
+        }
+        if (uploadData.publishAt) {
+          formData.append('publishAt', new Date(uploadData.publishAt).toISOString());
+        }
+        if (uploadData.unpublishAt) {
+          formData.append('unpublishAt', new Date(uploadData.unpublishAt).toISOString());
+        }
+
+        const sharing = buildSharingPayload(uploadData.sharing);
+        formData.append('isPublic', sharing.isPublic.toString());
+        if (sharing.sharedWith.length > 0) {
+          formData.append('sharedWith', sharing.sharedWith.join(','));
+        }
+        if (sharing.sharedGroups.length > 0) {
+          formData.append('sharedGroups', sharing.sharedGroups.join(','));
+        }
+        if (uploadData.content.trim()) {
+          formData.append('content', uploadData.content);
+        }
 
         // Only append file if one is selected
         if (uploadData.file) {
           formData.append('file', uploadData.file);
         }
+        if (allowDuplicate) {
+          formData.append('allowDuplicate', 'true');
+        }
 
         await notesService.uploadNote(formData);
 
         setShowUploadModal(false);
-        setUploadData({ title: '', description: '', subject: '', grade: '', file: null });
+        setUploadData(EMPTY_UPLOAD);
+        setUploadDuplicates(null);
 
         // Reload data
         await loadDashboardData();
@@ -158,11 +297,190 @@ const TeacherDashboard = () => {
       });
     } catch (error) {
       console.error('Upload error:', error);
+      // The same file is already uploaded: let the teacher decide
+      if (error.response?.status === 409) {
+        setUploadDuplicates(error.response.data?.error?.duplicates || []);
+      }
+    }
+  };
+
+  const handleExtractText = async (noteId) => {
+    try {
+      await execute(async () => {
+        const result = await notesService.extractText(noteId);
+        if (result.status === 'completed') {
+          toast.success('Document text indexed for search');
+        } else {
+          toast.error(result.error || 'Document text could not be extracted');
+        }
+        await loadDashboardData();
+      });
+    } catch (error) {
+      console.error('Text extraction error:', error);
+    }
+  };
+
+  // Apply an updated attachment list to the open modal and the notes list
+  const applyAttachments = (attachments) => {
+    setAttachmentsNote((prev) => ({ ...prev, attachments }));
+    setNotes((prev) => prev.map((note) => (
+      note._id === attachmentsNote._id
+        ? { ...note, attachments, fileName: attachments[0]?.fileName, fileSize: attachments[0]?.fileSize }
+        : note
+    )));
+  };
+
+  const uploadAttachments = async (files, allowDuplicate = false) => {
+    try {
+      await execute(async () => {
+        applyAttachments(await notesService.addAttachments(attachmentsNote._id, files, [], allowDuplicate));
+      });
+    } catch (error) {
+      console.error('Attachment upload error:', error);
+      // A file is already uploaded: let the teacher decide whether to keep a copy
+      const duplicate = error.response?.status === 409 && error.response.data?.error?.duplicates?.[0];
+      if (duplicate && window.confirm(`This file has already been uploaded as "${duplicate.title}". Add it anyway?`)) {
+        await uploadAttachments(files, true);
+      }
+    }
+  };
+
+  const handleAddAttachments = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    await uploadAttachments(files);
+  };
+
+  const handleMoveAttachment = async (index, offset) => {
+    const order = attachmentsNote.attachments.map((attachment) => attachment._id);
+    const [moved] = order.splice(index, 1);
+    order.splice(index + offset, 0, moved);
+
+    try {
+      applyAttachments(await notesService.reorderAttachments(attachmentsNote._id, order));
+    } catch (error) {
+      console.error('Attachment reorder error:', error);
+      toast.error('Failed to reorder attachments');
+    }
+  };
+
+  const handleRenameAttachment = async (attachment) => {
+    const label = window.prompt('Label for this file (e.g. Slides, Worksheet, Answer key)', attachment.label || '');
+    if (label === null) return;
+
+    try {
+      const updated = await notesService.updateAttachment(attachmentsNote._id, attachment._id, label.trim());
+      applyAttachments(attachmentsNote.attachments.map((a) => (a._id === updated._id ? updated : a)));
+    } catch (error) {
+      console.error('Attachment update error:', error);
+      toast.error('Failed to update attachment');
+    }
+  };
+
+  const handleRemoveAttachment = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.originalFileName || 'this file'} from the note?`)) {
+      return;
+    }
+
+    try {
+      applyAttachments(await notesService.removeAttachment(attachmentsNote._id, attachment._id));
+    } catch (error) {
+      console.error('Attachment remove error:', error);
+    }
+  };
+
+  const openVersionHistory = async (note) => {
+    setVersionsNote(note);
+    setVersions([]);
+    try {
+      const response = await notesService.getVersions(note._id);
+      setVersions(response.data || []);
+    } catch (error) {
+      console.error('Error loading versions:', error);
+      toast.error('Failed to load version history');
+    }
+  };
+
+  const handleDownloadVersion = async (version) => {
+    try {
+      await notesService.downloadVersion(
+        versionsNote._id,
+        version.version,
+        version.file?.originalFileName || `${versionsNote.title} v${version.version}`
+      );
+    } catch (error) {
+      console.error('Version download error:', error);
+      toast.error('Failed to download this version');
+    }
+  };
+
+  const handleRestoreVersion = async (version) => {
+    if (!window.confirm(`Restore version ${version.version}? It will become the current version.`)) {
+      return;
+    }
+
+    try {
+      await execute(async () => {
+        const restored = await notesService.restoreVersion(versionsNote._id, version.version);
+        await openVersionHistory(restored);
+        await loadDashboardData();
+      });
+    } catch (error) {
+      console.error('Version restore error:', error);
+    }
+  };
+
+  const handleSaveContent = async (e) => {
+    e.preventDefault();
+
+    try {
+      await execute(async () => {
+        await notesService.updateNote(contentNote._id, {
+          content: contentNote.content,
+          changeNote: 'Edited written content'
+        });
+        setContentNote(null);
+        await loadDashboardData();
+      });
+    } catch (error) {
+      console.error('Error saving content:', error);
+    }
+  };
+
+  const handleSaveSharing = async (e) => {
+    e.preventDefault();
+
+    try {
+      await execute(async () => {
+        await notesService.updateNote(sharingNote._id, buildSharingPayload(sharingNote.sharing));
+        setSharingNote(null);
+        await loadDashboardData();
+      });
+    } catch (error) {
+      console.error('Error saving sharing settings:', error);
+    }
+  };
+
+  const handlePublishNow = async (note) => {
+    try {
+      await execute(async () => {
+        // Clear the schedule; an expired note also loses its unpublish time
+        await notesService.updateNote(note._id, {
+          isDraft: false,
+          publishAt: '',
+          ...(note.publishStatus === 'expired' && { unpublishAt: '' })
+        });
+        await loadDashboardData();
+      });
+    } catch (error) {
+      console.error('Error publishing note:', error);
     }
   };
 
   const handleDeleteNote = async (noteId) => {
-    if (!window.confirm('Are you sure you want to delete this note?')) {
+    if (!window.confirm('Move this note to the trash? Its reviews are kept and it can be restored later.')) {
       return;
     }
 
@@ -170,15 +488,36 @@ const TeacherDashboard = () => {
       await execute(async () => {
         await notesService.deleteNote(noteId);
         await loadDashboardData();
-      }, {
-        showSuccessToast: true,
-        successMessage: 'Note deleted successfully!'
       });
     } catch (error) {
       console.error('Delete error:', error);
     }
   };
 
+  const openTrash = async () => {
+    setShowTrash(true);
+    setTrashedNotes([]);
+    try {
+      const response = await notesService.getTrash();
+      setTrashedNotes(response.data || []);
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      toast.error('Failed to load trash');
+    }
+  };
+
+  const handleRestoreNote = async (note) => {
+    try {
+      await execute(async () => {
+        await notesService.restoreNote(note._id);
+        setTrashedNotes(trashedNotes.filter(item => item._id !== note._id));
+        await loadDashboardData();
+      });
+    } catch (error) {
+      console.error('Error restoring note:', error);
+    }
+  };
+
   return (
     <div className="teacher-dashboard">
       {/* Header */}
@@ -264,7 +603,7 @@ const TeacherDashboard = () => {
             </button>
             <button
               className="menu-item"
-              onClick={() => setShowUploadModal(true)}
+              onClick={() => { setUploadDuplicates(null); setShowUploadModal(true); }}
             >
               <i className="fas fa-upload"></i>
               <span>Upload New</span>
@@ -324,13 +663,50 @@ const TeacherDashboard = () => {
           <div className="section-header">
             <h2 className="section-title">Study Materials</h2>
 
-            <button
-              onClick={() => setShowUploadModal(true)}
-              className="btn btn-primary"
-            >
-              <i className="fas fa-plus"></i>
-              Add Material
-            </button>
+            <div className="section-actions">
+              <button
+                onClick={() => setShowGroups(true)}
+                className="btn btn-secondary"
+              >
+                <i className="fas fa-users"></i>
+                Groups
+              </button>
+              <button
+                onClick={() => setShowCollections(true)}
+                className="btn btn-secondary"
+              >
+                <i className="fas fa-layer-group"></i>
+                Collections
+              </button>
+              <button
+                onClick={() => setShowImports(true)}
+                className="btn btn-secondary"
+              >
+                <i className="fas fa-file-import"></i>
+                Import
+              </button>
+              <button
+                onClick={() => setShowDuplicates(true)}
+                className="btn btn-secondary"
+              >
+                <i className="fas fa-clone"></i>
+                Duplicates
+              </button>
+              <button
+                onClick={openTrash}
+                className="btn btn-secondary"
+              >
+                <i className="fas fa-trash-restore"></i>
+                Trash
+              </button>
+              <button
+                onClick={() => { setUploadDuplicates(null); setShowUploadModal(true); }}
+                className="btn btn-primary"
+              >
+                <i className="fas fa-plus"></i>
+                Add Material
+              </button>
+            </div>
 
           </div>
 
@@ -347,7 +723,7 @@ const TeacherDashboard = () => {
               <h3>No study materials yet</h3>
               <p>Begin by uploading your first educational resource</p>
               <button
-                onClick={() => setShowUploadModal(true)}
+                onClick={() => { setUploadDuplicates(null); setShowUploadModal(true); }}
                 className="btn btn-primary btn-center"
               >
                 <i className="fas fa-cloud-upload-alt"></i>
@@ -356,11 +732,27 @@ const TeacherDashboard = () => {
             </div>
           ) : (
             <div className="notes-list">
+              <BulkActionsBar
+                notes={notes}
+                selectedIds={selectedIds}
+                onSelectionChange={setSelectedIds}
+                onDone={loadDashboardData}
+              />
               {notes.map((note) => (
                 <div
                   key={note._id}
-                  className="note-card"
+                  className={`note-card ${selectedIds.includes(note._id) ? 'selected' : ''}`}
                 >
+                  <label className="note-select">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(note._id)}
+                      onChange={() => setSelectedIds(selectedIds.includes(note._id)
+                        ? selectedIds.filter((id) => id !== note._id)
+                        : [...selectedIds, note._id])}
+                      aria-label={`Select ${note.title}`}
+                    />
+                  </label>
                   <div className="note-content">
                     <div className="note-icon">
                       {getFileIcon(note.fileName || note.filename || note.originalFileName || '')}
@@ -381,6 +773,12 @@ const TeacherDashboard = () => {
                           <i className="fas fa-download"></i>
                           {note.downloadCount || 0} downloads
                         </span>
+                        {note.shareDownloadCount > 0 && (
+                          <span className="meta-tag downloads" title="Downloads through share links">
+                            <i className="fas fa-link"></i>
+                            {note.shareDownloadCount} via links
+                          </span>
+                        )}
                         <span className="meta-tag size">
                           <i className="fas fa-database"></i>
                           {formatFileSize(note.fileSize || 0)}
@@ -389,25 +787,157 @@ const TeacherDashboard = () => {
                           <i className="fas fa-calendar"></i>
                           {formatDate(note.createdAt, { format: 'short' })}
                         </span>
+                        {note.publishStatus === 'draft' && (
+                          <span className="meta-tag publish-status draft">
+                            <i className="fas fa-pencil-alt"></i>
+                            Draft
+                          </span>
+                        )}
+                        {note.publishStatus === 'scheduled' && (
+                          <span className="meta-tag publish-status scheduled" title={formatDate(note.publishAt, { format: 'datetime' })}>
+                            <i className="fas fa-clock"></i>
+                            Publishes in {getCountdown(note.publishAt, now)}
+                          </span>
+                        )}
+                        {note.publishStatus === 'published' && note.unpublishAt && (
+                          <span className="meta-tag publish-status ending" title={formatDate(note.unpublishAt, { format: 'datetime' })}>
+                            <i className="fas fa-hourglass-half"></i>
+                            Unpublishes in {getCountdown(note.unpublishAt, now)}
+                          </span>
+                        )}
+                        {note.publishStatus === 'expired' && (
+                          <span className="meta-tag publish-status expired" title={formatDate(note.unpublishAt, { format: 'datetime' })}>
+                            <i className="fas fa-eye-slash"></i>
+                            Unpublished
+                          </span>
+                        )}
+                        {note.authorRole === 'editor' && (
+                          <span className="meta-tag co-authored" title={`Owned by ${note.uploadedBy?.name || 'another teacher'}`}>
+                            <i className="fas fa-user-edit"></i>
+                            Co-author
+                          </span>
+                        )}
+                        {note.coAuthors?.length > 0 && note.authorRole === 'owner' && (
+                          <span className="meta-tag co-authored">
+                            <i className="fas fa-users"></i>
+                            {note.coAuthors.length} co-author{note.coAuthors.length === 1 ? '' : 's'}
+                          </span>
+                        )}
+                        {note.visibility === 'restricted' && (
+                          <span className="meta-tag visibility restricted">
+                            <i className="fas fa-user-friends"></i>
+                            Shared
+                          </span>
+                        )}
+                        {note.visibility === 'private' && (
+                          <span className="meta-tag visibility private">
+                            <i className="fas fa-lock"></i>
+                            Private
+                          </span>
+                        )}
+                        {note.textExtraction?.status === 'failed' && (
+                          <span className="meta-tag extraction-failed" title={note.textExtraction.error || ''}>
+                            <i className="fas fa-exclamation-triangle"></i>
+                            Not searchable
+                          </span>
+                        )}
                       </div>
                     </div>
                   </div>
                   <div className="note-actions">
                     <Link
-                      to={`/preview/${note._id}`}
+                      to={getNoteUrl(note)}
                       className="btn btn-secondary btn-sm"
                       title="Preview"
                     >
                       <i className="fas fa-eye"></i>
                       Preview
                     </Link>
+                    {note.publishStatus && note.publishStatus !== 'published' && (
+                      <button
+                        onClick={() => handlePublishNow(note)}
+                        className="btn btn-secondary btn-sm"
+                        title="Make visible to students now"
+                      >
+                        <i className="fas fa-paper-plane"></i>
+                        Publish Now
+                      </button>
+                    )}
+                    {note.textExtraction?.status === 'failed' && (
+                      <button
+                        onClick={() => handleExtractText(note._id)}
+                        className="btn btn-secondary btn-sm"
+                        title="Retry text extraction"
+                      >
+                        <i className="fas fa-redo"></i>
+                        Re-index
+                      </button>
+                    )}
                     <button
-                      onClick={() => handleDeleteNote(note._id)}
-                      className="btn btn-danger btn-sm"
+                      onClick={() => setSharingNote({ _id: note._id, title: note.title, sharing: getSharingState(note) })}
+                      className="btn btn-secondary btn-sm"
+                      title="Who can see this note"
                     >
-                      <i className="fas fa-trash"></i>
-                      Delete
+                      <i className="fas fa-share-alt"></i>
+                      Share
+                    </button>
+                    <button
+                      onClick={() => setLinksNote(note)}
+                      className="btn btn-secondary btn-sm"
+                      title="Expiring share links"
+                    >
+                      <i className="fas fa-link"></i>
+                      Links
+                    </button>
+                    <button
+                      onClick={() => setContentNote({ _id: note._id, title: note.title, content: note.content || '' })}
+                      className="btn btn-secondary btn-sm"
+                      title="Edit written content"
+                    >
+                      <i className="fas fa-pen"></i>
+                      Content
+                    </button>
+                    <button
+                      onClick={() => setAttachmentsNote(note)}
+                      className="btn btn-secondary btn-sm"
+                      title="Manage files"
+                    >
+                      <i className="fas fa-paperclip"></i>
+                      Files{note.attachments?.length > 1 ? ` (${note.attachments.length})` : ''}
+                    </button>
+                    <button
+                      onClick={() => setPrerequisitesNote(note)}
+                      className="btn btn-secondary btn-sm"
+                      title="Notes to read first"
+                    >
+                      <i className="fas fa-route"></i>
+                      Prereqs{note.prerequisites?.length > 0 ? ` (${note.prerequisites.length})` : ''}
+                    </button>
+                    <button
+                      onClick={() => openVersionHistory(note)}
+                      className="btn btn-secondary btn-sm"
+                      title="Version history"
+                    >
+                      <i className="fas fa-history"></i>
+                      History
                     </button>
+                    <button
+                      onClick={() => setAuthorsNote(note)}
+                      className="btn btn-secondary btn-sm"
+                      title="Co-authors"
+                    >
+                      <i className="fas fa-users"></i>
+                      Authors
+                    </button>
+                    {note.authorRole === 'owner' && (
+                      <button
+                        onClick={() => handleDeleteNote(note._id)}
+                        className="btn btn-danger btn-sm"
+                      >
+                        <i className="fas fa-trash"></i>
+                        Delete
+                      </button>
+                    )}
                   </div>
                 </div>
               ))}
@@ -416,6 +946,357 @@ const TeacherDashboard = () => {
         </section>
       </main>
 
+      {/* Attachments Modal */}
+      {attachmentsNote && (
+        <div className="modal-overlay" onClick={() => setAttachmentsNote(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">
+                <i className="fas fa-paperclip"></i>
+                Files
+              </h2>
+              <p className="modal-subtitle">{attachmentsNote.title}</p>
+              <button
+                className="modal-close"
+                onClick={() => setAttachmentsNote(null)}
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+
+            <ul className="attachment-list">
+              {(attachmentsNote.attachments || []).map((attachment, index, list) => (
+                <li key={attachment._id} className="attachment-item">
+                  <div className="attachment-icon">
+                    {getFileIcon(attachment.originalFileName || attachment.fileName || '')}
+                  </div>
+                  <div className="attachment-info">
+                    <span className="attachment-name">
+                      {attachment.label || attachment.originalFileName || attachment.fileName}
+                      {index === 0 && <span className="attachment-primary">Main file</span>}
+                    </span>
+                    <span className="attachment-meta">
+                      {attachment.label ? `${attachment.originalFileName} · ` : ''}
+                      {formatFileSize(attachment.fileSize || 0)} · {attachment.downloadCount || 0} downloads
+                    </span>
+                  </div>
+                  <div className="attachment-actions">
+                    <button
+                      onClick={() => handleMoveAttachment(index, -1)}
+                      className="btn btn-secondary btn-sm"
+                      disabled={index === 0}
+                      aria-label="Move up"
+                    >
+                      <i className="fas fa-arrow-up"></i>
+                    </button>
+                    <button
+                      onClick={() => handleMoveAttachment(index, 1)}
+                      className="btn btn-secondary btn-sm"
+                      disabled={index === list.length - 1}
+                      aria-label="Move down"
+                    >
+                      <i className="fas fa-arrow-down"></i>
+                    </button>
+                    <button
+                      onClick={() => handleRenameAttachment(attachment)}
+                      className="btn btn-secondary btn-sm"
+                      aria-label="Edit label"
+                    >
+                      <i className="fas fa-tag"></i>
+                    </button>
+                    <button
+                      onClick={() => handleRemoveAttachment(attachment)}
+                      className="btn btn-danger btn-sm"
+                      aria-label="Remove file"
+                    >
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {!attachmentsNote.attachments?.length && (
+              <p className="attachment-empty">
+                {attachmentsNote.fileName
+                  ? 'Add more files to this note. Its current file will stay first.'
+                  : 'No files attached yet.'}
+              </p>
+            )}
+
+            <div className="attachment-upload">
+              <label htmlFor="attachment-files" className="btn btn-primary">
+                <i className="fas fa-plus"></i>
+                Add Files
+              </label>
+              <input
+                id="attachment-files"
+                type="file"
+                multiple
+                className="file-input"
+                onChange={handleAddAttachments}
+                disabled={loading}
+                accept=".pdf,.doc,.docx,.txt,.ppt,.pptx,.jpg,.jpeg,.png"
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Written Content Modal */}
+      {contentNote && (
+        <div className="modal-overlay" onClick={() => setContentNote(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">
+                <i className="fas fa-pen"></i>
+                Written Content
+              </h2>
+              <p className="modal-subtitle">{contentNote.title}</p>
+              <button
+                className="modal-close"
+                onClick={() => setContentNote(null)}
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+
+            <form onSubmit={handleSaveContent} className="modal-form">
+              <div className="form-group">
+                <MarkdownEditor
+                  id="noteContent"
+                  value={contentNote.content}
+                  onChange={(content) => setContentNote({ ...contentNote, content })}
+                  rows={14}
+                />
+              </div>
+
+              <div className="form-actions">
+                <button
+                  type="button"
+                  onClick={() => setContentNote(null)}
+                  className="btn btn-secondary"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary"
+                >
+                  <i className="fas fa-save"></i>
+                  Save Content
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Version History Modal */}
+      {versionsNote && (
+        <div className="modal-overlay" onClick={() => setVersionsNote(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">
+                <i className="fas fa-history"></i>
+                Version History
+              </h2>
+              <p className="modal-subtitle">{versionsNote.title}</p>
+              <button
+                className="modal-close"
+                onClick={() => setVersionsNote(null)}
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+
+            <ul className="version-list">
+              {versions.map((version) => (
+                <li key={version._id} className={`version-item ${version.isCurrent ? 'current' : ''}`}>
+                  <div className="version-info">
+                    <span className="version-number">
+                      v{version.version}
+                      {version.isCurrent && <span className="version-current">Current</span>}
+                    </span>
+                    <span className="version-meta">
+                      {version.author?.name || 'Unknown'} · {formatDate(version.createdAt)}
+                    </span>
+                    {version.changeNote && <p className="version-note">{version.changeNote}</p>}
+                    {version.changes?.length > 0 && (
+                      <span className="version-changes">Changed: {version.changes.join(', ')}</span>
+                    )}
+                  </div>
+                  <div className="version-actions">
+                    {version.hasFile && (
+                      <button
+                        onClick={() => handleDownloadVersion(version)}
+                        className="btn btn-secondary btn-sm"
+                        title="Download this version"
+                      >
+                        <i className="fas fa-download"></i>
+                      </button>
+                    )}
+                    {!version.isCurrent && (
+                      <button
+                        onClick={() => handleRestoreVersion(version)}
+                        className="btn btn-secondary btn-sm"
+                        disabled={loading}
+                      >
+                        <i className="fas fa-undo"></i>
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {/* Sharing Modal */}
+      {sharingNote && (
+        <div className="modal-overlay" onClick={() => setSharingNote(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">
+                <i className="fas fa-share-alt"></i>
+                Sharing
+              </h2>
+              <p className="modal-subtitle">{sharingNote.title}</p>
+              <button
+                className="modal-close"
+                onClick={() => setSharingNote(null)}
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+
+            <form onSubmit={handleSaveSharing} className="modal-form">
+              <div className="form-group">
+                <NoteSharingFields
+                  value={sharingNote.sharing}
+                  groups={groups}
+                  onChange={(sharing) => setSharingNote({ ...sharingNote, sharing })}
+                />
+              </div>
+
+              <div className="form-actions">
+                <button
+                  type="button"
+                  onClick={() => setSharingNote(null)}
+                  className="btn btn-secondary"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary"
+                >
+                  <i className="fas fa-save"></i>
+                  Save Sharing
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Prerequisites Modal */}
+      {prerequisitesNote && (
+        <PrerequisiteEditor
+          note={prerequisitesNote}
+          ownNotes={notes}
+          onClose={() => setPrerequisitesNote(null)}
+          onSaved={loadDashboardData}
+        />
+      )}
+
+      {/* Co-authors Modal */}
+      {authorsNote && (
+        <CoAuthorManager
+          note={authorsNote}
+          userId={user?._id || user?.id}
+          onClose={() => setAuthorsNote(null)}
+          onChange={loadDashboardData}
+        />
+      )}
+
+      {/* Share Links Modal */}
+      {linksNote && (
+        <ShareLinkManager note={linksNote} onClose={() => setLinksNote(null)} />
+      )}
+
+      {/* Groups Modal */}
+      {showGroups && (
+        <GroupManager onClose={() => setShowGroups(false)} onChange={setGroups} />
+      )}
+
+      {/* Collections Modal */}
+      {showCollections && (
+        <CollectionManager notes={notes} onClose={() => setShowCollections(false)} />
+      )}
+
+      {/* Imports Modal */}
+      {showImports && (
+        <ImportManager onClose={() => setShowImports(false)} onImported={loadDashboardData} />
+      )}
+
+      {/* Duplicates Modal */}
+      {showDuplicates && (
+        <DuplicatesReport onClose={() => setShowDuplicates(false)} onChange={loadDashboardData} />
+      )}
+
+      {/* Trash Modal */}
+      {showTrash && (
+        <div className="modal-overlay" onClick={() => setShowTrash(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">
+                <i className="fas fa-trash-restore"></i>
+                Trash
+              </h2>
+              <p className="modal-subtitle">Deleted notes can be restored with their reviews until they are purged</p>
+              <button
+                className="modal-close"
+                onClick={() => setShowTrash(false)}
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+
+            {trashedNotes.length === 0 ? (
+              <p className="trash-empty">The trash is empty.</p>
+            ) : (
+              <ul className="version-list">
+                {trashedNotes.map((note) => (
+                  <li key={note._id} className="version-item">
+                    <div className="version-info">
+                      <span className="version-number">{note.title}</span>
+                      <span className="version-meta">
+                        Deleted {formatDate(note.deletedAt, { format: 'datetime' })} · Purged in {getCountdown(note.purgeAt, now)}
+                      </span>
+                    </div>
+                    <div className="version-actions">
+                      <button
+                        onClick={() => handleRestoreNote(note)}
+                        className="btn btn-secondary btn-sm"
+                        disabled={loading}
+                      >
+                        <i className="fas fa-undo"></i>
+                        Restore
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Upload Modal */}
       {showUploadModal && (
         <div className="modal-overlay" onClick={() => setShowUploadModal(false)}>
@@ -454,13 +1335,13 @@ const TeacherDashboard = () => {
                 <label htmlFor="subject" className="form-label">
                   Subject *
                 </label>
-                <input
+                <TaxonomySelect
                   id="subject"
-                  type="text"
+                  terms={taxonomy.subject}
                   value={uploadData.subject}
-                  onChange={(e) => setUploadData({ ...uploadData, subject: e.target.value })}
+                  onChange={(subject) => setUploadData({ ...uploadData, subject })}
                   className="form-input"
-                  placeholder="e.g. Mathematics, Physics"
+                  placeholder="Choose a subject..."
                   required
                 />
               </div>
@@ -469,17 +1350,57 @@ const TeacherDashboard = () => {
                 <label htmlFor="grade" className="form-label">
                   Grade Level *
                 </label>
-                <input
+                <TaxonomySelect
                   id="grade"
-                  type="text"
+                  terms={taxonomy.grade}
                   value={uploadData.grade}
-                  onChange={(e) => setUploadData({ ...uploadData, grade: e.target.value })}
+                  onChange={(grade) => setUploadData({ ...uploadData, grade })}
                   className="form-input"
-                  placeholder="e.g. 10th, 12th, College"
+                  placeholder="Choose a grade level..."
                   required
                 />
               </div>
 
+              <div className="form-group">
+                <label htmlFor="category" className="form-label">
+                  Category *
+                </label>
+                <TaxonomySelect
+                  id="category"
+                  terms={taxonomy.category}
+                  value={uploadData.category}
+                  onChange={(category) => setUploadData({ ...uploadData, category })}
+                  className="form-input"
+                  required
+                />
+              </div>
+
+              <div className="form-group tag-input-group">
+                <label htmlFor="tags" className="form-label">
+                  Tags
+                </label>
+                <input
+                  id="tags"
+                  type="text"
+                  value={uploadData.tags}
+                  onChange={(e) => setUploadData({ ...uploadData, tags: e.target.value })}
+                  className="form-input"
+                  placeholder="e.g. algebra, equations"
+                  autoComplete="off"
+                />
+                {visibleTagSuggestions.length > 0 && (
+                  <ul className="tag-suggestions" role="listbox">
+                    {visibleTagSuggestions.map(({ tag, count }) => (
+                      <li key={tag}>
+                        <button type="button" onClick={() => handleSelectTag(tag)}>
+                          #{tag} <span className="tag-suggestion-count">{count} note{count === 1 ? '' : 's'}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
               <div className="form-group">
                 <label htmlFor="description" className="form-label">
                   Description *
@@ -495,6 +1416,63 @@ const TeacherDashboard = () => {
                 />
               </div>
 
+              <div className="form-group publish-options">
+                <label className="form-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={uploadData.isDraft}
+                    onChange={(e) => setUploadData({ ...uploadData, isDraft: e.target.checked })}
+                  />
+                  Save as draft (hidden from students until published)
+                </label>
+                <div className="publish-times">
+                  <div>
+                    <label htmlFor="publishAt" className="form-label">
+                      Publish at
+                    </label>
+                    <input
+                      id="publishAt"
+                      type="datetime-local"
+                      value={uploadData.publishAt}
+                      onChange={(e) => setUploadData({ ...uploadData, publishAt: e.target.value })}
+                      className="form-input"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="unpublishAt" className="form-label">
+                      Unpublish at
+                    </label>
+                    <input
+                      id="unpublishAt"
+                      type="datetime-local"
+                      value={uploadData.unpublishAt}
+                      onChange={(e) => setUploadData({ ...uploadData, unpublishAt: e.target.value })}
+                      className="form-input"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <span className="form-label">Who can see it</span>
+                <NoteSharingFields
+                  value={uploadData.sharing}
+                  groups={groups}
+                  onChange={(sharing) => setUploadData({ ...uploadData, sharing })}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="content" className="form-label">
+                  Written Content (Markdown, optional)
+                </label>
+                <MarkdownEditor
+                  id="content"
+                  value={uploadData.content}
+                  onChange={(content) => setUploadData({ ...uploadData, content })}
+                />
+              </div>
+
               <div className="form-group">
                 <label htmlFor="file" className="form-label">
                   File (Optional)
@@ -514,6 +1492,7 @@ const TeacherDashboard = () => {
                         }
                       }
                       setUploadData({ ...uploadData, file });
+                      setUploadDuplicates(null);
                     }}
                     className="file-input"
                     accept=".pdf,.doc,.docx,.txt,.ppt,.pptx,.jpg,.jpeg,.png"
@@ -538,6 +1517,15 @@ const TeacherDashboard = () => {
                 </div>
               </div>
 
+              {uploadDuplicates && (
+                <DuplicateWarning
+                  duplicates={uploadDuplicates}
+                  loading={loading}
+                  onCancel={() => setUploadDuplicates(null)}
+                  onConfirm={() => handleFileUpload(null, true)}
+                />
+              )}
+
               <div className="form-actions">
                 <button
                   type="button"
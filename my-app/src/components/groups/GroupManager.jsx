@@ -0,0 +1,193 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import groupsService from '../../services/groupsService';
+import { useApi } from '../../hooks/useApi.js';
+import toast from 'react-hot-toast';
+import './Groups.css';
+
+const EMPTY_GROUP = {
+  name: '',
+  description: '',
+  members: ''
+};
+
+// Modal where teachers manage the student groups they can share notes with.
+// `onChange` is called with the updated list whenever groups change.
+const GroupManager = ({ onClose, onChange }) => {
+  const { loading, execute } = useApi();
+  const [groups, setGroups] = useState([]);
+  const [editing, setEditing] = useState(null);
+
+  const loadGroups = useCallback(async () => {
+    try {
+      const response = await groupsService.getMyGroups();
+      setGroups(response.data || []);
+      if (onChange) onChange(response.data || []);
+    } catch (error) {
+      console.error('Error loading groups:', error);
+      toast.error('Failed to load groups');
+    }
+  }, [onChange]);
+
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups]);
+
+  const openEditor = (group) => {
+    setEditing(group
+      ? {
+        _id: group._id,
+        name: group.name,
+        description: group.description || '',
+        members: (group.members || []).map((member) => member.email).join('\n')
+      }
+      : EMPTY_GROUP);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (!editing.name.trim()) {
+      toast.error('Group name is required');
+      return;
+    }
+
+    const payload = {
+      name: editing.name.trim(),
+      description: editing.description.trim(),
+      members: editing.members.split(/[\s,;]+/).map((email) => email.trim()).filter(Boolean)
+    };
+
+    try {
+      await execute(async () => {
+        if (editing._id) {
+          await groupsService.updateGroup(editing._id, payload);
+        } else {
+          await groupsService.createGroup(payload);
+        }
+        setEditing(null);
+        await loadGroups();
+      });
+    } catch (error) {
+      console.error('Error saving group:', error);
+    }
+  };
+
+  const handleDelete = async (group) => {
+    if (!window.confirm(`Delete the group "${group.name}"? Notes shared with it will no longer be shared with its students.`)) {
+      return;
+    }
+
+    try {
+      await execute(async () => {
+        await groupsService.deleteGroup(group._id);
+        await loadGroups();
+      });
+    } catch (error) {
+      console.error('Error deleting group:', error);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <i className="fas fa-users"></i>
+            {editing ? (editing._id ? 'Edit Group' : 'New Group') : 'Student Groups'}
+          </h2>
+          <p className="modal-subtitle">Share notes with a whole class or study group at once</p>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        {!editing ? (
+          <div className="modal-form">
+            {groups.length === 0 ? (
+              <p className="group-empty">You haven't created any groups yet.</p>
+            ) : (
+              <ul className="group-list">
+                {groups.map((group) => (
+                  <li key={group._id} className="group-item">
+                    <div className="group-info">
+                      <span className="group-name">{group.name}</span>
+                      <span className="group-meta">
+                        {group.memberCount} student{group.memberCount === 1 ? '' : 's'}
+                        {group.description && ` · ${group.description}`}
+                      </span>
+                    </div>
+                    <div className="group-actions">
+                      <button className="btn btn-secondary btn-sm" onClick={() => openEditor(group)}>
+                        <i className="fas fa-edit"></i>
+                        Edit
+                      </button>
+                      <button className="btn btn-danger btn-sm" onClick={() => handleDelete(group)} disabled={loading}>
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="form-actions">
+              <button type="button" className="btn btn-primary" onClick={() => openEditor(null)}>
+                <i className="fas fa-plus"></i>
+                New Group
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSave} className="modal-form">
+            <div className="form-group">
+              <label htmlFor="groupName" className="form-label">Name *</label>
+              <input
+                id="groupName"
+                type="text"
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                className="form-input"
+                placeholder="e.g. Grade 10 – Section B"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="groupDescription" className="form-label">Description</label>
+              <input
+                id="groupDescription"
+                type="text"
+                value={editing.description}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                className="form-input"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="groupMembers" className="form-label">Student emails</label>
+              <textarea
+                id="groupMembers"
+                value={editing.members}
+                onChange={(e) => setEditing({ ...editing, members: e.target.value })}
+                rows="6"
+                className="form-textarea"
+                placeholder="One email per line"
+              />
+            </div>
+
+            <div className="form-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                <i className="fas fa-save"></i>
+                Save Group
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GroupManager;
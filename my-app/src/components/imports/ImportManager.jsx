@@ -0,0 +1,209 @@
+import React, { useEffect, useRef, useState } from 'react';
+import importsService from '../../services/importsService';
+import { useApi } from '../../hooks/useApi.js';
+import { formatDate } from '../../utils/helpers';
+import './Imports.css';
+
+// How often a running import is checked for progress
+const POLL_INTERVAL_MS = 2000;
+
+const ROW_STATUS_LABELS = {
+  pending: 'Waiting',
+  created: 'Imported',
+  invalid: 'Invalid',
+  failed: 'Failed'
+};
+
+const isRunning = (job) => job && ['queued', 'processing'].includes(job.status);
+
+// Modal where teachers import many notes at once from a ZIP archive and a
+// manifest, then follow the import's progress row by row.
+// `onImported` is called when an import finishes having created notes.
+const ImportManager = ({ onClose, onImported }) => {
+  const { loading, execute } = useApi();
+  const [imports, setImports] = useState([]);
+  const [job, setJob] = useState(null);
+  const [archive, setArchive] = useState(null);
+  const [manifest, setManifest] = useState(null);
+  const pollTimer = useRef(null);
+
+  const loadImports = async () => {
+    try {
+      const response = await importsService.getImports();
+      setImports(response.data || []);
+    } catch (error) {
+      console.error('Error loading imports:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadImports();
+    return () => clearTimeout(pollTimer.current);
+  }, []);
+
+  // Keep checking a running import until it finishes
+  const followImport = async (id) => {
+    clearTimeout(pollTimer.current);
+    try {
+      const current = await importsService.getImport(id);
+      setJob(current);
+
+      if (isRunning(current)) {
+        pollTimer.current = setTimeout(() => followImport(id), POLL_INTERVAL_MS);
+      } else if (current.createdCount > 0 && onImported) {
+        onImported();
+      }
+    } catch (error) {
+      console.error('Error loading import:', error);
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    if (!archive) return;
+
+    try {
+      await execute(async () => {
+        const started = await importsService.startImport(archive, manifest);
+        setArchive(null);
+        setManifest(null);
+        setJob(started);
+        await loadImports();
+        followImport(started._id);
+      });
+    } catch (error) {
+      console.error('Error starting import:', error);
+    }
+  };
+
+  const handleBack = () => {
+    clearTimeout(pollTimer.current);
+    setJob(null);
+    loadImports();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <i className="fas fa-file-import"></i>
+            {job ? job.archiveName || 'Import' : 'Import Notes'}
+          </h2>
+          <p className="modal-subtitle">Upload a ZIP of files with a CSV or JSON manifest describing each one</p>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        {job ? (
+          <div className="modal-form">
+            <div className="import-progress">
+              <div className="import-progress-bar">
+                <div className="import-progress-fill" style={{ width: `${job.progress}%` }}></div>
+              </div>
+              <span className="import-meta">
+                {job.status === 'failed'
+                  ? job.error || 'Import failed'
+                  : `${job.processedRows} of ${job.totalRows} rows · ${job.createdCount} imported · ${job.failedCount} skipped`}
+              </span>
+            </div>
+
+            <table className="import-rows">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>File</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(job.rows || []).map((row) => (
+                  <tr key={row.row} className={`import-row ${row.status}`}>
+                    <td>{row.row}</td>
+                    <td>
+                      <span className="import-row-title">{row.title || row.file}</span>
+                      {row.title && <span className="import-meta">{row.file}</span>}
+                      {row.messages?.length > 0 && (
+                        <ul className="import-row-errors">
+                          {row.messages.map((message) => <li key={message}>{message}</li>)}
+                        </ul>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`import-status ${row.status}`}>{ROW_STATUS_LABELS[row.status]}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="form-actions">
+              <button type="button" className="btn btn-secondary" onClick={handleBack}>
+                All Imports
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleStart} className="modal-form">
+            <div className="form-group">
+              <label htmlFor="importArchive" className="form-label">ZIP archive *</label>
+              <input
+                id="importArchive"
+                type="file"
+                accept=".zip"
+                onChange={(e) => setArchive(e.target.files[0] || null)}
+                className="form-input"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="importManifest" className="form-label">Manifest</label>
+              <input
+                id="importManifest"
+                type="file"
+                accept=".csv,.json"
+                onChange={(e) => setManifest(e.target.files[0] || null)}
+                className="form-input"
+              />
+              <p className="import-meta">
+                Columns: file, title, description, subject, grade, category, difficulty, tags.
+                Subject, grade and category must be values from the upload form (common spellings such as "maths" are accepted).
+                Leave empty if the archive contains manifest.csv or manifest.json.
+              </p>
+            </div>
+
+            <div className="form-actions">
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Close
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={loading || !archive}>
+                <i className="fas fa-upload"></i>
+                Start Import
+              </button>
+            </div>
+
+            {imports.length > 0 && (
+              <ul className="import-list">
+                {imports.map((item) => (
+                  <li key={item._id}>
+                    <button type="button" className="import-list-item" onClick={() => followImport(item._id)}>
+                      <span className="import-row-title">{item.archiveName || 'Import'}</span>
+                      <span className="import-meta">
+                        {formatDate(item.createdAt, { format: 'datetime' })} · {item.createdCount} of {item.totalRows} imported
+                        {isRunning(item) ? ` · ${item.progress}%` : item.status === 'failed' ? ' · Failed' : ''}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportManager;
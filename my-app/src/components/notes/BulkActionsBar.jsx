@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import notesService from '../../services/notesService';
+import collectionsService from '../../services/collectionsService';
+import { useApi } from '../../hooks/useApi.js';
+import { useTaxonomy } from '../../hooks/useTaxonomy.js';
+import TaxonomySelect from './TaxonomySelect';
+import './BulkActionsBar.css';
+
+const EMPTY_DETAILS = { subject: '', grade: '', tags: '' };
+
+// Selection bar above a teacher's notes: select notes, then change their
+// details or visibility, archive them or add them to a collection in one go.
+// `onDone` is called after an action so the list can be reloaded.
+const BulkActionsBar = ({ notes, selectedIds, onSelectionChange, onDone }) => {
+  const { loading, execute } = useApi();
+  const taxonomy = useTaxonomy();
+  const [action, setAction] = useState('');
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [collections, setCollections] = useState(null);
+  const [collectionId, setCollectionId] = useState('');
+  const [failures, setFailures] = useState([]);
+
+  const allSelected = notes.length > 0 && selectedIds.length === notes.length;
+
+  const handleActionChange = async (value) => {
+    setAction(value);
+    setFailures([]);
+
+    if (value === 'add-to-collection' && collections === null) {
+      try {
+        const response = await collectionsService.getMyCollections();
+        setCollections(response.data || []);
+      } catch (error) {
+        console.error('Error loading collections:', error);
+      }
+    }
+  };
+
+  const buildPayload = () => {
+    switch (action) {
+      case 'update': {
+        const payload = {};
+        if (details.subject) payload.subject = details.subject;
+        if (details.grade) payload.grade = details.grade;
+        if (details.tags.trim()) payload.tags = details.tags;
+        return payload;
+      }
+      case 'make-public':
+      case 'make-private':
+        return { isPublic: action === 'make-public' };
+      case 'add-to-collection':
+        return { collectionId };
+      default:
+        return {};
+    }
+  };
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    if (!action || selectedIds.length === 0) return;
+
+    if (action === 'archive' &&
+      !window.confirm(`Archive ${selectedIds.length} note(s)? Students will no longer see them until you publish them again.`)) {
+      return;
+    }
+
+    const requestAction = ['make-public', 'make-private'].includes(action) ? 'set-visibility' : action;
+
+    try {
+      await execute(async () => {
+        const response = await notesService.bulkUpdateNotes(selectedIds, requestAction, buildPayload());
+        const failed = (response.data || []).filter((result) => !result.success);
+
+        setFailures(failed.map((result) => ({
+          ...result,
+          title: notes.find((note) => note._id === result.id)?.title || result.id
+        })));
+        onSelectionChange(failed.map((result) => result.id));
+        setDetails(EMPTY_DETAILS);
+        await onDone();
+      });
+    } catch (error) {
+      console.error('Error applying bulk action:', error);
+    }
+  };
+
+  const canApply = action && selectedIds.length > 0 && (
+    (action === 'update' && Object.keys(buildPayload()).length > 0) ||
+    (action === 'add-to-collection' && collectionId) ||
+    ['make-public', 'make-private', 'archive'].includes(action)
+  );
+
+  return (
+    <form className="bulk-actions" onSubmit={handleApply}>
+      <div className="bulk-actions-row">
+        <label className="form-checkbox">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={() => onSelectionChange(allSelected ? [] : notes.map((note) => note._id))}
+          />
+          {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select all'}
+        </label>
+
+        {selectedIds.length > 0 && (
+          <>
+            <select value={action} onChange={(e) => handleActionChange(e.target.value)} className="form-input bulk-actions-select">
+              <option value="">Choose an action...</option>
+              <option value="update">Change subject, grade or tags</option>
+              <option value="make-public">Make public</option>
+              <option value="make-private">Make private</option>
+              <option value="archive">Archive</option>
+              <option value="add-to-collection">Add to collection</option>
+            </select>
+
+            {action === 'update' && (
+              <>
+                <TaxonomySelect
+                  terms={taxonomy.subject}
+                  value={details.subject}
+                  onChange={(subject) => setDetails({ ...details, subject })}
+                  className="form-input bulk-actions-select"
+                  placeholder="Subject (keep)"
+                  aria-label="New subject"
+                />
+                <TaxonomySelect
+                  terms={taxonomy.grade}
+                  value={details.grade}
+                  onChange={(grade) => setDetails({ ...details, grade })}
+                  className="form-input bulk-actions-select"
+                  placeholder="Grade (keep)"
+                  aria-label="New grade"
+                />
+                <input
+                  type="text"
+                  value={details.tags}
+                  onChange={(e) => setDetails({ ...details, tags: e.target.value })}
+                  className="form-input"
+                  placeholder="Tags (replace), comma separated"
+                />
+              </>
+            )}
+
+            {action === 'add-to-collection' && (
+              <select value={collectionId} onChange={(e) => setCollectionId(e.target.value)} className="form-input bulk-actions-select">
+                <option value="">Choose a collection...</option>
+                {(collections || []).map((collection) => (
+                  <option key={collection._id} value={collection._id}>{collection.title}</option>
+                ))}
+              </select>
+            )}
+
+            <button type="submit" className="btn btn-primary btn-sm" disabled={loading || !canApply}>
+              Apply
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => onSelectionChange([])}>
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {failures.length > 0 && (
+        <ul className="bulk-actions-failures">
+          {failures.map((failure) => (
+            <li key={failure.id}>
+              <strong>{failure.title}</strong>: {failure.error}
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default BulkActionsBar;
@@ -0,0 +1,209 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import notesService from '../../services/notesService';
+import { useApi } from '../../hooks/useApi.js';
+import './CoAuthors.css';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  'analytics-viewer': 'Views analytics'
+};
+
+// Modal listing a note's owner and co-authors. The owner invites teachers by
+// email, changes their roles, removes them and can hand the note over; a
+// co-author can stop co-authoring. `onChange` is called when the teacher's
+// own access to the note changes.
+const CoAuthorManager = ({ note, userId, onClose, onChange }) => {
+  const { loading, execute } = useApi();
+  const [authors, setAuthors] = useState(null);
+  const [invite, setInvite] = useState({ email: '', role: 'editor' });
+
+  const loadAuthors = useCallback(async () => {
+    try {
+      setAuthors(await notesService.getCoAuthors(note._id));
+    } catch (error) {
+      console.error('Error loading co-authors:', error);
+    }
+  }, [note._id]);
+
+  useEffect(() => {
+    loadAuthors();
+  }, [loadAuthors]);
+
+  const isOwner = authors?.yourRole === 'owner';
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    try {
+      await execute(async () => {
+        setAuthors(await notesService.addCoAuthor(note._id, invite.email.trim(), invite.role));
+        setInvite({ email: '', role: invite.role });
+      });
+    } catch (error) {
+      console.error('Error adding co-author:', error);
+    }
+  };
+
+  const handleRoleChange = async (coAuthor, role) => {
+    try {
+      await execute(async () => {
+        setAuthors(await notesService.updateCoAuthor(note._id, coAuthor.user._id, role));
+      });
+    } catch (error) {
+      console.error('Error updating co-author:', error);
+    }
+  };
+
+  const handleRemove = async (coAuthor) => {
+    const leaving = coAuthor.user._id === userId;
+    const question = leaving
+      ? `Stop co-authoring "${note.title}"? You will no longer be able to edit it.`
+      : `Remove ${coAuthor.user.name} as a co-author?`;
+    if (!window.confirm(question)) {
+      return;
+    }
+
+    try {
+      await execute(async () => {
+        const data = await notesService.removeCoAuthor(note._id, coAuthor.user._id);
+        if (leaving) {
+          onClose();
+          if (onChange) await onChange();
+        } else {
+          setAuthors(data);
+        }
+      });
+    } catch (error) {
+      console.error('Error removing co-author:', error);
+    }
+  };
+
+  const handleTransfer = async (coAuthor) => {
+    if (!window.confirm(`Make ${coAuthor.user.name} the owner of "${note.title}"? You will stay on as an editor.`)) {
+      return;
+    }
+
+    try {
+      await execute(async () => {
+        setAuthors(await notesService.transferOwnership(note._id, coAuthor.user._id));
+        if (onChange) await onChange();
+      });
+    } catch (error) {
+      console.error('Error transferring ownership:', error);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <i className="fas fa-users"></i>
+            Authors
+          </h2>
+          <p className="modal-subtitle">{note.title}</p>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="modal-form">
+          {!authors ? (
+            <p className="co-author-empty">Loading authors...</p>
+          ) : (
+            <ul className="co-author-list">
+              <li className="co-author-item">
+                <div className="co-author-info">
+                  <span className="co-author-name">{authors.owner?.name}</span>
+                  <span className="co-author-email">{authors.owner?.email}</span>
+                </div>
+                <span className="co-author-role owner">{ROLE_LABELS.owner}</span>
+              </li>
+              {authors.coAuthors.map((coAuthor) => (
+                <li key={coAuthor.user._id} className="co-author-item">
+                  <div className="co-author-info">
+                    <span className="co-author-name">{coAuthor.user.name}</span>
+                    <span className="co-author-email">{coAuthor.user.email}</span>
+                  </div>
+                  {isOwner ? (
+                    <select
+                      value={coAuthor.role}
+                      onChange={(e) => handleRoleChange(coAuthor, e.target.value)}
+                      className="form-input co-author-select"
+                      disabled={loading}
+                    >
+                      <option value="editor">{ROLE_LABELS.editor}</option>
+                      <option value="analytics-viewer">{ROLE_LABELS['analytics-viewer']}</option>
+                    </select>
+                  ) : (
+                    <span className="co-author-role">{ROLE_LABELS[coAuthor.role]}</span>
+                  )}
+                  <div className="co-author-actions">
+                    {isOwner && (
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => handleTransfer(coAuthor)}
+                        disabled={loading}
+                        title="Make owner"
+                      >
+                        <i className="fas fa-crown"></i>
+                      </button>
+                    )}
+                    {(isOwner || coAuthor.user._id === userId) && (
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-sm"
+                        onClick={() => handleRemove(coAuthor)}
+                        disabled={loading}
+                        title={coAuthor.user._id === userId ? 'Stop co-authoring' : 'Remove co-author'}
+                      >
+                        <i className="fas fa-user-minus"></i>
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {isOwner && (
+          <form onSubmit={handleInvite} className="modal-form">
+            <div className="form-group co-author-invite">
+              <input
+                type="email"
+                value={invite.email}
+                onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                className="form-input"
+                placeholder="Colleague's email"
+                required
+              />
+              <select
+                value={invite.role}
+                onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                className="form-input co-author-select"
+              >
+                <option value="editor">{ROLE_LABELS.editor}</option>
+                <option value="analytics-viewer">{ROLE_LABELS['analytics-viewer']}</option>
+              </select>
+            </div>
+
+            <div className="form-actions">
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Close
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                <i className="fas fa-user-plus"></i>
+                Add Co-author
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CoAuthorManager;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatDate, getNoteUrl } from '../../utils/helpers';
+import './Duplicates.css';
+
+// Shown when an uploaded file is already on the platform: links to the notes
+// that have it, and lets the teacher cancel or keep a separate copy
+const DuplicateWarning = ({ duplicates, onCancel, onConfirm, loading }) => (
+  <div className="duplicate-warning">
+    <p className="duplicate-warning-title">
+      <i className="fas fa-clone"></i>
+      This file has already been uploaded
+    </p>
+    <ul className="duplicate-list">
+      {duplicates.map((note) => (
+        <li key={note._id}>
+          <Link to={getNoteUrl(note)} target="_blank" rel="noopener noreferrer">{note.title}</Link>
+          <span className="duplicate-meta">
+            {note.isOwn ? 'Your note' : `by ${note.uploadedBy || 'another teacher'}`}
+            {' · '}
+            {formatDate(note.createdAt, { format: 'short' })}
+          </span>
+        </li>
+      ))}
+    </ul>
+    <div className="duplicate-warning-actions">
+      <button type="button" className="btn btn-secondary btn-sm" onClick={onCancel}>
+        Cancel
+      </button>
+      <button type="button" className="btn btn-primary btn-sm" onClick={onConfirm} disabled={loading}>
+        Upload a separate copy
+      </button>
+    </div>
+  </div>
+);
+
+export default DuplicateWarning;
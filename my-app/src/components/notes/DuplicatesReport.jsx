@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import notesService from '../../services/notesService';
+import { useApi } from '../../hooks/useApi.js';
+import { formatDate, formatFileSize, getNoteUrl } from '../../utils/helpers';
+import './Duplicates.css';
+
+// Modal listing groups of the teacher's notes that have exactly the same file.
+// The oldest note of each group is kept by default; copies can be trashed.
+// `onChange` is called after a note is moved to the trash.
+const DuplicatesReport = ({ onClose, onChange }) => {
+  const { loading, execute } = useApi();
+  const [groups, setGroups] = useState(null);
+
+  const loadReport = async () => {
+    try {
+      const response = await notesService.getMyDuplicates();
+      setGroups(response.data || []);
+    } catch (error) {
+      console.error('Error loading duplicates:', error);
+      setGroups([]);
+    }
+  };
+
+  useEffect(() => {
+    loadReport();
+  }, []);
+
+  const handleTrash = async (note) => {
+    if (!window.confirm(`Move "${note.title}" to the trash?`)) {
+      return;
+    }
+
+    try {
+      await execute(async () => {
+        await notesService.deleteNote(note._id);
+        await loadReport();
+        if (onChange) await onChange();
+      });
+    } catch (error) {
+      console.error('Error deleting duplicate:', error);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <i className="fas fa-clone"></i>
+            Duplicate Uploads
+          </h2>
+          <p className="modal-subtitle">Notes of yours that have exactly the same file</p>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="modal-form">
+          {groups === null ? (
+            <p className="duplicate-empty">Checking your uploads...</p>
+          ) : groups.length === 0 ? (
+            <p className="duplicate-empty">No duplicate files found.</p>
+          ) : (
+            groups.map((group) => (
+              <div key={group.contentHash} className="duplicate-group">
+                <p className="duplicate-group-title">
+                  {group.notes[0].originalFileName || 'File'} · {group.count} copies
+                  {group.fileSize > 0 && ` · ${formatFileSize(group.fileSize)}`}
+                </p>
+                <ul className="duplicate-list">
+                  {group.notes.map((note, index) => (
+                    <li key={note._id}>
+                      <Link to={getNoteUrl(note)}>{note.title}</Link>
+                      <span className="duplicate-meta">
+                        {formatDate(note.createdAt, { format: 'short' })}
+                        {index === 0 && ' · Oldest'}
+                      </span>
+                      {index > 0 && (
+                        <button
+                          type="button"
+                          className="btn btn-danger btn-sm"
+                          onClick={() => handleTrash(note)}
+                          disabled={loading}
+                          title="Move to trash"
+                        >
+                          <i className="fas fa-trash"></i>
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicatesReport;
@@ -0,0 +1,12 @@
+import React from 'react';
+import './MarkdownContent.css';
+
+// Written note content. `html` is rendered and sanitized by the server, so it
+// can be inserted as-is.
+const MarkdownContent = ({ html }) => {
+  if (!html) return null;
+
+  return <div className="markdown-body" dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+export default MarkdownContent;
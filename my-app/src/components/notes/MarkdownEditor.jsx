@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import notesService from '../../services/notesService';
+import MarkdownContent from './MarkdownContent';
+import './MarkdownContent.css';
+
+// Markdown textarea with a server-rendered preview, so teachers see exactly
+// what students will (math, highlighted code and all)
+const MarkdownEditor = ({ id, value, onChange, rows = 8 }) => {
+  const [previewHtml, setPreviewHtml] = useState(null);
+  const [loadingPreview, setLoadingPreview] = useState(false);
+
+  const showPreview = async () => {
+    setLoadingPreview(true);
+    try {
+      setPreviewHtml(await notesService.previewMarkdown(value));
+    } catch (error) {
+      // The API client already shows the error
+      console.error('Markdown preview error:', error);
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
+  return (
+    <div className="markdown-editor">
+      <div className="markdown-editor-tabs">
+        <button
+          type="button"
+          className={`markdown-editor-tab ${previewHtml === null ? 'active' : ''}`}
+          onClick={() => setPreviewHtml(null)}
+        >
+          Write
+        </button>
+        <button
+          type="button"
+          className={`markdown-editor-tab ${previewHtml !== null ? 'active' : ''}`}
+          onClick={showPreview}
+          disabled={loadingPreview}
+        >
+          {loadingPreview ? 'Rendering...' : 'Preview'}
+        </button>
+      </div>
+
+      {previewHtml === null ? (
+        <textarea
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          rows={rows}
+          className="form-textarea markdown-editor-input"
+          placeholder={'Write notes in Markdown. Use $x^2$ for inline math, $$...$$ for display math and ``` for code blocks.'}
+        />
+      ) : previewHtml ? (
+        <MarkdownContent html={previewHtml} />
+      ) : (
+        <p className="markdown-editor-empty">Nothing to preview yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownEditor;
@@ -1,18 +1,37 @@
-import React, { useEffect, useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import notesService from '../../services/notesService';
+import { getNoteUrl } from '../../utils/helpers';
+import RelatedNotesStrip from './RelatedNotesStrip';
+import PrerequisitesPanel from './PrerequisitesPanel';
+import MarkdownContent from './MarkdownContent';
 import toast from 'react-hot-toast';
 
 const NotePreview = () => {
-  const { id } = useParams();
+  // Notes are opened by slug; /preview/:id links still work
+  const { id, slug } = useParams();
+  const navigate = useNavigate();
   const [note, setNote] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [selectedAttachmentId, setSelectedAttachmentId] = useState(null);
+  // Slug of the note already on screen, so switching to its URL doesn't reload it
+  const shownSlug = useRef(null);
 
   useEffect(() => {
+    if (slug && slug === shownSlug.current) return;
+
     const load = async () => {
+      setLoading(true);
       try {
-        const response = await notesService.getNote(id);
-        setNote(response.data || response);
+        const response = slug ? await notesService.getNoteBySlug(slug) : await notesService.getNote(id);
+        const loaded = response.data || response;
+        setNote(loaded);
+        shownSlug.current = loaded.slug;
+
+        // Show the note's current slug URL (after an ID link or a renamed note)
+        if (loaded.slug && loaded.slug !== slug) {
+          navigate(getNoteUrl(loaded), { replace: true });
+        }
       } catch (e) {
         toast.error('Failed to load note');
       } finally {
@@ -20,7 +39,7 @@ const NotePreview = () => {
       }
     };
     load();
-  }, [id]);
+  }, [id, slug, navigate]);
 
   if (loading) {
     return (
@@ -38,8 +57,23 @@ const NotePreview = () => {
     );
   }
 
-  const fileUrl = note.cloudinarySecureUrl || note.cloudinaryUrl || note.filePath || '';
-  const isPdf = (note.mimeType || '').includes('pdf') || (note.fileType || '').toLowerCase() === 'pdf' || fileUrl.toLowerCase().endsWith('.pdf');
+  // The previewed file: the selected attachment, else the note's primary file
+  const attachments = note.attachments || [];
+  const file = attachments.find((a) => a._id === selectedAttachmentId) || attachments[0] || note;
+  // Signed, short-lived URL from the API (files may be stored locally or on Cloudinary)
+  const fileUrl = file.fileUrl || '';
+  const isPdf = (file.mimeType || '').includes('pdf') || (file.fileType || '').toLowerCase() === 'pdf' || fileUrl.toLowerCase().endsWith('.pdf');
+  // Other types are only served as downloads, so they can't be shown here
+  const isImage = ['jpg', 'jpeg', 'png'].includes((file.fileType || '').toLowerCase());
+
+  const handleDownload = (target) => {
+    const filename = target.originalFileName || note.title || 'download';
+    if (target._id && target._id !== note._id) {
+      notesService.downloadAttachment(note._id, target._id, filename);
+    } else {
+      notesService.downloadNote(note._id, filename);
+    }
+  };
 
   return (
     <div className="container" style={{ padding: '24px' }}>
@@ -47,15 +81,57 @@ const NotePreview = () => {
         <h2 style={{ margin: 0 }}>{note.title}</h2>
         <div style={{ display: 'flex', gap: 8 }}>
           <Link className="btn btn-secondary" to="/dashboard">Back</Link>
-          <button
-            className="btn btn-primary"
-            onClick={() => notesService.downloadNote(note._id, note.originalFileName || note.title || 'download')}
-          >
-            Download
-          </button>
+          {(fileUrl || !note.contentHtml) && (
+            <button
+              className="btn btn-primary"
+              onClick={() => handleDownload(file)}
+            >
+              Download
+            </button>
+          )}
         </div>
       </div>
 
+      <PrerequisitesPanel noteId={note._id} />
+
+      {attachments.length > 1 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginBottom: 16 }}>
+          {attachments.map((attachment) => (
+            <div
+              key={attachment._id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                border: `1px solid ${attachment._id === file._id ? '#4f46e5' : '#ddd'}`,
+                borderRadius: '8px',
+                overflow: 'hidden'
+              }}
+            >
+              <button
+                className="btn btn-link"
+                onClick={() => setSelectedAttachmentId(attachment._id)}
+                style={{ fontWeight: attachment._id === file._id ? 600 : 400 }}
+              >
+                {attachment.label || attachment.originalFileName || attachment.fileName}
+              </button>
+              <button
+                className="btn btn-link"
+                onClick={() => handleDownload(attachment)}
+                aria-label={`Download ${attachment.originalFileName || 'file'}`}
+              >
+                <i className="fas fa-download"></i>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {note.contentHtml && (
+        <div style={{ marginBottom: fileUrl ? 16 : 0 }}>
+          <MarkdownContent html={note.contentHtml} />
+        </div>
+      )}
+
       {isPdf ? (
         <div style={{ width: '100%', height: '800px', border: '1px solid #ddd', borderRadius: '8px' }}>
           <iframe 
@@ -67,7 +143,7 @@ const NotePreview = () => {
           />
         </div>
       ) : (
-        fileUrl ? (
+        fileUrl && isImage ? (
           <div style={{ width: '100%', height: '800px', border: '1px solid #ddd', borderRadius: '8px' }}>
             <iframe 
               title="File Preview" 
@@ -77,7 +153,18 @@ const NotePreview = () => {
               style={{ border: 'none', borderRadius: '8px' }}
             />
           </div>
-        ) : (
+        ) : fileUrl ? (
+          <div style={{ 
+            padding: '2rem', 
+            textAlign: 'center', 
+            border: '1px solid #ddd', 
+            borderRadius: '8px',
+            backgroundColor: '#f8f9fa'
+          }}>
+            <i className="fas fa-file-download" style={{ fontSize: '3rem', color: '#6c757d', marginBottom: '1rem' }}></i>
+            <p style={{ margin: 0, color: '#6c757d' }}>This file can't be previewed. Use Download to open it.</p>
+          </div>
+        ) : !note.contentHtml && (
           <div style={{ 
             padding: '2rem', 
             textAlign: 'center', 
@@ -90,6 +177,10 @@ const NotePreview = () => {
           </div>
         )
       )}
+
+      <div style={{ marginTop: 24 }}>
+        <RelatedNotesStrip noteId={note._id} />
+      </div>
     </div>
   );
 };
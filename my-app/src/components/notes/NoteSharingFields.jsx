@@ -0,0 +1,71 @@
+import React from 'react';
+
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Public', hint: 'Every student can find and download it' },
+  { value: 'restricted', label: 'Shared', hint: 'Only the students and groups you choose' },
+  { value: 'private', label: 'Private', hint: 'Only you' }
+];
+
+// Form fields for who can see a note. `value` is a sharing state as built by
+// getSharingState; `groups` are the teacher's student groups.
+const NoteSharingFields = ({ value, groups = [], onChange }) => {
+  const toggleGroup = (groupId) => {
+    const sharedGroups = value.sharedGroups.includes(groupId)
+      ? value.sharedGroups.filter((id) => id !== groupId)
+      : [...value.sharedGroups, groupId];
+    onChange({ ...value, sharedGroups });
+  };
+
+  return (
+    <div className="note-sharing">
+      <div className="note-sharing-options">
+        {VISIBILITY_OPTIONS.map((option) => (
+          <label key={option.value} className="form-checkbox" title={option.hint}>
+            <input
+              type="radio"
+              name="visibility"
+              value={option.value}
+              checked={value.visibility === option.value}
+              onChange={() => onChange({ ...value, visibility: option.value })}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+
+      {value.visibility === 'restricted' && (
+        <>
+          <label htmlFor="sharedWith" className="form-label">Student emails</label>
+          <textarea
+            id="sharedWith"
+            value={value.sharedWith}
+            onChange={(e) => onChange({ ...value, sharedWith: e.target.value })}
+            rows="3"
+            className="form-textarea"
+            placeholder="student@example.com, another@example.com"
+          />
+
+          <span className="form-label">Groups</span>
+          {groups.length === 0 ? (
+            <p className="note-sharing-hint">Create groups from the Groups button to share with a whole class.</p>
+          ) : (
+            <div className="note-sharing-groups">
+              {groups.map((group) => (
+                <label key={group._id} className="form-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={value.sharedGroups.includes(group._id)}
+                    onChange={() => toggleGroup(group._id)}
+                  />
+                  {group.name} ({group.memberCount})
+                </label>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NoteSharingFields;
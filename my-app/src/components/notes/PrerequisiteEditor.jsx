@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import notesService from '../../services/notesService';
+import { useApi } from '../../hooks/useApi.js';
+import './Prerequisites.css';
+
+const MAX_PREREQUISITES = 10;
+
+// Modal where teachers choose the notes to read before one of theirs. Notes
+// are found among the teacher's own (`ownNotes`) and the public catalogue.
+// `onSaved` is called after the prerequisites are saved.
+const PrerequisiteEditor = ({ note, ownNotes = [], onClose, onSaved }) => {
+  const { loading, execute } = useApi();
+  const [selected, setSelected] = useState([]);
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await notesService.getPrerequisites(note._id);
+        setSelected(response.data || []);
+      } catch (error) {
+        console.error('Error loading prerequisites:', error);
+      }
+    };
+    load();
+  }, [note._id]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const term = search.trim();
+    if (!term) return;
+
+    const own = ownNotes.filter((candidate) => candidate.title.toLowerCase().includes(term.toLowerCase()));
+    try {
+      const response = await notesService.getNotes({ search: term }, 1, 10);
+      const seen = new Set(own.map((candidate) => candidate._id));
+      setResults([...own, ...(response.data || []).filter((candidate) => !seen.has(candidate._id))]);
+    } catch (error) {
+      console.error('Error searching notes:', error);
+      setResults(own);
+    }
+  };
+
+  const isSelected = (candidate) => selected.some((entry) => entry._id === candidate._id);
+
+  const handleAdd = (candidate) => {
+    setSelected([...selected, candidate]);
+  };
+
+  const handleRemove = (candidate) => {
+    setSelected(selected.filter((entry) => entry._id !== candidate._id));
+  };
+
+  const handleSave = async () => {
+    try {
+      await execute(async () => {
+        await notesService.setPrerequisites(note._id, selected.map((entry) => entry._id));
+        onClose();
+        if (onSaved) await onSaved();
+      });
+    } catch (error) {
+      console.error('Error saving prerequisites:', error);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <i className="fas fa-route"></i>
+            Prerequisites
+          </h2>
+          <p className="modal-subtitle">Notes students should read before "{note.title}"</p>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="modal-form">
+          {selected.length === 0 ? (
+            <p className="prerequisites-meta">No prerequisites yet.</p>
+          ) : (
+            <ol className="study-path">
+              {selected.map((entry) => (
+                <li key={entry._id}>
+                  {entry.title}
+                  <button type="button" className="btn btn-link" onClick={() => handleRemove(entry)} title="Remove">
+                    <i className="fas fa-times"></i>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <form onSubmit={handleSearch} className="modal-form">
+          <div className="form-group prerequisites-actions">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="form-input"
+              placeholder="Search notes by title or topic"
+            />
+            <button type="submit" className="btn btn-secondary">
+              <i className="fas fa-search"></i>
+            </button>
+          </div>
+
+          <ul className="prerequisites-list">
+            {results
+              .filter((candidate) => candidate._id !== note._id)
+              .map((candidate) => (
+                <li key={candidate._id}>
+                  <span>{candidate.title}</span>
+                  <span className="prerequisites-meta">{candidate.subject} · {candidate.grade}</span>
+                  <button
+                    type="button"
+                    className="btn btn-link"
+                    onClick={() => handleAdd(candidate)}
+                    disabled={isSelected(candidate) || selected.length >= MAX_PREREQUISITES}
+                  >
+                    {isSelected(candidate) ? 'Added' : 'Add'}
+                  </button>
+                </li>
+              ))}
+          </ul>
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-primary" onClick={handleSave} disabled={loading}>
+              Save Prerequisites
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PrerequisiteEditor;
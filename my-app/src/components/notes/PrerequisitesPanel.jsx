@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import notesService from '../../services/notesService';
+import { useAuth } from '../../context/AuthContext.jsx';
+import { getNoteUrl } from '../../utils/helpers';
+import './Prerequisites.css';
+
+// Panel on a note's page listing the notes to read before it. Students see
+// the ones they haven't downloaded or completed yet, can open the full study
+// path and can mark the note itself as completed.
+const PrerequisitesPanel = ({ noteId }) => {
+  const { isStudent } = useAuth();
+  const [prerequisites, setPrerequisites] = useState([]);
+  const [path, setPath] = useState(null);
+  const [showPath, setShowPath] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const [prerequisiteData, pathData] = await Promise.all([
+          notesService.getPrerequisites(noteId),
+          notesService.getStudyPath(noteId)
+        ]);
+        if (!cancelled) {
+          setPrerequisites(prerequisiteData.data || []);
+          setPath(pathData.data || []);
+        }
+      } catch {
+        if (!cancelled) {
+          setPrerequisites([]);
+          setPath([]);
+        }
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId]);
+
+  const student = isStudent();
+  const current = path?.find((step) => step._id === noteId);
+  const unmet = prerequisites.filter((prerequisite) => prerequisite.done === false);
+  const shown = student ? unmet : prerequisites;
+
+  const handleToggleCompleted = async () => {
+    const completed = !current.done;
+    try {
+      await notesService.setNoteCompleted(noteId, completed);
+      setPath(path.map((step) => (step._id === noteId ? { ...step, done: completed } : step)));
+    } catch (error) {
+      console.error('Error updating completion:', error);
+    }
+  };
+
+  if (!path || (prerequisites.length === 0 && !student)) {
+    return null;
+  }
+
+  return (
+    <div className="prerequisites-panel">
+      {shown.length > 0 && (
+        <>
+          <h4 className="prerequisites-title">
+            <i className="fas fa-route"></i>
+            {student ? 'Read these first' : 'Prerequisites'}
+          </h4>
+          <ul className="prerequisites-list">
+            {shown.map((prerequisite) => (
+              <li key={prerequisite._id}>
+                <Link to={getNoteUrl(prerequisite)}>{prerequisite.title}</Link>
+                <span className="prerequisites-meta">{prerequisite.subject} · {prerequisite.grade}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {student && prerequisites.length > 0 && unmet.length === 0 && (
+        <p className="prerequisites-done">
+          <i className="fas fa-check-circle"></i>
+          You have read every prerequisite of this note.
+        </p>
+      )}
+
+      <div className="prerequisites-actions">
+        {path.length > 1 && (
+          <button type="button" className="btn btn-link" onClick={() => setShowPath(!showPath)}>
+            {showPath ? 'Hide study path' : `Show study path (${path.length} notes)`}
+          </button>
+        )}
+        {student && current && (
+          <button type="button" className="btn btn-secondary btn-sm" onClick={handleToggleCompleted}>
+            <i className={current.done ? 'fas fa-check-circle' : 'far fa-circle'}></i>
+            {current.done ? 'Completed' : 'Mark as completed'}
+          </button>
+        )}
+      </div>
+
+      {showPath && (
+        <ol className="study-path">
+          {path.map((step) => (
+            <li key={step._id} className={step._id === noteId ? 'current' : ''}>
+              {step.done !== null && (
+                <i className={step.done ? 'fas fa-check-circle done' : 'far fa-circle'}></i>
+              )}
+              {step._id === noteId ? (
+                <span>{step.title}</span>
+              ) : (
+                <Link to={getNoteUrl(step)}>{step.title}</Link>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default PrerequisitesPanel;
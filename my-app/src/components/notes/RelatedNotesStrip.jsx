@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import notesService from '../../services/notesService';
+import { getFileIcon, getNoteUrl } from '../../utils/helpers';
+import './RelatedNotesStrip.css';
+
+// Short explanation of why a note is related
+const getRelatedReason = ({ relatedBy = {}, subject }) => {
+  if (relatedBy.coDownloads > 0) {
+    return `${relatedBy.coDownloads} student${relatedBy.coDownloads > 1 ? 's' : ''} also used this`;
+  }
+  if (relatedBy.sharedTags?.length > 0) {
+    return relatedBy.sharedTags.slice(0, 2).map((tag) => `#${tag}`).join(' ');
+  }
+  return relatedBy.sameSubject ? `More ${subject}` : '';
+};
+
+// "Students also used" strip of notes related to a note
+const RelatedNotesStrip = ({ noteId, limit = 6, title = 'Students also used' }) => {
+  const [related, setRelated] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const data = await notesService.getRelatedNotes(noteId, limit);
+        if (!cancelled) setRelated(data || []);
+      } catch {
+        if (!cancelled) setRelated([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId, limit]);
+
+  if (loading) {
+    return <p className="related-strip-status">Finding related materials...</p>;
+  }
+
+  if (related.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="related-strip">
+      {title && <h4 className="related-strip-title">{title}</h4>}
+      <div className="related-strip-items">
+        {related.map((note) => (
+          <Link key={note._id} to={getNoteUrl(note)} className="related-strip-item">
+            <span className="related-strip-icon">
+              {getFileIcon(note.fileName || note.originalFileName || '')}
+            </span>
+            <span className="related-strip-body">
+              <span className="related-strip-name">{note.title}</span>
+              <span className="related-strip-reason">{getRelatedReason(note)}</span>
+            </span>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RelatedNotesStrip;
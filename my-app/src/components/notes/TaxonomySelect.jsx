@@ -0,0 +1,30 @@
+import React from 'react';
+import { flattenTaxonomy } from '../../utils/helpers';
+
+// Select for a subject, grade or category from the taxonomy, with nested
+// terms indented under their parent. `renderLabel(option)` can change an
+// option's text or return null to hide it. A current value that is no longer
+// in the taxonomy stays selectable so editing doesn't silently drop it.
+const TaxonomySelect = ({ terms, value, onChange, placeholder, renderLabel, ...props }) => {
+  const options = flattenTaxonomy(terms);
+  const isKnown = !value || options.some((option) => option.value === value);
+
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} {...props}>
+      {placeholder !== undefined && <option value="">{placeholder}</option>}
+      {!isKnown && <option value={value}>{value}</option>}
+      {options.map((option) => {
+        const label = renderLabel ? renderLabel(option) : option.label;
+        if (label === null && option.value !== value) return null;
+
+        return (
+          <option key={option.value} value={option.value}>
+            {'   '.repeat(option.depth)}{label ?? option.label}
+          </option>
+        );
+      })}
+    </select>
+  );
+};
+
+export default TaxonomySelect;
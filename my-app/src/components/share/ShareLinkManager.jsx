@@ -0,0 +1,223 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import notesService from '../../services/notesService';
+import { useApi } from '../../hooks/useApi.js';
+import { formatDate } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+import './Share.css';
+
+const DEFAULT_EXPIRY_DAYS = 7;
+
+// Value for a datetime-local input, in the browser's time zone
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const emptyLink = () => ({
+  label: '',
+  expiresAt: toLocalInput(new Date(Date.now() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000)),
+  maxDownloads: '',
+  password: ''
+});
+
+const STATUS_LABELS = {
+  active: 'Active',
+  expired: 'Expired',
+  exhausted: 'Download limit reached',
+  revoked: 'Revoked'
+};
+
+// Modal where teachers create, copy and revoke share links for one of their notes
+const ShareLinkManager = ({ note, onClose }) => {
+  const { loading, execute } = useApi();
+  const [links, setLinks] = useState([]);
+  const [newLink, setNewLink] = useState(emptyLink);
+
+  const loadLinks = useCallback(async () => {
+    try {
+      const response = await notesService.getShareLinks(note._id);
+      setLinks(response.data || []);
+    } catch (error) {
+      console.error('Error loading share links:', error);
+    }
+  }, [note._id]);
+
+  useEffect(() => {
+    loadLinks();
+  }, [loadLinks]);
+
+  const linkUrl = (link) => `${window.location.origin}/share/${link.token}`;
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(linkUrl(link));
+      toast.success('Link copied to clipboard');
+    } catch {
+      window.prompt('Copy this link:', linkUrl(link));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (new Date(newLink.expiresAt) <= new Date()) {
+      toast.error('Expiry time must be in the future');
+      return;
+    }
+
+    const payload = {
+      label: newLink.label.trim(),
+      expiresAt: new Date(newLink.expiresAt).toISOString(),
+      ...(newLink.maxDownloads && { maxDownloads: parseInt(newLink.maxDownloads, 10) }),
+      ...(newLink.password && { password: newLink.password })
+    };
+
+    try {
+      await execute(async () => {
+        await notesService.createShareLink(note._id, payload);
+        setNewLink(emptyLink());
+        await loadLinks();
+      });
+    } catch (error) {
+      console.error('Error creating share link:', error);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this link? Anyone using it will no longer be able to open the note.')) {
+      return;
+    }
+
+    try {
+      await execute(async () => {
+        await notesService.revokeShareLink(note._id, link._id);
+        await loadLinks();
+      });
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <i className="fas fa-link"></i>
+            Share Links
+          </h2>
+          <p className="modal-subtitle">{note.title}</p>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="modal-form">
+          {links.length === 0 ? (
+            <p className="share-empty">This note has no share links yet.</p>
+          ) : (
+            <ul className="share-link-list">
+              {links.map((link) => (
+                <li key={link._id} className="share-link-item">
+                  <div className="share-link-info">
+                    <span className="share-link-label">
+                      {link.label || 'Untitled link'}
+                      <span className={`share-link-status ${link.status}`}>{STATUS_LABELS[link.status]}</span>
+                    </span>
+                    <span className="share-link-meta">
+                      {link.status === 'revoked'
+                        ? `Revoked ${formatDate(link.revokedAt, { format: 'datetime' })}`
+                        : `Expires ${formatDate(link.expiresAt, { format: 'datetime' })}`}
+                      {' · '}
+                      {link.downloadCount}{link.maxDownloads ? ` of ${link.maxDownloads}` : ''} downloads
+                      {link.hasPassword && ' · Password protected'}
+                    </span>
+                  </div>
+                  <div className="share-link-actions">
+                    {link.token && (
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleCopy(link)} title="Copy link">
+                        <i className="fas fa-copy"></i>
+                        Copy
+                      </button>
+                    )}
+                    {!link.revokedAt && (
+                      <button type="button" className="btn btn-danger btn-sm" onClick={() => handleRevoke(link)} disabled={loading} title="Revoke link">
+                        <i className="fas fa-ban"></i>
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <form onSubmit={handleCreate} className="modal-form">
+          <div className="form-group">
+            <label htmlFor="shareLinkLabel" className="form-label">Label</label>
+            <input
+              id="shareLinkLabel"
+              type="text"
+              value={newLink.label}
+              onChange={(e) => setNewLink({ ...newLink, label: e.target.value })}
+              className="form-input"
+              placeholder="e.g. Parents' evening"
+              maxLength={100}
+            />
+          </div>
+
+          <div className="form-group publish-times">
+            <div>
+              <label htmlFor="shareLinkExpiry" className="form-label">Expires *</label>
+              <input
+                id="shareLinkExpiry"
+                type="datetime-local"
+                value={newLink.expiresAt}
+                onChange={(e) => setNewLink({ ...newLink, expiresAt: e.target.value })}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="shareLinkMaxDownloads" className="form-label">Max downloads</label>
+              <input
+                id="shareLinkMaxDownloads"
+                type="number"
+                min="1"
+                value={newLink.maxDownloads}
+                onChange={(e) => setNewLink({ ...newLink, maxDownloads: e.target.value })}
+                className="form-input"
+                placeholder="Unlimited"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="shareLinkPassword" className="form-label">Password</label>
+            <input
+              id="shareLinkPassword"
+              type="password"
+              value={newLink.password}
+              onChange={(e) => setNewLink({ ...newLink, password: e.target.value })}
+              className="form-input"
+              placeholder="Optional"
+              autoComplete="new-password"
+            />
+          </div>
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              <i className="fas fa-link"></i>
+              Create Link
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ShareLinkManager;
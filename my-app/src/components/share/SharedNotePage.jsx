@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import notesService from '../../services/notesService';
+import MarkdownContent from '../notes/MarkdownContent';
+import { formatDate, formatFileSize, getFileIcon } from '../../utils/helpers';
+import './Share.css';
+
+// Public page behind a share link. Anyone with the link can see the note and
+// download its files, after entering the password if the link has one.
+const SharedNotePage = () => {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [password, setPassword] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setShared(await notesService.getSharedNote(token));
+      } catch (err) {
+        setError(err.response?.data?.error?.message || 'This share link is not available');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [token]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    try {
+      setShared(await notesService.unlockSharedNote(token, password));
+    } catch (err) {
+      console.error('Error unlocking share link:', err);
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const handleDownload = async (file) => {
+    try {
+      await notesService.downloadSharedNote(token, shared.accessToken, file._id, file.originalFileName || shared.note.title);
+      if (shared.downloadsRemaining !== null) {
+        setShared({ ...shared, downloadsRemaining: shared.downloadsRemaining - 1 });
+      }
+    } catch (err) {
+      console.error('Error downloading shared note:', err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="container shared-note-page">
+        <p className="share-empty">Opening link...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="container shared-note-page">
+        <div className="shared-note-card">
+          <h2><i className="fas fa-unlink"></i> Link unavailable</h2>
+          <p className="share-empty">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!shared.note) {
+    return (
+      <div className="container shared-note-page">
+        <form className="shared-note-card" onSubmit={handleUnlock}>
+          <h2><i className="fas fa-lock"></i> Password required</h2>
+          <p className="share-link-meta">Enter the password you were given to open this note.</p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="form-input"
+            placeholder="Password"
+            autoFocus
+            required
+          />
+          <button type="submit" className="btn btn-primary" disabled={unlocking || !password}>
+            Unlock
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  const { note } = shared;
+  const downloadsLeft = shared.downloadsRemaining === null || shared.downloadsRemaining > 0;
+
+  return (
+    <div className="container shared-note-page">
+      <div className="shared-note-card">
+        <h2>{note.title}</h2>
+        <span className="share-link-meta">
+          {note.subject} · {note.grade} · Link expires {formatDate(shared.expiresAt, { format: 'datetime' })}
+          {shared.downloadsRemaining !== null && ` · ${shared.downloadsRemaining} download${shared.downloadsRemaining === 1 ? '' : 's'} left`}
+        </span>
+        {note.description && <p>{note.description}</p>}
+
+        {note.files.length > 0 && (
+          <ul className="share-link-list">
+            {note.files.map((file) => (
+              <li key={file._id || 'primary'} className="share-link-item">
+                <div className="share-link-info">
+                  <span className="share-link-label">
+                    {getFileIcon(file.originalFileName || '')} {file.label || file.originalFileName}
+                  </span>
+                  <span className="share-link-meta">{formatFileSize(file.fileSize || 0)}</span>
+                </div>
+                <button className="btn btn-primary btn-sm" onClick={() => handleDownload(file)} disabled={!downloadsLeft}>
+                  <i className="fas fa-download"></i>
+                  Download
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <MarkdownContent html={note.contentHtml} />
+      </div>
+    </div>
+  );
+};
+
+export default SharedNotePage;
@@ -21,29 +21,9 @@ export const USER_ROLES = {
   TEACHER: 'teacher'
 };
 
-// Note Categories
-export const NOTE_CATEGORIES = [
-  'lecture-notes',
-  'assignments',
-  'exams',
-  'reference-materials',
-  'presentations',
-  'other'
-];
-
-// Grade Levels
-export const GRADE_LEVELS = [
-  '1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th', '9th', '10th',
-  '11th', '12th', 'Undergraduate', 'Graduate', 'Postgraduate'
-];
-
-// Subjects
-export const SUBJECTS = [
-  'Mathematics', 'Science', 'Physics', 'Chemistry', 'Biology',
-  'English', 'History', 'Geography', 'Computer Science',
-  'Economics', 'Business Studies', 'Art', 'Music', 'Physical Education',
-  'Other'
-];
+// Subjects, grades and note categories come from the taxonomy API
+// (GET /api/taxonomy, see hooks/useTaxonomy.js) so they always match what the
+// server accepts
 
 // Toast Configuration
 export const TOAST_CONFIG = {
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import taxonomyService from '../services/taxonomyService';
+
+const EMPTY_TAXONOMY = { subject: [], grade: [], category: [] };
+
+// The taxonomy rarely changes, so it is requested once per page load and
+// shared by every component that needs it
+let taxonomyRequest = null;
+
+// Subjects, grades and categories as trees of { value, label, children }
+export const useTaxonomy = () => {
+  const [taxonomy, setTaxonomy] = useState(EMPTY_TAXONOMY);
+
+  useEffect(() => {
+    let active = true;
+
+    if (!taxonomyRequest) {
+      taxonomyRequest = taxonomyService.getTaxonomy().catch((error) => {
+        taxonomyRequest = null;
+        throw error;
+      });
+    }
+
+    taxonomyRequest
+      .then((response) => {
+        if (active) setTaxonomy({ ...EMPTY_TAXONOMY, ...response.data });
+      })
+      .catch((error) => console.error('Error loading taxonomy:', error));
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return taxonomy;
+};
@@ -106,10 +106,33 @@ export const endpoints = {
     list: '/notes',
     create: '/notes',
     get: (id) => `/notes/${id}`,
+    bySlug: (slug) => `/notes/by-slug/${encodeURIComponent(slug)}`,
+    related: (id) => `/notes/${id}/related`,
     update: (id) => `/notes/${id}`,
     delete: (id) => `/notes/${id}`,
     download: (id) => `/notes/${id}/download`,
+    extractText: (id) => `/notes/${id}/extract-text`,
+    attachments: (id) => `/notes/${id}/attachments`,
+    attachment: (id, attachmentId) => `/notes/${id}/attachments/${attachmentId}`,
+    attachmentsOrder: (id) => `/notes/${id}/attachments/order`,
+    downloadAttachment: (id, attachmentId) => `/notes/${id}/attachments/${attachmentId}/download`,
+    versions: (id) => `/notes/${id}/versions`,
+    downloadVersion: (id, version) => `/notes/${id}/versions/${version}/download`,
+    restoreVersion: (id, version) => `/notes/${id}/versions/${version}/restore`,
     myUploads: '/notes/my-uploads',
+    trash: '/notes/trash',
+    restore: (id) => `/notes/${id}/restore`,
+    markdownPreview: '/notes/markdown-preview',
+    bulk: '/notes/bulk',
+    duplicates: '/notes/duplicates',
+    shareLinks: (id) => `/notes/${id}/share-links`,
+    shareLink: (id, linkId) => `/notes/${id}/share-links/${linkId}`,
+    coAuthors: (id) => `/notes/${id}/co-authors`,
+    coAuthor: (id, userId) => `/notes/${id}/co-authors/${userId}`,
+    transferOwnership: (id) => `/notes/${id}/transfer-ownership`,
+    prerequisites: (id) => `/notes/${id}/prerequisites`,
+    studyPath: (id) => `/notes/${id}/study-path`,
+    completion: (id) => `/notes/${id}/completion`,
     stats: '/notes/stats',
   },
   
@@ -132,6 +155,73 @@ export const endpoints = {
     delete: (id) => `/download-history/${id}`,
   },
   
+  // Recommendations
+  recommendations: {
+    list: '/recommendations',
+  },
+  
+  // Tags
+  tags: {
+    list: '/tags',
+    merge: '/tags/merge',
+    rename: (tag) => `/tags/${encodeURIComponent(tag)}`,
+    mergeCatalogue: '/tags/catalogue/merge',
+    renameCatalogue: (tag) => `/tags/catalogue/${encodeURIComponent(tag)}`,
+  },
+  
+  // Saved Searches
+  savedSearches: {
+    list: '/saved-searches',
+    create: '/saved-searches',
+    update: (id) => `/saved-searches/${id}`,
+    visit: (id) => `/saved-searches/${id}/visit`,
+    delete: (id) => `/saved-searches/${id}`,
+  },
+  
+  // Notifications
+  notifications: {
+    list: '/notifications',
+    markRead: (id) => `/notifications/${id}/read`,
+    markAllRead: '/notifications/read-all',
+  },
+  
+  // Collections
+  collections: {
+    list: '/collections',
+    mine: '/collections/mine',
+    get: (id) => `/collections/${id}`,
+    create: '/collections',
+    update: (id) => `/collections/${id}`,
+    delete: (id) => `/collections/${id}`,
+  },
+
+  // Share links (public)
+  share: {
+    get: (token) => `/share/${token}`,
+    unlock: (token) => `/share/${token}/unlock`,
+    download: (token) => `/share/${token}/download`,
+  },
+
+  // Bulk imports
+  imports: {
+    list: '/imports',
+    create: '/imports',
+    get: (id) => `/imports/${id}`,
+  },
+
+  // Allowed subjects, grades and categories
+  taxonomy: {
+    list: '/taxonomy',
+  },
+
+  // Student groups
+  groups: {
+    mine: '/groups',
+    create: '/groups',
+    update: (id) => `/groups/${id}`,
+    delete: (id) => `/groups/${id}`,
+  },
+  
   // Analytics
   analytics: {
     studentProgress: '/analytics/student-progress',
@@ -0,0 +1,75 @@
+import api, { endpoints } from './api';
+import toast from 'react-hot-toast';
+
+class CollectionsService {
+  // Get public collections
+  async getCollections(params = {}) {
+    try {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          query.append(key, value.toString());
+        }
+      });
+
+      const response = await api.get(`${endpoints.collections.list}?${query}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the current teacher's collections
+  async getMyCollections() {
+    try {
+      const response = await api.get(endpoints.collections.mine);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get a collection with its sequence of notes
+  async getCollection(id) {
+    try {
+      const response = await api.get(endpoints.collections.get(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Create a collection (teachers only)
+  async createCollection(collectionData) {
+    try {
+      const response = await api.post(endpoints.collections.create, collectionData);
+      toast.success('Collection created successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update a collection's details or items (teachers only)
+  async updateCollection(id, collectionData) {
+    try {
+      const response = await api.put(endpoints.collections.update(id), collectionData);
+      toast.success('Collection updated successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete a collection (teachers only)
+  async deleteCollection(id) {
+    try {
+      await api.delete(endpoints.collections.delete(id));
+      toast.success('Collection deleted successfully!');
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new CollectionsService();
@@ -0,0 +1,48 @@
+import api, { endpoints } from './api';
+import toast from 'react-hot-toast';
+
+class GroupsService {
+  // Get the current teacher's student groups
+  async getMyGroups() {
+    try {
+      const response = await api.get(endpoints.groups.mine);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Create a student group; members are student emails (teachers only)
+  async createGroup(groupData) {
+    try {
+      const response = await api.post(endpoints.groups.create, groupData);
+      toast.success('Group created successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update a student group's details or members (teachers only)
+  async updateGroup(id, groupData) {
+    try {
+      const response = await api.put(endpoints.groups.update(id), groupData);
+      toast.success('Group updated successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete a student group (teachers only)
+  async deleteGroup(id) {
+    try {
+      await api.delete(endpoints.groups.delete(id));
+      toast.success('Group deleted successfully!');
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new GroupsService();
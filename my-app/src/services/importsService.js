@@ -0,0 +1,50 @@
+import api, { endpoints } from './api';
+import toast from 'react-hot-toast';
+
+class ImportsService {
+  // Get the current teacher's recent imports
+  async getImports() {
+    try {
+      const response = await api.get(endpoints.imports.list);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Start a bulk import from a ZIP archive and an optional CSV/JSON manifest
+  // (teachers only). Without a manifest, the archive must contain one.
+  async startImport(archive, manifest = null) {
+    try {
+      const formData = new FormData();
+      formData.append('archive', archive);
+      if (manifest) {
+        formData.append('manifest', manifest);
+      }
+
+      const response = await api.post(endpoints.imports.create, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        timeout: 300000, // 5 minutes for large archives
+      });
+
+      toast.success(response.data.message || 'Import started');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get an import's progress and per-row results
+  async getImport(id) {
+    try {
+      const response = await api.get(endpoints.imports.get(id));
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new ImportsService();
@@ -2,6 +2,50 @@ import api, { endpoints, createFormData } from './api';
 import { validateFileForUpload } from '../utils/helpers';
 import toast from 'react-hot-toast';
 
+// Save a streamed file response to disk through a temporary link
+const saveFileResponse = (response, filename) => {
+  // Create download link
+  const url = window.URL.createObjectURL(new Blob([response.data]));
+  const link = document.createElement('a');
+  link.href = url;
+  
+  // Get filename from response headers or use provided filename
+  const contentDisposition = response.headers['content-disposition'];
+  let downloadFilename = filename;
+  
+  if (contentDisposition) {
+    const filenameMatch = contentDisposition.match(/filename="(.+)"/);
+    if (filenameMatch) {
+      downloadFilename = filenameMatch[1];
+    }
+  }
+
+  // If filename lacks an extension, infer from content-type
+  if (!/\.[a-zA-Z0-9]+$/.test(downloadFilename)) {
+    const mime = response.headers['content-type'] || '';
+    const mimeToExt = {
+      'application/pdf': 'pdf',
+      'application/msword': 'doc',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+      'text/plain': 'txt',
+      'image/jpeg': 'jpg',
+      'image/png': 'png',
+      'application/vnd.ms-powerpoint': 'ppt',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
+    };
+    const ext = mimeToExt[mime];
+    if (ext) {
+      downloadFilename = `${downloadFilename}.${ext}`;
+    }
+  }
+  
+  link.setAttribute('download', downloadFilename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
 class NotesService {
   // Get all notes with optional filters
   async getNotes(filters = {}, page = 1, limit = 10) {
@@ -29,6 +73,70 @@ class NotesService {
     }
   }
 
+  // Get single note by slug (earlier slugs are redirected to the note)
+  async getNoteBySlug(slug) {
+    try {
+      const response = await api.get(endpoints.notes.bySlug(slug));
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get notes related to a note ("Students also used")
+  async getRelatedNotes(id, limit = 6) {
+    try {
+      const params = new URLSearchParams({ limit: limit.toString() });
+      const response = await api.get(`${endpoints.notes.related(id)}?${params}`);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get a note's prerequisites (students also learn which they have read)
+  async getPrerequisites(id) {
+    try {
+      const response = await api.get(endpoints.notes.prerequisites(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Set a note's prerequisites (teachers only)
+  async setPrerequisites(id, prerequisites) {
+    try {
+      const response = await api.put(endpoints.notes.prerequisites(id), { prerequisites });
+      toast.success(response.data.message || 'Prerequisites updated');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the ordered study path leading up to a note
+  async getStudyPath(id) {
+    try {
+      const response = await api.get(endpoints.notes.studyPath(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark a note as completed, or unmark it (students only)
+  async setNoteCompleted(id, completed) {
+    try {
+      const response = completed
+        ? await api.put(endpoints.notes.completion(id))
+        : await api.delete(endpoints.notes.completion(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Upload new note (teachers only)
   async uploadNote(noteData) {
     try {
@@ -94,11 +202,67 @@ class NotesService {
     }
   }
 
-  // Delete note (teachers only)
+  // Move note to the trash (teachers only)
   async deleteNote(id) {
     try {
       await api.delete(endpoints.notes.delete(id));
-      toast.success('Note deleted successfully!');
+      toast.success('Note moved to trash');
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the current teacher's trashed notes
+  async getTrash() {
+    try {
+      const response = await api.get(endpoints.notes.trash);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Restore a note from the trash (teachers only)
+  async restoreNote(id) {
+    try {
+      const response = await api.post(endpoints.notes.restore(id));
+      toast.success(response.data.message || 'Note restored successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Render Markdown content as it will appear on the note (teachers only)
+  async previewMarkdown(content) {
+    try {
+      const response = await api.post(endpoints.notes.markdownPreview, { content });
+      return response.data.data.html;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Apply one action to many of the teacher's notes; returns per-note results
+  async bulkUpdateNotes(noteIds, action, data = {}) {
+    try {
+      const response = await api.post(endpoints.notes.bulk, { noteIds, action, ...data });
+      if (response.data.failed > 0) {
+        toast.error(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get groups of the teacher's notes that have the same file
+  async getMyDuplicates() {
+    try {
+      const response = await api.get(endpoints.notes.duplicates);
+      return response.data;
     } catch (error) {
       throw error;
     }
@@ -127,46 +291,243 @@ class NotesService {
         responseType: 'blob',
       });
 
-      // Create download link
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      
-      // Get filename from response headers or use provided filename
-      const contentDisposition = response.headers['content-disposition'];
-      let downloadFilename = filename;
-      
-      if (contentDisposition) {
-        const filenameMatch = contentDisposition.match(/filename="(.+)"/);
-        if (filenameMatch) {
-          downloadFilename = filenameMatch[1];
+      saveFileResponse(response, filename);
+
+      toast.success('File downloaded successfully!');
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Add files to a note's attachments (teachers only). `allowDuplicate` keeps
+  // files that are already uploaded
+  async addAttachments(id, files, labels = [], allowDuplicate = false) {
+    try {
+      const formData = new FormData();
+      Array.from(files).forEach((file, i) => {
+        const validation = validateFileForUpload(file);
+        if (!validation.valid) {
+          throw new Error(validation.error);
         }
+        formData.append('files', file);
+        formData.append('labels', labels[i] || '');
+      });
+      if (allowDuplicate) {
+        formData.append('allowDuplicate', 'true');
       }
 
-      // If filename lacks an extension, infer from content-type
-      if (!/\.[a-zA-Z0-9]+$/.test(downloadFilename)) {
-        const mime = response.headers['content-type'] || '';
-        const mimeToExt = {
-          'application/pdf': 'pdf',
-          'application/msword': 'doc',
-          'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
-          'text/plain': 'txt',
-          'image/jpeg': 'jpg',
-          'image/png': 'png',
-          'application/vnd.ms-powerpoint': 'ppt',
-          'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
-        };
-        const ext = mimeToExt[mime];
-        if (ext) {
-          downloadFilename = `${downloadFilename}.${ext}`;
-        }
+      const response = await api.post(endpoints.notes.attachments(id), formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 60000,
+      });
+
+      toast.success(response.data.message || 'Attachments added successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update an attachment's label (teachers only)
+  async updateAttachment(id, attachmentId, label) {
+    try {
+      const response = await api.put(endpoints.notes.attachment(id, attachmentId), { label });
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Reorder a note's attachments (teachers only)
+  async reorderAttachments(id, order) {
+    try {
+      const response = await api.put(endpoints.notes.attachmentsOrder(id), { order });
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove an attachment from a note (teachers only)
+  async removeAttachment(id, attachmentId) {
+    try {
+      const response = await api.delete(endpoints.notes.attachment(id, attachmentId));
+      toast.success('Attachment removed successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Download one attachment of a note
+  async downloadAttachment(id, attachmentId, filename = 'download') {
+    try {
+      const response = await api.get(endpoints.notes.downloadAttachment(id, attachmentId), {
+        responseType: 'blob',
+      });
+
+      saveFileResponse(response, filename);
+
+      toast.success('File downloaded successfully!');
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the version history of a note (teachers only)
+  async getVersions(id) {
+    try {
+      const response = await api.get(endpoints.notes.versions(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Download the file of an older note version (teachers only)
+  async downloadVersion(id, version, filename = 'download') {
+    try {
+      const response = await api.get(endpoints.notes.downloadVersion(id, version), {
+        responseType: 'blob',
+      });
+
+      saveFileResponse(response, filename);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Restore an older note version as the current one (teachers only)
+  async restoreVersion(id, version, changeNote) {
+    try {
+      const response = await api.post(endpoints.notes.restoreVersion(id, version), { changeNote });
+      toast.success(response.data.message || 'Version restored successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the share links of a note (teachers only)
+  async getShareLinks(id) {
+    try {
+      const response = await api.get(endpoints.notes.shareLinks(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Create a share link for a note (teachers only)
+  async createShareLink(id, linkData) {
+    try {
+      const response = await api.post(endpoints.notes.shareLinks(id), linkData);
+      toast.success(response.data.message || 'Share link created successfully!');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Revoke a share link (teachers only)
+  async revokeShareLink(id, linkId) {
+    try {
+      const response = await api.delete(endpoints.notes.shareLink(id, linkId));
+      toast.success(response.data.message || 'Share link revoked');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get a note's owner and co-authors
+  async getCoAuthors(id) {
+    try {
+      const response = await api.get(endpoints.notes.coAuthors(id));
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Invite a teacher, by email, to co-author a note
+  async addCoAuthor(id, email, role) {
+    try {
+      const response = await api.post(endpoints.notes.coAuthors(id), { email, role });
+      toast.success(response.data.message || 'Co-author added');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Change a co-author's role
+  async updateCoAuthor(id, userId, role) {
+    try {
+      const response = await api.put(endpoints.notes.coAuthor(id, userId), { role });
+      toast.success(response.data.message || 'Co-author role updated');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove a co-author, or stop co-authoring a note (with your own ID)
+  async removeCoAuthor(id, userId) {
+    try {
+      const response = await api.delete(endpoints.notes.coAuthor(id, userId));
+      toast.success(response.data.message || 'Co-author removed');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Hand a note over to one of its co-authors
+  async transferOwnership(id, userId) {
+    try {
+      const response = await api.post(endpoints.notes.transferOwnership(id), { userId });
+      toast.success(response.data.message || 'Ownership transferred');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Open a share link
+  async getSharedNote(token) {
+    try {
+      const response = await api.get(endpoints.share.get(token));
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Unlock a password-protected share link
+  async unlockSharedNote(token, password) {
+    try {
+      const response = await api.post(endpoints.share.unlock(token), { password });
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Download a file of a shared note with the access token from opening the link
+  async downloadSharedNote(token, accessToken, attachmentId = null, filename = 'download') {
+    try {
+      const params = { access: accessToken };
+      if (attachmentId) {
+        params.attachment = attachmentId;
       }
-      
-      link.setAttribute('download', downloadFilename);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      window.URL.revokeObjectURL(url);
+
+      const response = await api.get(endpoints.share.download(token), {
+        params,
+        responseType: 'blob',
+      });
+
+      saveFileResponse(response, filename);
 
       toast.success('File downloaded successfully!');
     } catch (error) {
@@ -174,6 +535,16 @@ class NotesService {
     }
   }
 
+  // Re-extract the document text of a note for content search (teachers only)
+  async extractText(id) {
+    try {
+      const response = await api.post(endpoints.notes.extractText(id));
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get platform statistics
   async getStats() {
     try {
@@ -0,0 +1,40 @@
+import api, { endpoints } from './api';
+
+class NotificationsService {
+  // Get notifications for current user
+  async getNotifications(page = 1, limit = 20) {
+    try {
+      const params = new URLSearchParams({
+        page: page.toString(),
+        limit: limit.toString()
+      });
+
+      const response = await api.get(`${endpoints.notifications.list}?${params}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark a notification as read
+  async markAsRead(id) {
+    try {
+      const response = await api.put(endpoints.notifications.markRead(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark all notifications as read
+  async markAllAsRead() {
+    try {
+      const response = await api.put(endpoints.notifications.markAllRead);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new NotificationsService();
@@ -0,0 +1,20 @@
+import api, { endpoints } from './api';
+
+class RecommendationsService {
+  // Get personalized recommendations for current student
+  async getRecommendations(page = 1, limit = 10) {
+    try {
+      const params = new URLSearchParams({
+        page: page.toString(),
+        limit: limit.toString()
+      });
+
+      const response = await api.get(`${endpoints.recommendations.list}?${params}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new RecommendationsService();
@@ -0,0 +1,55 @@
+import api, { endpoints } from './api';
+
+class SavedSearchesService {
+  // Get saved searches (with new-match counts) for current student
+  async getSavedSearches() {
+    try {
+      const response = await api.get(endpoints.savedSearches.list);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Save the current search filters under a name
+  async createSavedSearch(name, filters) {
+    try {
+      const response = await api.post(endpoints.savedSearches.create, { name, filters });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Rename a saved search or change its filters
+  async updateSavedSearch(id, updates) {
+    try {
+      const response = await api.put(endpoints.savedSearches.update(id), updates);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark a saved search as visited, resetting its new-match count
+  async visitSavedSearch(id) {
+    try {
+      const response = await api.post(endpoints.savedSearches.visit(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete a saved search
+  async deleteSavedSearch(id) {
+    try {
+      const response = await api.delete(endpoints.savedSearches.delete(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new SavedSearchesService();
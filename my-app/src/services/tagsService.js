@@ -0,0 +1,60 @@
+import api, { endpoints } from './api';
+
+class TagsService {
+  // Get tags with usage counts, optionally matching a prefix
+  async getTags(prefix = '', limit = 10) {
+    try {
+      const params = new URLSearchParams({ limit: limit.toString() });
+      if (prefix) {
+        params.append('prefix', prefix);
+      }
+
+      const response = await api.get(`${endpoints.tags.list}?${params}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Merge several tags into one across the teacher's notes
+  async mergeTags(sources, target) {
+    try {
+      const response = await api.post(endpoints.tags.merge, { sources, target });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Rename a tag across the teacher's notes
+  async renameTag(tag, name) {
+    try {
+      const response = await api.put(endpoints.tags.rename(tag), { name });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Merge several tags into one across every note (tag moderators only)
+  async mergeCatalogueTags(sources, target) {
+    try {
+      const response = await api.post(endpoints.tags.mergeCatalogue, { sources, target });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Rename a tag across every note (tag moderators only)
+  async renameCatalogueTag(tag, name) {
+    try {
+      const response = await api.put(endpoints.tags.renameCatalogue(tag), { name });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new TagsService();
@@ -0,0 +1,16 @@
+import api, { endpoints } from './api';
+
+class TaxonomyService {
+  // Get the allowed subjects, grades and categories, optionally of one kind
+  async getTaxonomy(kind = '') {
+    try {
+      const url = kind ? `${endpoints.taxonomy.list}?kind=${kind}` : endpoints.taxonomy.list;
+      const response = await api.get(url);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new TaxonomyService();
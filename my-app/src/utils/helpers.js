@@ -80,6 +80,27 @@ export const getRelativeTime = (date) => {
   return `${diffInYears} year${diffInYears > 1 ? 's' : ''} ago`;
 };
 
+// Get a countdown to a future date (e.g., "2d 4h", "35m")
+export const getCountdown = (date, now = new Date()) => {
+  const diffInMinutes = Math.ceil((new Date(date) - now) / 60000);
+
+  if (diffInMinutes <= 0) {
+    return 'now';
+  }
+
+  const days = Math.floor(diffInMinutes / 1440);
+  const hours = Math.floor((diffInMinutes % 1440) / 60);
+  const minutes = diffInMinutes % 60;
+
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return `${minutes}m`;
+};
+
 // File utilities
 export const formatFileSize = (bytes) => {
   if (bytes === 0) return '0 Bytes';
@@ -329,6 +350,51 @@ export const validateFileForUpload = (file, options = {}) => {
   return { valid: true, error: null };
 };
 
+// Sharing settings of a note as edited in forms: who can see it, the emails
+// of the students it is shared with and the IDs of the groups
+export const getSharingState = (note = {}) => {
+  const sharedWith = (note.sharedWith || []).map((student) => student.email).filter(Boolean);
+  const sharedGroups = (note.sharedGroups || []).map((group) => group._id || group);
+
+  let visibility = 'public';
+  if (note.isPublic === false) {
+    visibility = sharedWith.length > 0 || sharedGroups.length > 0 ? 'restricted' : 'private';
+  }
+
+  return { visibility, sharedWith: sharedWith.join(', '), sharedGroups };
+};
+
+// Convert sharing settings from a form into the fields the notes API expects.
+// Public and private notes are not shared with anyone in particular.
+export const buildSharingPayload = ({ visibility, sharedWith, sharedGroups }) => {
+  const restricted = visibility === 'restricted';
+
+  return {
+    isPublic: visibility === 'public',
+    sharedWith: restricted ? sharedWith.split(/[\s,;]+/).map((email) => email.trim()).filter(Boolean) : [],
+    sharedGroups: restricted ? sharedGroups : []
+  };
+};
+
+// Readable, shareable page URL of a note (by ID for notes without a slug yet)
+export const getNoteUrl = (note) => (note.slug ? `/notes/${note.slug}` : `/preview/${note._id}`);
+
+// Flatten a taxonomy tree (as served by /api/taxonomy) into select options.
+// Each option keeps its depth for indenting and the values of the terms
+// nested under it, which filters on a parent term also match.
+export const flattenTaxonomy = (terms = [], depth = 0) => terms.flatMap((term) => {
+  const children = flattenTaxonomy(term.children || [], depth + 1);
+  return [
+    {
+      value: term.value,
+      label: term.label || term.value,
+      depth,
+      values: [term.value, ...children.filter((child) => child.depth === depth + 1).flatMap((child) => child.values)]
+    },
+    ...children
+  ];
+});
+
 export default {
   formatDate,
   getRelativeTime,